@@ -0,0 +1,71 @@
+const SimpleEmailService = require('./emailService');
+const SmtpSource = require('./smtpSource');
+const MaildirSource = require('./maildirSource');
+const FetchLimiter = require('./fetchLimiter');
+
+// Mail source class per account "type"
+const SOURCES = {
+  imap: SimpleEmailService,
+  smtp: SmtpSource,
+  maildir: MaildirSource
+};
+
+class AccountManager {
+  constructor(accounts, database, ruleEngine, serviceOptions = {}) {
+    this.database = database;
+    this.services = new Map();
+
+    // Shared by every IMAP account
+    this.fetchLimiter = new FetchLimiter(serviceOptions.maxConcurrentFetches);
+    serviceOptions = { ...serviceOptions, fetchLimiter: this.fetchLimiter };
+
+    for (const account of accounts) {
+      const Source = SOURCES[account.type || 'imap'];
+      this.services.set(account.name, new Source(account, database, ruleEngine, serviceOptions));
+    }
+  }
+
+  // First configured account, used by the unscoped /api routes
+  getDefault() {
+    return this.services.values().next().value || null;
+  }
+
+  // Look up a service by account name or email address
+  get(account) {
+    if (this.services.has(account)) {
+      return this.services.get(account);
+    }
+
+    const lower = String(account).toLowerCase();
+    for (const service of this.services.values()) {
+      if ((service.config.email || '').toLowerCase() === lower) {
+        return service;
+      }
+    }
+
+    return null;
+  }
+
+  list() {
+    return Array.from(this.services.values());
+  }
+
+  async startAll() {
+    const results = await Promise.allSettled(
+      this.list().map((service) => service.connect())
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const service = this.list()[index];
+        console.error(`Failed to start account ${service.config.name}:`, result.reason?.message);
+      }
+    });
+  }
+
+  getStatus() {
+    return this.list().map((service) => service.getStatus());
+  }
+}
+
+module.exports = AccountManager;
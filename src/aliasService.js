@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { matchesScope } = require('./auth');
+
+// Longest lifetime an alias can be given, in seconds
+const MAX_ALIAS_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const TAG_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// Fresh tags per alias before giving up on collisions
+const MAX_ATTEMPTS = 5;
+
+function aliasError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Lowercase letters and digits only, so tags survive any mail system
+function randomTag(length) {
+  const bytes = crypto.randomBytes(length);
+  return Array.from(bytes, (byte) => TAG_ALPHABET[byte % TAG_ALPHABET.length]).join('');
+}
+
+// Optional caller label in front of the random part ("Login Test" ->
+// "login-test"), so aliases are recognizable in the mailbox
+function slugify(prefix) {
+  return String(prefix).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 20);
+}
+
+// Disposable addresses for catch-all domains and plus-addressed inboxes.
+// Templates (config.loadAliasOptions) put a random tag into an address the
+// configured mailboxes already receive, so every test run can have its own
+// inbox. Mail to an alias is found through its recipients (recipients.js).
+class AliasService {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.templates = options.templates || [];
+    this.ttlSeconds = options.ttlSeconds || 3600;
+    this.tagLength = options.tagLength || 10;
+  }
+
+  // Address as aliases are stored: lowercase, without <> or whitespace
+  static normalize(address) {
+    return String(address || '').trim().replace(/^<|>$/g, '').toLowerCase();
+  }
+
+  // Generate and store a new alias from the named template (default: the
+  // first). Throws with a `status` for invalid requests.
+  async create({ template: name, ttlSeconds, prefix } = {}, scope = null) {
+    if (!this.templates.length) {
+      throw aliasError(400, 'No alias templates configured (ALIAS_TEMPLATES)');
+    }
+
+    const template = name ? this.templates.find((entry) => entry.name === name) : this.templates[0];
+    if (!template) {
+      throw aliasError(400, `Unknown alias template "${name}" (expected ${this.templates.map((entry) => entry.name).join(', ')})`);
+    }
+
+    const ttl = ttlSeconds === undefined || ttlSeconds === null ? this.ttlSeconds : Number(ttlSeconds);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_ALIAS_TTL_SECONDS) {
+      throw aliasError(400, `ttl must be between 1 and ${MAX_ALIAS_TTL_SECONDS} seconds`);
+    }
+
+    const label = prefix ? slugify(prefix) : '';
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const tag = label ? `${label}-${randomTag(this.tagLength)}` : randomTag(this.tagLength);
+      const address = AliasService.normalize(template.template.replace(/\{tag\}/g, tag));
+
+      // A scoped key may only create aliases it will be able to read
+      if (!matchesScope(scope && { to: scope.to, from: [] }, { toAddress: address })) {
+        throw aliasError(403, `Alias ${address} is outside this API key's "to" scope`);
+      }
+
+      const alias = {
+        address,
+        template: template.name,
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+      };
+      if (await this.database.insertAlias(alias)) {
+        console.log(`Alias created: ${address} (expires ${alias.expiresAt})`);
+        return this.database.getAlias(address);
+      }
+    }
+
+    throw aliasError(500, 'Could not generate a unique alias');
+  }
+
+  // The stored alias, or null when it doesn't exist or has expired
+  async get(address) {
+    const alias = await this.database.getAlias(AliasService.normalize(address));
+    if (!alias || alias.expires_at <= new Date().toISOString()) return null;
+    return alias;
+  }
+}
+
+AliasService.MAX_ALIAS_TTL_SECONDS = MAX_ALIAS_TTL_SECONDS;
+
+module.exports = AliasService;
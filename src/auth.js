@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'sep_';
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Address patterns are globs: "*" matches any run of characters, "?" one
+// character. Matching is case-insensitive, like SQLite's LIKE.
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesAny(patterns, address) {
+  return patterns.some((pattern) => globToRegex(pattern).test(address || ''));
+}
+
+// In-memory counterpart of the scope filter the SQL storage backends apply.
+// A null scope (admin or auth disabled) allows everything; an empty pattern
+// list leaves that side unrestricted. The "to" patterns match any of the
+// email's trusted recipients, or its toAddress when they aren't known;
+// addresses only quoted in forwarded content don't count (recipients.js).
+function matchesScope(scope, { toAddress, trustedRecipients, fromAddress }) {
+  if (!scope) return true;
+  if (scope.to.length && !(trustedRecipients || [toAddress]).some((address) => matchesAny(scope.to, address))) return false;
+  if (scope.from.length && !matchesAny(scope.from, fromAddress)) return false;
+  return true;
+}
+
+// Works on plain http requests too, for WebSocket upgrades
+function readApiKey(req) {
+  const header = req.headers.authorization;
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  // Query parameter for clients that can't set headers (EventSource, WebSocket)
+  return new URL(req.url, 'http://localhost').searchParams.get('api_key');
+}
+
+// Resolve a presented key to { keyId, name, admin, scope }, or null when invalid
+async function authenticateKey(database, adminKey, key) {
+  if (!key) return null;
+
+  if (adminKey && safeEqual(key, adminKey)) {
+    return { keyId: null, name: 'admin', admin: true, scope: null };
+  }
+
+  const row = await database.getApiKeyByHash(hashApiKey(key));
+  if (!row) return null;
+
+  database.touchApiKey(row.id);
+  return {
+    keyId: row.id,
+    name: row.name,
+    admin: false,
+    scope: { to: row.allowed_to, from: row.allowed_from }
+  };
+}
+
+// Shared /api middleware: sets req.auth, or answers 401. With no admin key
+// configured authentication is disabled and every request acts as admin.
+function createAuthMiddleware(database, adminKey) {
+  return async (req, res, next) => {
+    if (!adminKey) {
+      req.auth = { keyId: null, name: 'anonymous', admin: true, scope: null };
+      return next();
+    }
+
+    try {
+      const auth = await authenticateKey(database, adminKey, readApiKey(req));
+      if (!auth) {
+        return res.status(401).json({
+          success: false,
+          error: 'Missing or invalid API key'
+        });
+      }
+
+      req.auth = auth;
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to authenticate request'
+      });
+    }
+  };
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.auth || !req.auth.admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API key required'
+    });
+  }
+  next();
+}
+
+module.exports = {
+  generateApiKey,
+  hashApiKey,
+  safeEqual,
+  matchesScope,
+  readApiKey,
+  authenticateKey,
+  createAuthMiddleware,
+  requireAdmin
+};
@@ -0,0 +1,141 @@
+const eventBus = require('./eventBus');
+const { matchesScope } = require('./auth');
+const { sentTo } = require('./recipients');
+
+// How often expired code leases are reclaimed
+const LEASE_SWEEP_INTERVAL_MS = 5 * 1000;
+
+// Hands out codes to long-poll requests. Each code goes to at most one
+// waiter: claims go through database.claimCode, so a waiter never receives a
+// code already returned by another waiter or a /api/last-code* request.
+// Codes whose lease expired or was released are offered to waiters again.
+class CodeWaiter {
+  constructor(database) {
+    this.database = database;
+    this.waiters = [];
+    this.sweepInterval = null;
+
+    eventBus.on('code.extracted', (code) => {
+      this.dispatch(code).catch((error) => {
+        console.error('Error dispatching code to waiters:', error);
+      });
+    });
+  }
+
+  matches(filters, code) {
+    if (filters.emailAccount && filters.emailAccount !== code.emailAccount) return false;
+    if (filters.fromAddress && filters.fromAddress !== code.fromAddress) return false;
+    if (filters.toAddress && !sentTo(code, filters.toAddress)) return false;
+    if (filters.since && code.receivedAt < filters.since) return false;
+    if (filters.authenticated && code.authResult !== 'pass') return false;
+    return matchesScope(filters.scope, code);
+  }
+
+  start() {
+    this.sweepInterval = setInterval(() => {
+      this.reclaimExpiredLeases().catch((error) => {
+        console.error('Error reclaiming expired code leases:', error);
+      });
+    }, LEASE_SWEEP_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  async reclaimExpiredLeases() {
+    const codes = await this.database.reclaimExpiredLeases();
+    for (const code of codes) {
+      console.log(`Lease expired for code ${code.id}; returned to the pool`);
+      await this.offer(code);
+    }
+  }
+
+  // Offer a code row (released or reclaimed) to waiting requests
+  offer(row) {
+    return this.dispatch({
+      id: row.id,
+      emailAccount: row.email_account,
+      fromAddress: row.from_address,
+      toAddress: row.to_address,
+      recipients: row.recipients,
+      trustedRecipients: row.trusted_recipients,
+      date: row.date,
+      receivedAt: row.received_at,
+      authResult: row.auth_result
+    });
+  }
+
+  async dispatch(code) {
+    // Oldest waiter first, so requests are served in arrival order
+    const waiter = this.waiters.find((w) => this.matches(w.filters, code));
+    if (!waiter) return;
+
+    this.remove(waiter);
+
+    const row = await this.database.claimCode(code.id, { leaseSeconds: waiter.leaseSeconds });
+    if (!row) {
+      // Someone claimed it via /api/last-code first; keep waiting
+      if (!waiter.done) this.waiters.unshift(waiter);
+      return;
+    }
+
+    if (waiter.done) {
+      // Timed out or disconnected while we were claiming; pass the code on
+      await this.database.releaseCode(code.id);
+      return this.dispatch(code);
+    }
+
+    waiter.resolve(row);
+  }
+
+  remove(waiter) {
+    const index = this.waiters.indexOf(waiter);
+    if (index !== -1) this.waiters.splice(index, 1);
+  }
+
+  // Resolves with a claimed code row, or null when the timeout passes or the
+  // signal is aborted. With options.leaseSeconds the code is leased rather
+  // than used up (see claimLastCode in storage/sqlite.js).
+  wait(filters, timeoutMs, signal, options = {}) {
+    return new Promise((resolve, reject) => {
+      const waiter = { filters, leaseSeconds: options.leaseSeconds || 0 };
+
+      const finish = (error, result) => {
+        waiter.done = true;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        this.remove(waiter);
+        if (error) reject(error);
+        else resolve(result);
+      };
+      const onAbort = () => finish(null, null);
+      const timer = setTimeout(() => finish(null, null), timeoutMs);
+
+      waiter.resolve = (row) => finish(null, row);
+
+      // Register before looking at stored codes so a code extracted in
+      // between is not missed
+      this.waiters.push(waiter);
+      if (signal) signal.addEventListener('abort', onAbort);
+
+      this.database.claimLastCode(filters, { leaseSeconds: waiter.leaseSeconds })
+        .then(async (row) => {
+          if (!row) return;
+          if (waiter.done) {
+            // Timed out or disconnected while we were claiming; the code
+            // may be what another waiter is waiting for
+            await this.database.releaseCode(row.id);
+            return this.offer(row);
+          }
+          finish(null, row);
+        })
+        .catch((error) => {
+          if (!waiter.done) finish(error);
+        });
+    });
+  }
+}
+
+module.exports = CodeWaiter;
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const FieldCipher = require('./encryption');
+const SenderAuth = require('./senderAuth');
+const { normalizeActions, normalizeTrigger } = require('./messageActions');
+
+const DEFAULT_CONFIG_FILES = ['./accounts.json', './accounts.yaml', './accounts.yml'];
+const DEFAULT_RULES_FILES = ['./rules.json', './rules.yaml', './rules.yml'];
+
+const FETCH_MODES = ['idle', 'poll', 'hybrid'];
+
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    return yaml.load(content) || {};
+  }
+
+  return JSON.parse(content);
+}
+
+function findConfigFile(envVar = 'ACCOUNTS_CONFIG', defaults = DEFAULT_CONFIG_FILES) {
+  if (process.env[envVar]) {
+    if (!fs.existsSync(process.env[envVar])) {
+      throw new Error(`Config file not found: ${process.env[envVar]} (${envVar})`);
+    }
+    return process.env[envVar];
+  }
+
+  return defaults.find((file) => fs.existsSync(file)) || null;
+}
+
+const SOURCE_TYPES = ['imap', 'smtp', 'maildir'];
+
+// How an IMAP account notices new mail: IDLE push, polling every
+// pollInterval seconds, or both (IDLE plus a periodic safety poll)
+function normalizeFetchMode(mode, pollInterval, label) {
+  const normalized = String(mode || 'idle').toLowerCase();
+  if (!FETCH_MODES.includes(normalized)) {
+    throw new Error(`${label} has unknown mode "${mode}" (expected ${FETCH_MODES.join(', ')})`);
+  }
+
+  const interval = pollInterval === undefined || pollInterval === null || pollInterval === ''
+    ? (normalized === 'hybrid' ? 300 : 60)
+    : Number(pollInterval);
+  if (!Number.isFinite(interval) || interval < 5) {
+    throw new Error(`${label} needs a pollInterval of at least 5 seconds`);
+  }
+
+  return { mode: normalized, pollInterval: interval };
+}
+
+// What is done with an IMAP message once it has been handled (see
+// messageActions.js); defaults to MESSAGE_ACTIONS ("seen") after extraction
+// (MESSAGE_ACTIONS_ON). Extraction rules can override it per sender.
+function normalizeMessageActions(actions, actionsOn, label) {
+  return {
+    actions: normalizeActions(actions === undefined || actions === null ? process.env.MESSAGE_ACTIONS || 'seen' : actions, label),
+    actionsOn: normalizeTrigger(actionsOn === undefined || actionsOn === null ? process.env.MESSAGE_ACTIONS_ON : actionsOn, label)
+  };
+}
+
+function normalizeAccount(account, index) {
+  const type = (account && account.type) || 'imap';
+  if (!SOURCE_TYPES.includes(type)) {
+    throw new Error(`Account #${index + 1} has unknown type "${type}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+
+  if (type === 'smtp' || type === 'maildir') {
+    return normalizeLocalSource(account, index, type);
+  }
+
+  if (!account.email) {
+    throw new Error(`Account #${index + 1} is missing an "email"`);
+  }
+
+  return {
+    type,
+    name: account.name || account.email,
+    email: account.email,
+    password: account.password,
+    host: account.host,
+    port: parseInt(account.port) || 993,
+    tls: account.tls === undefined ? true : account.tls === true || account.tls === 'true',
+    mailbox: account.mailbox || 'INBOX',
+    ...normalizeFetchMode(account.mode, account.pollInterval, `Account #${index + 1}`),
+    ...normalizeMessageActions(account.actions, account.actionsOn, `Account #${index + 1}`)
+  };
+}
+
+// SMTP listener and watched directory sources have no mailbox address; the
+// account name doubles as the email_account their mail is stored under
+function normalizeLocalSource(account, index, type) {
+  const name = account.name || account.email;
+  if (!name) {
+    throw new Error(`Account #${index + 1} needs a "name"`);
+  }
+
+  if (type === 'smtp') {
+    return {
+      type,
+      name,
+      email: account.email || name,
+      host: account.host || '0.0.0.0',
+      port: parseInt(account.port) || 2525,
+      hostname: account.hostname || null
+    };
+  }
+
+  if (!account.path) {
+    throw new Error(`Account #${index + 1} (maildir) is missing a "path"`);
+  }
+  return {
+    type,
+    name,
+    email: account.email || name,
+    path: path.resolve(account.path)
+  };
+}
+
+// Single account from EMAIL/PASSWORD/HOST, used when no config file is present
+function accountFromEnv() {
+  return {
+    type: 'imap',
+    name: process.env.ACCOUNT_NAME || process.env.EMAIL,
+    email: process.env.EMAIL,
+    password: process.env.PASSWORD,
+    host: process.env.HOST,
+    port: parseInt(process.env.PORT_IMAP) || 993,
+    tls: process.env.TLS === 'true',
+    mailbox: process.env.MAILBOX || 'INBOX',
+    ...normalizeFetchMode(process.env.FETCH_MODE, process.env.POLL_INTERVAL, 'FETCH_MODE'),
+    ...normalizeMessageActions(null, null, 'MESSAGE_ACTIONS')
+  };
+}
+
+function loadAccounts() {
+  const configFile = findConfigFile();
+
+  if (!configFile) {
+    // SMTP_PORT adds a built-in SMTP listener, or replaces IMAP when EMAIL is unset
+    if (!process.env.SMTP_PORT) {
+      return [accountFromEnv()];
+    }
+    const smtp = normalizeLocalSource({ name: 'smtp', port: process.env.SMTP_PORT }, 0, 'smtp');
+    return process.env.EMAIL ? [accountFromEnv(), smtp] : [smtp];
+  }
+
+  const config = readConfigFile(configFile);
+  const accounts = Array.isArray(config) ? config : config.accounts;
+
+  if (!Array.isArray(accounts) || !accounts.length) {
+    throw new Error(`No accounts defined in ${configFile}`);
+  }
+
+  const normalized = accounts.map(normalizeAccount);
+  const names = new Set();
+  for (const account of normalized) {
+    if (names.has(account.name)) {
+      throw new Error(`Duplicate account name "${account.name}" in ${configFile}`);
+    }
+    names.add(account.name);
+  }
+
+  console.log(`Loaded ${normalized.length} account(s) from ${configFile}`);
+  return normalized;
+}
+
+// Extraction rules from RULES_CONFIG or rules.json/yaml; empty when absent
+function loadRules() {
+  const configFile = findConfigFile('RULES_CONFIG', DEFAULT_RULES_FILES);
+
+  if (!configFile) {
+    return [];
+  }
+
+  const config = readConfigFile(configFile);
+  const rules = Array.isArray(config) ? config : config.rules;
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`Expected a "rules" list in ${configFile}`);
+  }
+
+  console.log(`Loaded ${rules.length} extraction rule(s) from ${configFile}`);
+  return rules;
+}
+
+// Attachment limits from ATTACHMENT_MAX_BYTES and ATTACHMENT_TYPES
+// (comma-separated MIME types, "type/*" wildcards allowed; empty allows all)
+function loadAttachmentOptions() {
+  const allowedTypes = (process.env.ATTACHMENT_TYPES || '')
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+    allowedTypes
+  };
+}
+
+// Default code lifetime from CODE_TTL_SECONDS (default 300; 0: no expiry) and what
+// to do with codes and links from unauthenticated senders, CODE_AUTH_POLICY
+// (store, flag or reject; default flag). Extraction rules can override both
+// per sender with "ttl" and "authPolicy".
+function loadCodeOptions() {
+  const ttlSeconds = parseInt(process.env.CODE_TTL_SECONDS);
+  const authPolicy = (process.env.CODE_AUTH_POLICY || 'flag').trim().toLowerCase();
+  if (!SenderAuth.POLICIES.includes(authPolicy)) {
+    throw new Error(`CODE_AUTH_POLICY must be one of ${SenderAuth.POLICIES.join(', ')}`);
+  }
+
+  return {
+    ttlSeconds: Number.isInteger(ttlSeconds) && ttlSeconds >= 0 ? ttlSeconds : 300,
+    authPolicy
+  };
+}
+
+// Which Authentication-Results headers to trust (AUTHSERV_IDS, comma-
+// separated authserv-ids such as mx.google.com; default: the topmost one),
+// whose ARC results to trust (ARC_TRUSTED_SEALERS, comma-separated ARC-Seal
+// domains; default: none) and whether to verify DKIM signatures locally
+// (DKIM_VERIFY=true)
+function loadSenderAuthOptions() {
+  return {
+    authservIds: (process.env.AUTHSERV_IDS || '').split(',').map((id) => id.trim()).filter(Boolean),
+    arcSealers: (process.env.ARC_TRUSTED_SEALERS || '').split(',').map((domain) => domain.trim()).filter(Boolean),
+    verifyDkim: process.env.DKIM_VERIFY === 'true'
+  };
+}
+
+// Concurrent mailbox fetches across all accounts (MAX_CONCURRENT_FETCHES)
+function loadFetchOptions() {
+  return {
+    maxConcurrentFetches: parseInt(process.env.MAX_CONCURRENT_FETCHES) || 4
+  };
+}
+
+// Reconnect backoff cap, stale IDLE detection and /healthz, /readyz thresholds
+function loadSupervisorOptions() {
+  return {
+    maxReconnectDelayMs: (parseInt(process.env.RECONNECT_MAX_DELAY) || 300) * 1000,
+    staleIdleMs: (parseInt(process.env.IDLE_STALE_MINUTES) || 15) * 60 * 1000,
+    readinessThresholdMs: (parseInt(process.env.READINESS_MAX_DISCONNECT_SECONDS) || 60) * 1000,
+    livenessThresholdMs: (parseInt(process.env.LIVENESS_MAX_DISCONNECT_SECONDS) || 900) * 1000
+  };
+}
+
+// Field encryption keys from ENCRYPTION_KEY_FILE, ENCRYPTION_KEYS or
+// ENCRYPTION_KEY; ENCRYPTION_KEY_VERSION picks the key new values are
+// written with (default: the highest version). Disabled without keys.
+function loadCipher() {
+  let keyList = process.env.ENCRYPTION_KEYS || process.env.ENCRYPTION_KEY || '';
+  if (process.env.ENCRYPTION_KEY_FILE) {
+    keyList = fs.readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8');
+  }
+
+  const cipher = FieldCipher.fromKeyList(keyList, parseInt(process.env.ENCRYPTION_KEY_VERSION) || null);
+  if (cipher.enabled) {
+    console.log(`Encryption at rest enabled (key version ${cipher.currentVersion}, ${cipher.keys.size} key(s) loaded)`);
+  }
+  return cipher;
+}
+
+// Address templates for POST /api/aliases from ALIAS_TEMPLATES:
+// comma-separated "name=template" entries (bare templates are named after
+// themselves) where {tag} becomes a random tag, e.g. qa+{tag}@example.com for
+// plus addressing or {tag}@test.example.com for a catch-all domain. Without
+// it, every IMAP account gets a plus-addressing template under its name.
+function loadAliasOptions(accounts = []) {
+  const entries = (process.env.ALIAS_TEMPLATES || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const templates = entries.length
+    ? entries.map((entry) => {
+      const separator = entry.indexOf('=');
+      return separator === -1
+        ? { name: entry, template: entry }
+        : { name: entry.slice(0, separator).trim(), template: entry.slice(separator + 1).trim() };
+    })
+    : accounts
+      .filter((account) => account.type === 'imap' && /^[^@\s]+@[^@\s]+$/.test(account.email))
+      .map((account) => ({ name: account.name, template: account.email.replace('@', '+{tag}@') }));
+
+  const names = new Set();
+  for (const { name, template } of templates) {
+    if (!template.includes('{tag}') || !/^[^@\s]+@[^@\s]+$/.test(template)) {
+      throw new Error(`Alias template "${template}" must be an address containing {tag} (ALIAS_TEMPLATES)`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate alias template name "${name}" (ALIAS_TEMPLATES)`);
+    }
+    names.add(name);
+  }
+
+  const ttlSeconds = parseInt(process.env.ALIAS_TTL_SECONDS);
+  const tagLength = parseInt(process.env.ALIAS_TAG_LENGTH);
+
+  return {
+    templates,
+    ttlSeconds: ttlSeconds > 0 ? ttlSeconds : 3600,
+    tagLength: tagLength >= 6 && tagLength <= 32 ? tagLength : 10
+  };
+}
+
+// Storage backend from STORAGE_BACKEND (sqlite, memory or postgres) with
+// its location: SQLITE_PATH for sqlite, DATABASE_URL for postgres
+function loadStorageOptions() {
+  const backend = (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase();
+
+  if (backend === 'postgres' && !process.env.DATABASE_URL) {
+    throw new Error('STORAGE_BACKEND=postgres needs DATABASE_URL');
+  }
+
+  return {
+    backend,
+    path: process.env.SQLITE_PATH || './data/simple.db',
+    connectionString: process.env.DATABASE_URL
+  };
+}
+
+module.exports = {
+  loadAccounts,
+  loadRules,
+  loadAttachmentOptions,
+  loadCodeOptions,
+  loadSenderAuthOptions,
+  loadFetchOptions,
+  loadSupervisorOptions,
+  loadCipher,
+  loadStorageOptions,
+  loadAliasOptions
+};
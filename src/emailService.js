@@ -1,18 +1,50 @@
 const Imap = require('node-imap');
-const { simpleParser } = require('mailparser');
-const { v4: uuidv4 } = require('uuid');
-
-class SimpleEmailService {
-  constructor(config, database) {
-    this.config = config;
-    this.database = database;
+const MailSource = require('./mailSource');
+const { describeAction } = require('./messageActions');
+
+const FetchLimiter = require('./fetchLimiter');
+
+// Messages fetched per IMAP FETCH while catching up
+const SYNC_BATCH_SIZE = 50;
+// Poll delays vary by up to +/-10% so accounts don't poll in lockstep
+const POLL_JITTER = 0.1;
+// Reconnect delays double from reconnectDelay up to maxReconnectDelay, +/-20%
+const RECONNECT_JITTER = 0.2;
+// Failed message actions are retried after 30s, 60s, 120s, ... up to an
+// hour, for at most 6 attempts
+const ACTION_RETRY_DELAY = 30 * 1000;
+const MAX_ACTION_RETRY_DELAY = 60 * 60 * 1000;
+const MAX_ACTION_ATTEMPTS = 6;
+
+// IMAP mail source: IDLE and/or polling on one mailbox, UID-based catch-up
+class SimpleEmailService extends MailSource {
+  constructor(config, database, ruleEngine, options = {}) {
+    super(config, database, ruleEngine, options);
     this.imap = null;
-    this.isConnected = false;
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
     this.reconnectDelay = 5000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 5 * 60 * 1000;
+    this.reconnectTimer = null;
+    // Last time the server sent anything; a silent IDLE session is stale
+    this.lastActivityAt = null;
     this.heartbeatInterval = null;
     this.isReconnecting = false;
+    this.mailbox = config.mailbox || 'INBOX';
+    this.box = null;
+    this.lastUid = null;
+    this.syncPromise = null;
+    this.syncRequested = false;
+    this.mode = config.mode || 'idle';
+    this.pollInterval = config.pollInterval || 60;
+    this.pollTimer = null;
+    this.lastPolledAt = null;
+    this.fetchLimiter = options.fetchLimiter || new FetchLimiter();
+    // What happens to handled messages on the server (see messageActions.js)
+    this.actions = config.actions || [{ type: 'seen', target: null }];
+    this.actionsOn = config.actionsOn || 'extracted';
+    this.actionsRunning = false;
+    this.actionsRequested = false;
+    this.actionTimer = null;
   }
 
   async connect() {
@@ -24,14 +56,20 @@ class SimpleEmailService {
         port: this.config.port,
         tls: this.config.tls,
         tlsOptions: { rejectUnauthorized: false },
-        keepalive: true
+        keepalive: true,
+        // node-imap logs every line received from the server as "<= ..."
+        debug: (line) => {
+          if (line.startsWith('<=')) this.lastActivityAt = Date.now();
+        }
       });
 
       this.imap.once('ready', () => {
         console.log(`Connected to ${this.config.email}`);
         this.isConnected = true;
+        this.lastActivityAt = Date.now();
         this.reconnectAttempts = 0;
         this.isReconnecting = false;
+        this.emitConnectionState('connected');
         this.startListening();
         resolve();
       });
@@ -54,63 +92,162 @@ class SimpleEmailService {
   }
 
   startListening() {
-    this.imap.openBox('INBOX', false, (err, box) => {
+    this.imap.openBox(this.mailbox, false, (err, box) => {
       if (err) {
-        console.error('Error opening inbox:', err);
+        console.error(`Error opening ${this.mailbox}:`, err);
         return;
       }
 
       console.log('Listening for emails...');
+      this.box = box;
       
-      // Listen for new emails
-      this.imap.on('mail', () => {
-        this.fetchLatestEmail();
-      });
+      // Listen for new emails (poll mode relies on the timer alone)
+      if (this.mode !== 'poll') {
+        this.imap.on('mail', () => {
+          this.syncNewEmails();
+        });
+      }
+
+      if (this.mode !== 'idle') {
+        this.schedulePoll();
+      }
+
+      // Catch up on everything that arrived while we were disconnected,
+      // and on actions that couldn't run then
+      this.syncNewEmails();
+      this.runPendingActions();
 
       // Keep connection alive with periodic heartbeat
       this.startHeartbeat();
     });
   }
 
-  fetchLatestEmail() {
-    if (!this.isConnected || !this.imap) {
+  // Fetch every message with a UID above the last processed one, in UID
+  // order. Calls made while a sync is running are folded into one more pass.
+  syncNewEmails() {
+    if (this.syncPromise) {
+      this.syncRequested = true;
+      return this.syncPromise;
+    }
+
+    this.syncPromise = (async () => {
+      do {
+        this.syncRequested = false;
+        await this.fetchLimiter.run(() => this.syncOnce());
+      } while (this.syncRequested && this.isConnected);
+    })()
+      .catch((err) => {
+        console.error(`Sync error for ${this.config.email}:`, err.message);
+        this.handleConnectionError(err);
+      })
+      .finally(() => {
+        this.syncPromise = null;
+      });
+
+    return this.syncPromise;
+  }
+
+  schedulePoll() {
+    clearTimeout(this.pollTimer);
+
+    const jitter = 1 + (Math.random() * 2 - 1) * POLL_JITTER;
+    this.pollTimer = setTimeout(async () => {
+      if (!this.isConnected) return;
+      await this.syncNewEmails();
+      if (this.isConnected) this.schedulePoll();
+    }, this.pollInterval * 1000 * jitter);
+  }
+
+  async syncOnce() {
+    if (!this.isConnected || !this.imap || !this.box) {
       console.warn('Cannot fetch email: not connected');
       return;
     }
 
-    // Search for unread emails from the last 5 minutes
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    const searchCriteria = [
-      'UNSEEN',
-      ['SINCE', fiveMinutesAgo]
-    ];
-    
-    this.imap.search(searchCriteria, (err, results) => {
-      if (err) {
-        console.error('Search error:', err.message);
-        this.handleConnectionError(err);
-        return;
-      }
-      
-      if (!results || !results.length) {
-        return;
+    const imap = this.imap;
+    const uidValidity = Number(this.box.uidvalidity);
+    const state = await this.database.getSyncState(this.config.email, this.mailbox);
+
+    let uids;
+    if (!state || Number(state.uid_validity) !== uidValidity) {
+      uids = await this.startResync(imap, state, uidValidity);
+    } else {
+      this.lastUid = state.last_uid;
+      // "n:*" always matches the newest message, even when its UID is below n
+      const results = await this.search(imap, [['UID', `${this.lastUid + 1}:*`]]);
+      uids = results.filter((uid) => uid > this.lastUid);
+    }
+
+    // The sync state only moves past messages that were handled; after a
+    // failure the rest waits for the next sync, which starts with it again
+    uids.sort((a, b) => a - b);
+    for (let i = 0; i < uids.length; i += SYNC_BATCH_SIZE) {
+      const messages = await this.fetchMessages(imap, uids.slice(i, i + SYNC_BATCH_SIZE));
+      for (const { uid, raw, receivedAt } of messages) {
+        if (this.imap !== imap) return;
+        if (!(await this.processEmail(raw, uid, null, receivedAt))) {
+          console.warn(`Stopped sync of ${this.config.email}/${this.mailbox} at UID ${uid}; retrying on the next sync`);
+          return;
+        }
+        this.lastUid = Math.max(this.lastUid, uid);
+        await this.database.saveSyncState(this.config.email, this.mailbox, uidValidity, this.lastUid);
       }
+    }
 
-      const latestUid = results[results.length - 1];
-      const fetch = this.imap.fetch([latestUid], { bodies: '', struct: true });
+    this.lastPolledAt = new Date().toISOString();
+  }
 
-      fetch.on('error', (err) => {
-        console.error('Fetch error:', err.message);
-        this.handleConnectionError(err);
+  // First sync, or the server reset its UIDs. Starts from the mailbox's
+  // current end and only picks up recent unread mail from before it.
+  async startResync(imap, state, uidValidity) {
+    if (state) {
+      console.warn(`UIDVALIDITY changed for ${this.config.email}/${this.mailbox} (${state.uid_validity} -> ${uidValidity}), resyncing`);
+      await this.database.clearEmailUids(this.config.email);
+    }
+
+    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+    const recent = await this.search(imap, ['UNSEEN', ['SINCE', fiveMinutesAgo]]);
+
+    // Not every server reports UIDNEXT; the highest current UID works as well
+    let uidNext = Number(this.box.uidnext);
+    if (!uidNext) {
+      const [highest] = await this.search(imap, [['UID', '*']]);
+      uidNext = (highest || 0) + 1;
+    }
+    this.lastUid = uidNext - 1;
+    await this.database.saveSyncState(this.config.email, this.mailbox, uidValidity, this.lastUid);
+
+    // Mail delivered after the box was opened is above uidnext - 1 too
+    const newer = await this.search(imap, [['UID', `${uidNext}:*`]]);
+    return [...new Set([...recent, ...newer.filter((uid) => uid >= uidNext)])];
+  }
+
+  search(imap, criteria) {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err, results) => {
+        if (err) reject(err);
+        else resolve(results || []);
       });
+    });
+  }
+
+  // Resolves with [{ uid, raw, receivedAt }] once every requested message has arrived
+  fetchMessages(imap, uids) {
+    return new Promise((resolve, reject) => {
+      const messages = [];
+      const fetch = imap.fetch(uids, { bodies: '', struct: true });
+
+      fetch.on('error', reject);
 
       fetch.on('message', (msg) => {
-        let buffer = '';
+        // Keep the raw bytes; the source is stored as-is for /api/emails/:id/raw
+        const chunks = [];
         let uid = null;
+        let receivedAt = null;
 
         msg.on('body', (stream) => {
           stream.on('data', (chunk) => {
-            buffer += chunk.toString('utf8');
+            chunks.push(chunk);
           });
           
           stream.on('error', (err) => {
@@ -120,97 +257,183 @@ class SimpleEmailService {
 
         msg.once('attributes', (attrs) => {
           uid = attrs.uid;
+          // INTERNALDATE: when the server received the message
+          receivedAt = attrs.date || null;
         });
 
         msg.once('end', () => {
-          this.processEmail(buffer, uid);
+          messages.push({ uid, raw: Buffer.concat(chunks), receivedAt });
         });
       });
+
+      fetch.once('end', () => {
+        resolve(messages.sort((a, b) => a.uid - b.uid));
+      });
     });
   }
 
-  async processEmail(rawEmail, uid) {
-    try {
-      const parsed = await simpleParser(rawEmail);
-      const bodyText = parsed.text || '';
-      
-      // Extract "To" address from body text only (for forwarded emails)
-      const toAddress = this.extractToAddressFromBody(bodyText);
-      
-      const email = {
-        id: uuidv4(),
-        emailAccount: this.config.email,
-        subject: parsed.subject || '',
-        fromAddress: parsed.from?.value?.[0]?.address || '',
-        toAddress: toAddress,
-        bodyText: bodyText,
-        date: parsed.date?.toISOString() || new Date().toISOString(),
-        uid: uid
-      };
+  // Queue the actions for a handled message: those of the first extraction
+  // rule that sets actions for it, otherwise the account's. Each one is
+  // stored (email_actions) before it runs, so failures can be retried and
+  // GET /api/emails/:id shows what was done.
+  async onProcessed(email, extracted) {
+    const rule = this.ruleEngine.actionsFor(email);
+    const actions = rule && rule.actions !== null ? rule.actions : this.actions;
+    const trigger = (rule && rule.actionsOn) || this.actionsOn;
+    if (!actions.length || (trigger === 'extracted' && !extracted) || !this.box) return;
+
+    await this.database.insertEmailActions(email.id, {
+      emailAccount: this.config.email,
+      mailbox: this.mailbox,
+      uid: email.uid,
+      uidValidity: Number(this.box.uidvalidity)
+    }, actions);
+    await this.runPendingActions();
+  }
 
-      const inserted = await this.database.insertEmail(email);
-      if (inserted) {
-        console.log(`New email: ${email.subject}`);
-        this.extractCode(email, uid);
-      }
-    } catch (error) {
-      console.error('Error processing email:', error);
+  // Run every due action of this mailbox. Calls made while a run is in
+  // progress are folded into one more pass.
+  async runPendingActions() {
+    if (this.actionsRunning) {
+      this.actionsRequested = true;
+      return;
+    }
+
+    this.actionsRunning = true;
+    try {
+      do {
+        this.actionsRequested = false;
+        await this.runActionsOnce();
+      } while (this.actionsRequested && this.isConnected);
+    } catch (err) {
+      console.error(`Error running message actions for ${this.config.email}:`, err.message);
+    } finally {
+      this.actionsRunning = false;
     }
   }
 
-  extractToAddressFromBody(bodyText) {
-    // Pattern to match "To: email@domain.com" or "To: name <email@domain.com>"
-    const patterns = [
-      /To:\s*([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i,
-      /To:\s*[^<]*<([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})>/i,
-      /To:\s*([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})\s*/i
-    ];
-    
-    for (const pattern of patterns) {
-      const match = bodyText.match(pattern);
-      if (match && match[1]) {
-        console.log(`Extracted To address from body: ${match[1]}`);
-        return match[1];
+  async runActionsOnce() {
+    const imap = this.imap;
+    if (!this.isConnected || !imap || !this.box) return;
+
+    const uidValidity = Number(this.box.uidvalidity);
+    const pending = await this.database.getPendingEmailActions(this.config.email, this.mailbox);
+    const now = new Date().toISOString();
+    // Messages whose earlier action is waiting for a retry; their later
+    // actions (a move after a label) wait with it
+    const waiting = new Set();
+    let nextAttemptAt = null;
+
+    for (const action of pending) {
+      if (this.imap !== imap) return;
+      if (waiting.has(action.uid)) continue;
+
+      if (Number(action.uid_validity) !== uidValidity) {
+        await this.database.updateEmailAction(action.id, {
+          status: 'failed',
+          attempts: action.attempts,
+          nextAttemptAt: null,
+          lastError: 'UIDVALIDITY changed, the message can no longer be found',
+          completedAt: null
+        });
+        continue;
+      }
+
+      const retryAt = action.next_attempt_at > now ? action.next_attempt_at : await this.attemptAction(imap, action);
+      if (retryAt) {
+        waiting.add(action.uid);
+        if (!nextAttemptAt || retryAt < nextAttemptAt) nextAttemptAt = retryAt;
       }
     }
-    
-    return '';
+
+    clearTimeout(this.actionTimer);
+    if (nextAttemptAt) {
+      this.actionTimer = setTimeout(() => this.runPendingActions(), Math.max(Date.parse(nextAttemptAt) - Date.now(), 0));
+    }
   }
 
-  extractCode(email, uid) {
-    const text = email.bodyText + ' ' + email.subject;
-    
-    // Simple patterns for 2FA codes
-    const patterns = [
-      /code[:\s]*(\d{4,8})/gi,
-      /2fa[:\s]*(\d{4,8})/gi,
-      /verification[:\s]*(\d{4,8})/gi,
-      /\b(\d{6})\b/g,
-      /\b(\d{4})\b/g
-    ];
-
-    for (const pattern of patterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        const code = matches[0].replace(/\D/g, '');
-        if (code.length >= 4 && code.length <= 8) {
-          this.database.insertCode(email.id, code);
-          console.log(`Code extracted: ${code}`);
-          
-          // Mark email as read
-          this.markEmailAsRead(uid);
-          return;
-        }
+  // Resolves with the time of the next attempt when the action failed and
+  // will be retried, otherwise null
+  async attemptAction(imap, action) {
+    const attempts = action.attempts + 1;
+    const description = `${describeAction({ type: action.action, target: action.target })} on UID ${action.uid}`;
+
+    try {
+      await this.applyAction(imap, action);
+    } catch (err) {
+      if (attempts >= MAX_ACTION_ATTEMPTS) {
+        console.error(`Action ${description} failed permanently for ${this.config.email}: ${err.message}`);
+        await this.database.updateEmailAction(action.id, { status: 'failed', attempts, nextAttemptAt: null, lastError: err.message, completedAt: null });
+        return null;
       }
+
+      const delay = Math.min(ACTION_RETRY_DELAY * 2 ** (attempts - 1), MAX_ACTION_RETRY_DELAY);
+      const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`Action ${description} failed for ${this.config.email} (${err.message}), retrying in ${delay / 1000}s`);
+      await this.database.updateEmailAction(action.id, { status: 'pending', attempts, nextAttemptAt, lastError: err.message, completedAt: null });
+      return nextAttemptAt;
     }
+
+    console.log(`Email ${action.uid}: ${describeAction({ type: action.action, target: action.target })}`);
+    await this.database.updateEmailAction(action.id, {
+      status: 'done',
+      attempts,
+      nextAttemptAt: null,
+      lastError: null,
+      completedAt: new Date().toISOString()
+    });
+    return null;
   }
 
-  markEmailAsRead(uid) {
-    this.imap.addFlags(uid, ['\\Seen'], (err) => {
-      if (err) {
-        console.error('Error marking email as read:', err);
-      } else {
-        console.log(`Email ${uid} marked as read`);
+  applyAction(imap, action) {
+    return new Promise((resolve, reject) => {
+      const done = (err) => (err ? reject(err) : resolve());
+      // Commands issued from a callback are outside the executor, so a
+      // synchronous throw (e.g. the connection closed meanwhile) would
+      // otherwise escape instead of failing the action
+      const run = (command) => {
+        try {
+          command();
+        } catch (error) {
+          reject(error);
+        }
+      };
+      const uid = Number(action.uid);
+
+      switch (action.action) {
+        case 'seen':
+          imap.addFlags(uid, ['\\Seen'], done);
+          break;
+        case 'flag':
+          imap.addFlags(uid, ['\\Flagged'], done);
+          break;
+        case 'label':
+          // Gmail labels; a keyword (custom flag) on other servers
+          if (imap.serverSupports('X-GM-EXT-1')) imap.addLabels(uid, [action.target], done);
+          else imap.addKeywords(uid, [action.target], done);
+          break;
+        case 'move':
+          // MOVE, or COPY + delete where the server lacks it. A missing
+          // folder (TRYCREATE) is created first.
+          imap.move(uid, action.target, (err) => {
+            if (!err || String(err.textCode).toUpperCase() !== 'TRYCREATE') return done(err);
+            imap.addBox(action.target, (createErr) => {
+              if (createErr) return reject(createErr);
+              run(() => imap.move(uid, action.target, done));
+            });
+          });
+          break;
+        case 'delete':
+          imap.addFlags(uid, ['\\Deleted'], (err) => {
+            if (err) return reject(err);
+            // A plain EXPUNGE would also remove every other message marked
+            // \Deleted, so without UIDPLUS the message is only marked
+            if (imap.serverSupports('UIDPLUS')) run(() => imap.expunge(uid, done));
+            else done();
+          });
+          break;
+        default:
+          reject(new Error(`Unknown action "${action.action}"`));
       }
     });
   }
@@ -243,6 +466,7 @@ class SimpleEmailService {
   handleConnectionError(err) {
     console.error(`Connection error for ${this.config.email}:`, err.message);
     this.cleanup();
+    this.emitConnectionState('disconnected', { error: err.message });
     
     if (!this.isReconnecting) {
       this.scheduleReconnect();
@@ -252,6 +476,7 @@ class SimpleEmailService {
   handleConnectionEnd() {
     console.log(`Connection ended for ${this.config.email}`);
     this.cleanup();
+    this.emitConnectionState('disconnected');
     
     if (!this.isReconnecting) {
       this.scheduleReconnect();
@@ -260,11 +485,18 @@ class SimpleEmailService {
 
   cleanup() {
     this.isConnected = false;
+    this.box = null;
     
     if (this.heartbeatInterval) {
       clearInterval(this.heartbeatInterval);
       this.heartbeatInterval = null;
     }
+
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+
+    clearTimeout(this.actionTimer);
+    this.actionTimer = null;
     
     if (this.imap) {
       try {
@@ -279,23 +511,35 @@ class SimpleEmailService {
     }
   }
 
+  // Never gives up: the delay doubles per failed attempt up to
+  // maxReconnectDelay, with jitter so accounts don't retry in lockstep
   scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error(`Max reconnection attempts (${this.maxReconnectAttempts}) reached for ${this.config.email}`);
-      return;
-    }
-
     this.isReconnecting = true;
     this.reconnectAttempts++;
     
-    const delay = Math.min(this.reconnectDelay * this.reconnectAttempts, 60000); // Max 1 minute
-    console.log(`Reconnecting to ${this.config.email} in ${delay/1000}s (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+    const backoff = Math.min(this.reconnectDelay * 2 ** (this.reconnectAttempts - 1), this.maxReconnectDelay);
+    const delay = Math.round(backoff * (1 + (Math.random() * 2 - 1) * RECONNECT_JITTER));
+    console.log(`Reconnecting to ${this.config.email} in ${delay/1000}s (attempt ${this.reconnectAttempts})`);
+    this.emitConnectionState('reconnecting', { delayMs: delay });
     
-    setTimeout(() => {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
       this.reconnect();
     }, delay);
   }
 
+  // No data from the server for longer than staleMs while connected: the
+  // socket is probably dead without having been closed
+  isStale(staleMs) {
+    return this.isConnected && this.lastActivityAt !== null && Date.now() - this.lastActivityAt > staleMs;
+  }
+
+  // Drop the current session and go through the normal reconnect path
+  forceReconnect(reason) {
+    console.warn(`Forcing reconnect for ${this.config.email}: ${reason}`);
+    this.handleConnectionError(new Error(reason));
+  }
+
   async reconnect() {
     try {
       console.log(`Attempting to reconnect to ${this.config.email}...`);
@@ -308,14 +552,28 @@ class SimpleEmailService {
     }
   }
 
+  emitConnectionState(state, details = {}) {
+    super.emitConnectionState(state, {
+      reconnectAttempts: this.reconnectAttempts,
+      ...details
+    });
+  }
+
   getStatus() {
     return {
-      connected: this.isConnected,
-      email: this.config.email,
+      ...super.getStatus(),
       reconnectAttempts: this.reconnectAttempts,
-      isReconnecting: this.isReconnecting
+      isReconnecting: this.isReconnecting,
+      lastActivityAt: this.lastActivityAt ? new Date(this.lastActivityAt).toISOString() : null,
+      mailbox: this.mailbox,
+      lastUid: this.lastUid,
+      mode: this.mode,
+      pollInterval: this.mode === 'idle' ? null : this.pollInterval,
+      lastPolledAt: this.lastPolledAt,
+      actions: this.actions.map(describeAction),
+      actionsOn: this.actionsOn
     };
   }
 }
 
-module.exports = SimpleEmailService;
\ No newline at end of file
+module.exports = SimpleEmailService;
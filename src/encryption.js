@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Encrypted values start with "enc:v<key version>:". Strings carry the IV,
+// auth tag and ciphertext base64-encoded after it; buffers as raw bytes.
+// Plaintext that itself starts with "enc:" is stored behind the "enc:plain:"
+// marker, so a stored value is only ever read as ciphertext if it is one.
+const PREFIX_PATTERN = /^enc:v(\d+):/;
+const RESERVED_PREFIX = 'enc:';
+const PLAIN_PREFIX = 'enc:plain:';
+
+function parseKey(value, version) {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Encryption key version ${version} must be ${KEY_BYTES} bytes, base64 or hex encoded`);
+  }
+  return key;
+}
+
+// "<version>:<key>" entries separated by commas or newlines; a key without
+// a version is version 1. Blank lines and "#" comments are skipped, so the
+// list can live in a key file.
+function parseKeyList(keyList) {
+  const keys = new Map();
+
+  for (const entry of keyList.split(/[,\n]/)) {
+    const line = entry.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(\d+):(.+)$/);
+    const version = match ? Number(match[1]) : 1;
+    if (version < 1 || keys.has(version)) {
+      throw new Error(`Encryption key version ${version} is invalid or listed twice`);
+    }
+    keys.set(version, parseKey(match ? match[2] : line, version));
+  }
+
+  return keys;
+}
+
+// AES-256-GCM field encryption with versioned keys. New values are written
+// with the current key; values from any configured key version, and
+// plaintext from before encryption was enabled, are read transparently.
+// Without keys values are stored as plaintext and never decrypted.
+class FieldCipher {
+  constructor(keys = new Map(), currentVersion = null) {
+    this.keys = keys;
+    this.currentVersion = keys.size ? (currentVersion || Math.max(...keys.keys())) : null;
+
+    if (this.currentVersion !== null && !keys.has(this.currentVersion)) {
+      throw new Error(`ENCRYPTION_KEY_VERSION ${this.currentVersion} has no key`);
+    }
+  }
+
+  static fromKeyList(keyList, currentVersion = null) {
+    return new FieldCipher(keyList ? parseKeyList(keyList) : new Map(), currentVersion);
+  }
+
+  get enabled() {
+    return this.currentVersion !== null;
+  }
+
+  prefix(version = this.currentVersion) {
+    return `enc:v${version}:`;
+  }
+
+  // Key version a stored value was encrypted with; null for plaintext
+  versionOf(value) {
+    if (value === null || value === undefined) return null;
+    const head = Buffer.isBuffer(value) ? value.subarray(0, 16).toString('latin1') : value;
+    const match = typeof head === 'string' && head.match(PREFIX_PATTERN);
+    return match ? Number(match[1]) : null;
+  }
+
+  // Strings stay strings and buffers stay buffers; null passes through
+  encrypt(value) {
+    if (value === null || value === undefined) return value;
+    if (!this.enabled) return escapePlaintext(value);
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentVersion), iv);
+    const plaintext = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8');
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+
+    if (Buffer.isBuffer(value)) {
+      return Buffer.concat([Buffer.from(this.prefix(), 'latin1'), payload]);
+    }
+    return this.prefix() + payload.toString('base64');
+  }
+
+  decrypt(value) {
+    if (startsWith(value, PLAIN_PREFIX)) {
+      return Buffer.isBuffer(value) ? value.subarray(PLAIN_PREFIX.length) : value.slice(PLAIN_PREFIX.length);
+    }
+    if (!this.enabled) return value;
+
+    const version = this.versionOf(value);
+    if (version === null) return value;
+
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`Value is encrypted with key version ${version}, which is not configured`);
+    }
+
+    const prefixLength = this.prefix(version).length;
+    const payload = Buffer.isBuffer(value)
+      ? value.subarray(prefixLength)
+      : Buffer.from(value.slice(prefixLength), 'base64');
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_BYTES));
+    decipher.setAuthTag(payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+    const plaintext = Buffer.concat([decipher.update(payload.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+
+    return Buffer.isBuffer(value) ? plaintext : plaintext.toString('utf8');
+  }
+}
+
+function startsWith(value, prefix) {
+  if (Buffer.isBuffer(value)) return value.subarray(0, prefix.length).toString('latin1') === prefix;
+  return typeof value === 'string' && value.startsWith(prefix);
+}
+
+// Plaintext that could be mistaken for ciphertext gets the plain marker
+function escapePlaintext(value) {
+  if (!startsWith(value, RESERVED_PREFIX)) return value;
+  return Buffer.isBuffer(value)
+    ? Buffer.concat([Buffer.from(PLAIN_PREFIX, 'latin1'), value])
+    : PLAIN_PREFIX + value;
+}
+
+FieldCipher.parseKeyList = parseKeyList;
+
+module.exports = FieldCipher;
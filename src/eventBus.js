@@ -0,0 +1,15 @@
+const { EventEmitter } = require('events');
+
+// In-process events shared by every email service:
+//   'email.received'   - a new email was stored ({ id, emailAccount, subject, fromAddress, toAddress, recipients, trustedRecipients, date, receivedAt, uid })
+//   'code.extracted'   - a code row was stored ({ id, emailId, code, emailAccount, fromAddress, toAddress, recipients, trustedRecipients, subject, date, receivedAt, expiresAt, authResult, flagged })
+//   'link.extracted'   - a link row was stored ({ id, emailId, url, text, emailAccount, fromAddress, toAddress, recipients, trustedRecipients, subject, authResult, flagged })
+//   'connection.state' - an IMAP connection changed state ({ state, name, emailAccount, reconnectAttempts, ... })
+// toAddress is the first of the email's recipients; trustedRecipients leaves
+// out the ones only named in forwarded content (see recipients.js).
+const eventBus = new EventEmitter();
+
+// Every long-poll and stream client adds a listener; don't warn about it
+eventBus.setMaxListeners(0);
+
+module.exports = eventBus;
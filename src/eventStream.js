@@ -0,0 +1,174 @@
+const { WebSocketServer } = require('ws');
+const eventBus = require('./eventBus');
+const { matchesScope, readApiKey, authenticateKey } = require('./auth');
+const { sentTo } = require('./recipients');
+
+const EVENT_TYPES = ['email.received', 'code.extracted', 'link.extracted', 'connection.state'];
+const SSE_KEEPALIVE_MS = 30 * 1000;
+
+// Build subscription filters from the query string (?to=&from=&account=&types=).
+// Throws with a `status` when a parameter is invalid.
+function parseFilters(query, accountManager) {
+  const filters = {
+    toAddress: query.to || null,
+    fromAddress: query.from || null,
+    emailAccount: null,
+    types: EVENT_TYPES,
+    scope: null
+  };
+
+  if (query.account) {
+    const service = accountManager.get(query.account);
+    if (!service) {
+      const error = new Error(`Unknown account: ${query.account}`);
+      error.status = 404;
+      throw error;
+    }
+    filters.emailAccount = service.config.email;
+  }
+
+  if (query.types) {
+    const types = String(query.types).split(',').map((type) => type.trim()).filter(Boolean);
+    const unknown = types.filter((type) => !EVENT_TYPES.includes(type));
+    if (unknown.length) {
+      const error = new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    filters.types = types;
+  }
+
+  return filters;
+}
+
+// The sender filter compares exactly, like /api/last-code-from; the
+// recipient filter matches any of the email's recipients, like
+// /api/last-code-to. Connection events carry no addresses and are only
+// filtered by account. The API key's scope applies on top of both.
+function matches(filters, type, data) {
+  if (!filters.types.includes(type)) return false;
+  if (filters.emailAccount && filters.emailAccount !== data.emailAccount) return false;
+  if (type === 'connection.state') return true;
+  if (filters.fromAddress && filters.fromAddress !== data.fromAddress) return false;
+  if (filters.toAddress && !sentTo(data, filters.toAddress)) return false;
+  return matchesScope(filters.scope, data);
+}
+
+// Call send(type, event) for every bus event that passes the filters.
+// Returns the unsubscribe function.
+function subscribe(filters, send) {
+  const listeners = EVENT_TYPES.map((type) => {
+    const listener = (data) => {
+      if (matches(filters, type, data)) {
+        send(type, { type, timestamp: new Date().toISOString(), data });
+      }
+    };
+    eventBus.on(type, listener);
+    return [type, listener];
+  });
+
+  return () => {
+    for (const [type, listener] of listeners) {
+      eventBus.off(type, listener);
+    }
+  };
+}
+
+function createSseHandler(accountManager) {
+  return (req, res) => {
+    let filters;
+    try {
+      filters = parseFilters(req.query, accountManager);
+      filters.scope = req.auth ? req.auth.scope : null;
+    } catch (error) {
+      return res.status(error.status || 400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    const unsubscribe = subscribe(filters, (type, event) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+
+    res.on('close', () => {
+      clearInterval(keepalive);
+      unsubscribe();
+    });
+  };
+}
+
+// WebSocket variant of the stream on the same path. Each event is sent as one
+// JSON text message. Upgrades bypass Express, so the API key is checked and
+// the request recorded in `metrics` (metrics.js) here.
+function attachWebSocketStream(server, accountManager, { database, adminKey, metrics } = {}, path = '/api/stream') {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) {
+      socket.destroy();
+      return;
+    }
+
+    const track = metrics ? metrics.trackRequest(req.method) : null;
+    const record = (status) => track && track(path, status);
+
+    let auth = { scope: null };
+    if (adminKey) {
+      try {
+        auth = await authenticateKey(database, adminKey, readApiKey(req));
+      } catch (error) {
+        console.error('Error authenticating WebSocket upgrade:', error);
+        auth = null;
+      }
+      if (!auth) {
+        record(401);
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+      }
+    }
+
+    let filters;
+    try {
+      filters = parseFilters(Object.fromEntries(url.searchParams), accountManager);
+      filters.scope = auth.scope;
+    } catch (error) {
+      const status = error.status || 400;
+      record(status);
+      socket.end(`HTTP/1.1 ${status} ${status === 404 ? 'Not Found' : 'Bad Request'}\r\n\r\n`);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const unsubscribe = subscribe(filters, (type, event) => {
+        ws.send(JSON.stringify(event));
+      });
+      ws.on('close', () => {
+        unsubscribe();
+        record(101);
+      });
+      ws.on('error', unsubscribe);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createSseHandler,
+  attachWebSocketStream
+};
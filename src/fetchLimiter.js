@@ -0,0 +1,42 @@
+// Caps how many mailbox fetches run at once across all accounts, so a
+// restart with many accounts catching up doesn't open every fetch together
+class FetchLimiter {
+  constructor(maxConcurrent = 4) {
+    this.maxConcurrent = Math.max(1, maxConcurrent);
+    this.active = 0;
+    this.queue = [];
+  }
+
+  // Run task() once a slot is free; resolves or rejects with its result
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    if (this.active >= this.maxConcurrent || !this.queue.length) return;
+
+    const { task, resolve, reject } = this.queue.shift();
+    this.active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        this.active--;
+        this.next();
+      });
+  }
+
+  getStatus() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: this.active,
+      queued: this.queue.length
+    };
+  }
+}
+
+module.exports = FetchLimiter;
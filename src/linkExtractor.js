@@ -0,0 +1,55 @@
+const ANCHOR_PATTERN = /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi;
+const URL_PATTERN = /https?:\/\/[^\s<>"'()[\]]+/gi;
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+function decodeEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+}
+
+function anchorText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Trailing punctuation usually belongs to the sentence, not the URL
+function trimUrl(url) {
+  return url.replace(/[.,;:!?]+$/, '');
+}
+
+// All http(s) links in an email as { url, text }, HTML anchors first (they
+// carry anchor text), then bare URLs from the text part. Duplicates dropped.
+function findLinks(html, text) {
+  const links = [];
+  const seen = new Set();
+
+  const add = (url, linkText) => {
+    if (!/^https?:\/\//i.test(url) || seen.has(url)) return;
+    seen.add(url);
+    links.push({ url, text: linkText });
+  };
+
+  if (html) {
+    for (const match of html.matchAll(ANCHOR_PATTERN)) {
+      add(decodeEntities(match[2].trim()), anchorText(match[3]));
+    }
+  }
+
+  if (text) {
+    for (const match of text.matchAll(URL_PATTERN)) {
+      add(trimUrl(match[0]), '');
+    }
+  }
+
+  return links;
+}
+
+module.exports = {
+  findLinks
+};
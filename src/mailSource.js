@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { v4: uuidv4 } = require('uuid');
+const eventBus = require('./eventBus');
+const { resolveRecipients } = require('./recipients');
+const SenderAuth = require('./senderAuth');
+
+// Identifies a message from a source without UIDs, so a redelivery (an SMTP
+// retry after a 451, a file scanned again) is recognised as the same
+// message. The envelope recipients are part of it: the same message sent in
+// two SMTP transactions to different recipients is two deliveries.
+function messageHash(rawSource, envelope) {
+  const hash = crypto.createHash('sha256');
+  if (envelope && envelope.to) {
+    hash.update(envelope.to.map((address) => address.toLowerCase()).sort().join(',') + '\n');
+  }
+  return hash.update(rawSource).digest('hex');
+}
+
+// When a message was received as an ISO timestamp: the time the source
+// reports, never later than now, or now when it reports none
+function receivedTime(receivedAt) {
+  const time = receivedAt ? new Date(receivedAt).getTime() : NaN;
+  return new Date(Number.isNaN(time) ? Date.now() : Math.min(time, Date.now())).toISOString();
+}
+
+// Base class for everything that delivers mail to the service (IMAP, the SMTP
+// listener, watched directories). Subclasses implement connect() and hand raw
+// messages to processEmail(), which stores them and runs code/link extraction.
+class MailSource {
+  constructor(config, database, ruleEngine, options = {}) {
+    this.config = config;
+    this.database = database;
+    this.ruleEngine = ruleEngine;
+    this.attachmentOptions = options.attachments || { maxBytes: 10 * 1024 * 1024, allowedTypes: [] };
+    this.codeOptions = options.codes || { ttlSeconds: 300, authPolicy: 'flag' };
+    this.senderAuth = options.senderAuth || new SenderAuth();
+    this.isConnected = false;
+  }
+
+  get type() {
+    return this.config.type || 'imap';
+  }
+
+  // Whether the topmost Authentication-Results header was added by a server
+  // we trust. True for mailboxes, whose provider adds it on delivery; sources
+  // that receive mail directly override this, since anything in those
+  // headers came from the sender.
+  get trustsAuthenticationResults() {
+    return true;
+  }
+
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  // Store one raw RFC822 message and extract its code and link. `uid` is the
+  // source's message id where it has one (IMAP); without one a message is
+  // recognised by its hash (see messageHash). `envelope` ({ from, to }) is
+  // the SMTP envelope for mail received directly. `receivedAt` is when the
+  // message reached the mailbox where the source knows it (IMAP INTERNALDATE),
+  // otherwise it counts as received now. Resolves with false when
+  // the message couldn't be handled, so the source can retry it later; a
+  // message processed before is handled. A retry of a message that was
+  // stored but not processed carries on where the failed attempt stopped.
+  async processEmail(rawEmail, uid = null, envelope = null, receivedAt = null) {
+    try {
+      const parsed = await simpleParser(rawEmail);
+      const bodyText = parsed.text || '';
+      const bodyHtml = parsed.html || '';
+      
+      // Every address the message was sent to, most specific first; the
+      // first is its to_address. Scopes and aliases only match the trusted
+      // ones (see recipients.js).
+      const { recipients, trustedRecipients } = resolveRecipients(parsed, envelope);
+      
+      const email = {
+        id: uuidv4(),
+        emailAccount: this.config.email,
+        subject: parsed.subject || '',
+        fromAddress: parsed.from?.value?.[0]?.address || '',
+        toAddress: recipients[0] || '',
+        recipients: recipients,
+        trustedRecipients: trustedRecipients,
+        bodyText: bodyText,
+        bodyHtml: bodyHtml,
+        headers: this.extractHeaders(parsed),
+        messageId: parsed.messageId || null,
+        rawSource: Buffer.isBuffer(rawEmail) ? rawEmail : Buffer.from(rawEmail || ''),
+        date: parsed.date?.toISOString() || new Date().toISOString(),
+        receivedAt: receivedTime(receivedAt),
+        uid: uid
+      };
+      email.messageHash = uid === null ? messageHash(email.rawSource, envelope) : null;
+
+      // DKIM/SPF/DMARC verdict for the From domain (see senderAuth.js)
+      email.auth = await this.senderAuth.evaluate(parsed, email.rawSource, {
+        trustTopmost: this.trustsAuthenticationResults
+      });
+
+      // What an earlier attempt at this message saved before it failed;
+      // the steps it got through aren't repeated
+      let resumed = null;
+      if (await this.database.insertEmail(email)) {
+        console.log(`New email: ${email.subject}`);
+      } else {
+        resumed = await this.database.resumeEmail(email);
+        if (!resumed) return true;
+        email.id = resumed.id;
+        console.log(`Resuming email: ${email.subject}`);
+      }
+
+      const saved = resumed ? await this.database.getAttachmentsByEmailId(email.id) : [];
+      await this.saveAttachments(email.id, parsed.attachments, saved);
+
+      eventBus.emit('email.received', {
+        id: email.id,
+        emailAccount: email.emailAccount,
+        subject: email.subject,
+        fromAddress: email.fromAddress,
+        toAddress: email.toAddress,
+        recipients: email.recipients,
+        trustedRecipients: email.trustedRecipients,
+        date: email.date,
+        receivedAt: email.receivedAt,
+        uid: uid
+      });
+      const foundCode = resumed && resumed.codes > 0 ? true : await this.extractCode(email);
+      const foundLink = resumed && resumed.links > 0 ? true : await this.extractLink(email);
+
+      if (!resumed || !resumed.actions) {
+        await this.onProcessed(email, foundCode || foundLink);
+      }
+      await this.database.markEmailProcessed(email.id);
+      return true;
+    } catch (error) {
+      console.error('Error processing email:', error);
+      return false;
+    }
+  }
+
+  isAttachmentAllowed(contentType) {
+    const { allowedTypes } = this.attachmentOptions;
+    if (!allowedTypes.length) return true;
+
+    const type = (contentType || '').toLowerCase();
+    return allowedTypes.some((allowed) =>
+      allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+    );
+  }
+
+  // `saved` lists attachments of the email already stored, which are skipped
+  async saveAttachments(emailId, attachments = [], saved = []) {
+    for (const attachment of attachments) {
+      // Inline images referenced by the HTML part aren't attachments
+      if (attachment.related) continue;
+
+      const filename = attachment.filename || 'attachment';
+      const checksum = crypto.createHash('sha256').update(attachment.content).digest('hex');
+      if (saved.some((stored) => stored.filename === filename && stored.checksum === checksum)) continue;
+
+      if (attachment.size > this.attachmentOptions.maxBytes) {
+        console.warn(`Skipping attachment ${filename}: ${attachment.size} bytes exceeds limit of ${this.attachmentOptions.maxBytes}`);
+        continue;
+      }
+      if (!this.isAttachmentAllowed(attachment.contentType)) {
+        console.warn(`Skipping attachment ${filename}: type ${attachment.contentType} not allowed`);
+        continue;
+      }
+
+      await this.database.insertAttachment({
+        id: uuidv4(),
+        emailId: emailId,
+        filename: filename,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        checksum: checksum,
+        content: attachment.content
+      });
+      console.log(`Attachment saved: ${filename} (${attachment.size} bytes)`);
+    }
+  }
+
+  // Header lines as [{ name, value }] in their original order, unfolded
+  extractHeaders(parsed) {
+    return (parsed.headerLines || []).map(({ line }) => {
+      const separator = line.indexOf(':');
+      return {
+        name: line.slice(0, separator).trim(),
+        value: line.slice(separator + 1).replace(/\r?\n[ \t]+/g, ' ').trim()
+      };
+    });
+  }
+
+  async extractCode(email) {
+    const result = this.ruleEngine.extract(email);
+    if (!result) {
+      // Internal only (metrics); not part of the public event stream
+      eventBus.emit('code.missed', {
+        emailId: email.id,
+        emailAccount: email.emailAccount,
+        fromAddress: email.fromAddress,
+        subject: email.subject
+      });
+      return false;
+    }
+
+    const code = result.code;
+    const authResult = email.auth ? email.auth.result : 'none';
+
+    // Codes from senders that didn't authenticate follow the rule's
+    // authPolicy (default CODE_AUTH_POLICY)
+    const policy = this.authPolicy(result.rule);
+    if (authResult !== 'pass' && policy === 'reject') {
+      console.warn(`Code rejected: ${email.fromAddress} did not authenticate (${email.auth ? email.auth.reason : 'no verdict'})`);
+      // Internal only (metrics); not part of the public event stream
+      eventBus.emit('code.rejected', {
+        emailId: email.id,
+        emailAccount: email.emailAccount,
+        fromAddress: email.fromAddress,
+        subject: email.subject,
+        authResult: authResult
+      });
+      return false;
+    }
+
+    const flagged = authResult !== 'pass' && policy === 'flag';
+    const expiresAt = this.codeExpiry(email, result.rule);
+    const codeId = await this.database.insertCode(email.id, code, expiresAt, { flagged });
+    console.log(`Code extracted: ${code} (rule: ${result.rule.name}${flagged ? ', flagged: sender not authenticated' : ''})`);
+
+    eventBus.emit('code.extracted', {
+      id: codeId,
+      emailId: email.id,
+      code: code,
+      emailAccount: email.emailAccount,
+      fromAddress: email.fromAddress,
+      toAddress: email.toAddress,
+      recipients: email.recipients,
+      trustedRecipients: email.trustedRecipients,
+      subject: email.subject,
+      date: email.date,
+      receivedAt: email.receivedAt,
+      expiresAt: expiresAt,
+      authResult: authResult,
+      flagged: flagged
+    });
+
+    return true;
+  }
+
+  authPolicy(rule) {
+    return rule.authPolicy !== null && rule.authPolicy !== undefined ? rule.authPolicy : this.codeOptions.authPolicy || 'flag';
+  }
+
+  // Codes expire ttl seconds after the email was received. The sender's
+  // Date header isn't used, so a sender can't extend or shorten a code's life.
+  codeExpiry(email, rule) {
+    const ttl = rule.ttl !== null ? rule.ttl : this.codeOptions.ttlSeconds;
+    if (!ttl) return null;
+
+    return new Date(Date.parse(receivedTime(email.receivedAt)) + ttl * 1000).toISOString();
+  }
+
+  async extractLink(email) {
+    const result = this.ruleEngine.extractLink(email);
+    if (!result) {
+      return false;
+    }
+
+    // Same sender authenticity policy as codes
+    const authResult = email.auth ? email.auth.result : 'none';
+    const policy = this.authPolicy(result.rule);
+    if (authResult !== 'pass' && policy === 'reject') {
+      console.warn(`Link rejected: ${email.fromAddress} did not authenticate (${email.auth ? email.auth.reason : 'no verdict'})`);
+      return false;
+    }
+
+    const flagged = authResult !== 'pass' && policy === 'flag';
+    const linkId = await this.database.insertLink(email.id, result.url, result.text, { flagged });
+    console.log(`Link extracted: ${result.url} (rule: ${result.rule.name}${flagged ? ', flagged: sender not authenticated' : ''})`);
+
+    eventBus.emit('link.extracted', {
+      id: linkId,
+      emailId: email.id,
+      url: result.url,
+      text: result.text,
+      emailAccount: email.emailAccount,
+      fromAddress: email.fromAddress,
+      toAddress: email.toAddress,
+      recipients: email.recipients,
+      trustedRecipients: email.trustedRecipients,
+      subject: email.subject,
+      authResult: authResult,
+      flagged: flagged
+    });
+
+    return true;
+  }
+
+  // Called once a new message was stored and extraction ran; `extracted`
+  // is true when a code or link was found in it. Not called again for a
+  // message whose actions were stored by an earlier attempt.
+  async onProcessed(email, extracted) {}
+
+  emitConnectionState(state, details = {}) {
+    eventBus.emit('connection.state', {
+      state: state,
+      name: this.config.name || this.config.email,
+      emailAccount: this.config.email,
+      ...details
+    });
+  }
+
+  getStatus() {
+    return {
+      name: this.config.name || this.config.email,
+      type: this.type,
+      connected: this.isConnected,
+      email: this.config.email
+    };
+  }
+}
+
+module.exports = MailSource;
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const MailSource = require('./mailSource');
+
+// Wait for a burst of file events to settle before scanning
+const SCAN_DEBOUNCE_MS = 200;
+// .eml files modified more recently than this may still be being written
+const SETTLE_MS = 1000;
+// Files that couldn't be stored stay where they are and are retried
+const RETRY_MS = 60 * 1000;
+
+// Watched directory source. A Maildir (with new/ and cur/) is read from new/
+// and processed messages are moved to cur/ flagged as seen, like any mail
+// client would. Any other directory is scanned for *.eml files, which are
+// moved to processed/ once stored. A file is only moved after it was
+// stored; one that fails stays put for the next scan.
+class MaildirSource extends MailSource {
+  constructor(config, database, ruleEngine, options = {}) {
+    super(config, database, ruleEngine, options);
+    this.watcher = null;
+    this.scanTimer = null;
+    this.scanPromise = null;
+    this.scanRequested = false;
+    this.isMaildir = false;
+    this.messagesProcessed = 0;
+  }
+
+  get incomingDir() {
+    return this.isMaildir ? path.join(this.config.path, 'new') : this.config.path;
+  }
+
+  async connect() {
+    const stat = await fs.promises.stat(this.config.path).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Watched directory does not exist: ${this.config.path}`);
+    }
+
+    this.isMaildir = fs.existsSync(path.join(this.config.path, 'new')) && fs.existsSync(path.join(this.config.path, 'cur'));
+    if (!this.isMaildir) {
+      await fs.promises.mkdir(path.join(this.config.path, 'processed'), { recursive: true });
+    }
+
+    this.watcher = fs.watch(this.incomingDir, () => this.scheduleScan(SCAN_DEBOUNCE_MS));
+    this.watcher.on('error', (err) => {
+      console.error(`Watch error for ${this.config.path}:`, err.message);
+      this.isConnected = false;
+      this.emitConnectionState('disconnected', { error: err.message });
+    });
+
+    console.log(`Watching ${this.isMaildir ? 'Maildir' : 'directory'} ${this.config.path} for ${this.config.name}`);
+    this.isConnected = true;
+    this.emitConnectionState('connected');
+
+    // Pick up whatever arrived while the service was down
+    await this.scan();
+  }
+
+  scheduleScan(delay) {
+    clearTimeout(this.scanTimer);
+    this.scanTimer = setTimeout(() => this.scan(), delay);
+  }
+
+  // Same folding as the IMAP sync: one extra pass for events during a scan
+  scan() {
+    if (this.scanPromise) {
+      this.scanRequested = true;
+      return this.scanPromise;
+    }
+
+    this.scanPromise = (async () => {
+      do {
+        this.scanRequested = false;
+        await this.scanOnce();
+      } while (this.scanRequested);
+    })()
+      .catch((err) => {
+        console.error(`Error scanning ${this.config.path}:`, err.message);
+      })
+      .finally(() => {
+        this.scanPromise = null;
+      });
+
+    return this.scanPromise;
+  }
+
+  async scanOnce() {
+    const entries = await fs.promises.readdir(this.incomingDir, { withFileTypes: true });
+    const files = entries
+      .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+      .filter((entry) => this.isMaildir || /\.eml$/i.test(entry.name))
+      .map((entry) => entry.name)
+      .sort();
+
+    for (const name of files) {
+      const file = path.join(this.incomingDir, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (!stat) continue;
+
+      // Maildir deliveries are atomic renames from tmp/; plain files are not
+      if (!this.isMaildir && Date.now() - stat.mtimeMs < SETTLE_MS) {
+        this.scheduleScan(SETTLE_MS);
+        continue;
+      }
+
+      const raw = await fs.promises.readFile(file);
+      if (!(await this.processEmail(raw))) {
+        console.warn(`Could not store ${file}; retrying in ${RETRY_MS / 1000}s`);
+        this.scheduleScan(RETRY_MS);
+        continue;
+      }
+      await fs.promises.rename(file, this.processedPath(name));
+      this.messagesProcessed++;
+    }
+  }
+
+  processedPath(name) {
+    if (!this.isMaildir) {
+      return path.join(this.config.path, 'processed', name);
+    }
+    // Maildir "info" suffix: version 2, flagged Seen
+    return path.join(this.config.path, 'cur', name.includes(':2,') ? name : `${name}:2,S`);
+  }
+
+  close() {
+    clearTimeout(this.scanTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    this.isConnected = false;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      path: this.config.path,
+      messagesProcessed: this.messagesProcessed
+    };
+  }
+}
+
+module.exports = MaildirSource;
@@ -0,0 +1,89 @@
+// Server-side actions taken on an IMAP message once it has been handled,
+// configured per account (accounts file, MESSAGE_ACTIONS) and per
+// extraction rule ("actions", "actionsOn"):
+//   seen          - add \Seen (the default)
+//   flag          - add \Flagged
+//   label:<name>  - Gmail label (X-GM-LABELS), or an IMAP keyword elsewhere
+//   move:<folder> - move to another mailbox
+//   delete        - add \Deleted, and expunge it where the server has UIDPLUS
+//   none          - leave the message untouched
+const ACTION_TYPES = ['seen', 'flag', 'label', 'move', 'delete', 'none'];
+
+// When actions run: once a code or link was extracted from the message, or
+// for every message as soon as it is stored
+const TRIGGERS = ['extracted', 'stored'];
+
+// Flag changes run before the message leaves the mailbox
+const ORDER = ['seen', 'flag', 'label', 'move', 'delete'];
+
+function actionError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// One action from "type", "type:target" or { type, folder | label }
+function parseAction(entry, label) {
+  const { type, target } = typeof entry === 'string'
+    ? { type: entry.split(':')[0], target: entry.includes(':') ? entry.slice(entry.indexOf(':') + 1) : null }
+    : { type: entry && entry.type, target: entry && (entry.folder || entry.label || entry.target) };
+
+  const normalized = String(type || '').trim().toLowerCase();
+  if (!ACTION_TYPES.includes(normalized)) {
+    throw actionError(`${label} has unknown action "${type}" (expected ${ACTION_TYPES.join(', ')})`);
+  }
+
+  const needsTarget = normalized === 'move' || normalized === 'label';
+  const value = target === null || target === undefined ? '' : String(target).trim();
+  if (needsTarget && !value) {
+    throw actionError(`${label}: ${normalized} needs a ${normalized === 'move' ? 'folder' : 'label'} ("${normalized}:<name>")`);
+  }
+
+  return { type: normalized, target: needsTarget ? value : null };
+}
+
+// Validated list of actions in the order they run. Accepts an array or a
+// comma-separated string; "none" (or an empty list) leaves messages alone.
+function normalizeActions(input, label = 'actions') {
+  const entries = typeof input === 'string'
+    ? input.split(',').map((entry) => entry.trim()).filter(Boolean)
+    : input;
+  if (!Array.isArray(entries)) {
+    throw actionError(`${label} must be a list of actions`);
+  }
+
+  const actions = entries.map((entry) => parseAction(entry, label));
+  if (actions.some((action) => action.type === 'none')) {
+    if (actions.length > 1) throw actionError(`${label}: "none" can't be combined with other actions`);
+    return [];
+  }
+  if (actions.filter((action) => action.type === 'move' || action.type === 'delete').length > 1) {
+    throw actionError(`${label}: only one of move or delete can be given`);
+  }
+
+  return actions
+    .map((action, index) => ({ action, index }))
+    .sort((a, b) => ORDER.indexOf(a.action.type) - ORDER.indexOf(b.action.type) || a.index - b.index)
+    .map(({ action }) => action);
+}
+
+function normalizeTrigger(input, label = 'Rule') {
+  const trigger = String(input || 'extracted').trim().toLowerCase();
+  if (!TRIGGERS.includes(trigger)) {
+    throw actionError(`${label} has unknown actionsOn "${input}" (expected ${TRIGGERS.join(', ')})`);
+  }
+  return trigger;
+}
+
+// "move:Archive/OTP" style description, as used in logs
+function describeAction(action) {
+  return action.target ? `${action.type}:${action.target}` : action.type;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  TRIGGERS,
+  normalizeActions,
+  normalizeTrigger,
+  describeAction
+};
@@ -0,0 +1,203 @@
+const client = require('prom-client');
+const eventBus = require('./eventBus');
+
+// Seconds from an email's Date header to its code being claimable
+const CODE_DELAY_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+// Status recorded for requests the client abandoned before any response
+// (nginx's "client closed request")
+const CLIENT_CLOSED_STATUS = 499;
+
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+// Prometheus metrics for GET /metrics. Ingestion is counted from the event
+// bus; connection state is read from the account manager at scrape time so
+// a listener that died without emitting anything still shows up.
+class Metrics {
+  constructor(accountManager) {
+    this.accountManager = accountManager;
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+
+    this.emailsProcessed = new client.Counter({
+      name: 'emails_processed_total',
+      help: 'New emails stored, per account',
+      labelNames: ['account'],
+      registers
+    });
+
+    this.codesExtracted = new client.Counter({
+      name: 'codes_extracted_total',
+      help: 'Codes extracted from new emails, per account',
+      labelNames: ['account'],
+      registers
+    });
+
+    this.extractionMisses = new client.Counter({
+      name: 'code_extraction_misses_total',
+      help: 'New emails no extraction rule found a code in, per account',
+      labelNames: ['account'],
+      registers
+    });
+
+    this.codesRejected = new client.Counter({
+      name: 'codes_rejected_total',
+      help: 'Codes dropped because the sender did not authenticate, per account',
+      labelNames: ['account'],
+      registers
+    });
+
+    this.codeDelay = new client.Histogram({
+      name: 'code_availability_delay_seconds',
+      help: 'Time from the email Date header until its code was available',
+      labelNames: ['account'],
+      buckets: CODE_DELAY_BUCKETS,
+      registers
+    });
+
+    this.lastEmail = new client.Gauge({
+      name: 'last_email_received_timestamp_seconds',
+      help: 'Unix time the last new email was stored, per account',
+      labelNames: ['account'],
+      registers
+    });
+
+    this.reconnects = new client.Counter({
+      name: 'imap_reconnects_total',
+      help: 'IMAP reconnects scheduled after a dropped or failed connection',
+      labelNames: ['account'],
+      registers
+    });
+
+    new client.Gauge({
+      name: 'mail_source_connected',
+      help: '1 while the mail source is connected (IMAP session open, SMTP listening, folder watched)',
+      labelNames: ['account', 'name', 'type'],
+      registers,
+      collect() {
+        this.reset();
+        for (const service of accountManager.list()) {
+          this.set(
+            { account: service.config.email, name: service.config.name, type: service.type },
+            service.isConnected ? 1 : 0
+          );
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: 'imap_reconnect_attempts',
+      help: 'Consecutive failed IMAP reconnect attempts; 0 once connected',
+      labelNames: ['account', 'name'],
+      registers,
+      collect() {
+        this.reset();
+        for (const service of accountManager.list()) {
+          if (service.type !== 'imap') continue;
+          this.set({ account: service.config.email, name: service.config.name }, service.reconnectAttempts);
+        }
+      }
+    });
+
+    this.httpRequests = new client.Counter({
+      name: 'http_requests_total',
+      help: 'API requests by route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers
+    });
+
+    this.httpDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'API request latency by route',
+      labelNames: ['method', 'route'],
+      buckets: HTTP_DURATION_BUCKETS,
+      registers
+    });
+
+    this.cleanupDeleted = new client.Counter({
+      name: 'cleanup_deleted_rows_total',
+      help: 'Rows removed by the retention cleanup, per table',
+      labelNames: ['table'],
+      registers
+    });
+
+    eventBus.on('email.received', (email) => {
+      this.emailsProcessed.inc({ account: email.emailAccount });
+      this.lastEmail.set({ account: email.emailAccount }, Date.now() / 1000);
+    });
+
+    eventBus.on('code.extracted', (code) => {
+      this.codesExtracted.inc({ account: code.emailAccount });
+
+      const sentAt = Date.parse(code.date);
+      if (!Number.isNaN(sentAt)) {
+        this.codeDelay.observe({ account: code.emailAccount }, Math.max(0, (Date.now() - sentAt) / 1000));
+      }
+    });
+
+    eventBus.on('code.missed', (email) => {
+      this.extractionMisses.inc({ account: email.emailAccount });
+    });
+
+    eventBus.on('code.rejected', (email) => {
+      this.codesRejected.inc({ account: email.emailAccount });
+    });
+
+    eventBus.on('connection.state', (event) => {
+      if (event.state === 'reconnecting') {
+        this.reconnects.inc({ account: event.emailAccount });
+      }
+    });
+  }
+
+  // Starts timing a request; the returned function records it once, under
+  // its route and status, however many of the ways it can end call it
+  trackRequest(method) {
+    const end = this.httpDuration.startTimer();
+    let recorded = false;
+
+    return (route, status) => {
+      if (recorded) return;
+      recorded = true;
+      end({ method, route });
+      this.httpRequests.inc({ method, route, status });
+    };
+  }
+
+  // Express middleware counting requests under their route pattern
+  // ("/api/emails/:id"), so ids don't turn into separate series. Long polls
+  // and event streams often end with the client going away, which emits
+  // 'close' without 'finish'; those that got no response count as 499.
+  middleware() {
+    return (req, res, next) => {
+      const record = this.trackRequest(req.method);
+      const onEnd = () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        record(route, res.headersSent ? res.statusCode : CLIENT_CLOSED_STATUS);
+      };
+
+      res.once('finish', onEnd);
+      res.once('close', onEnd);
+
+      next();
+    };
+  }
+
+  // Per-table counts resolved by the storage backend's cleanupOldEmails
+  recordCleanup(deleted) {
+    for (const [table, count] of Object.entries(deleted)) {
+      this.cleanupDeleted.inc({ table }, count);
+    }
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
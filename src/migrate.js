@@ -0,0 +1,51 @@
+require('dotenv').config();
+const Migrator = require('./migrator');
+const { createStorage } = require('./storage');
+const { loadStorageOptions } = require('./config');
+
+const USAGE = `Usage:
+  npm run migrate -- status          List migrations and whether they are applied
+  npm run migrate -- up [--to N]     Apply pending migrations (up to version N)`;
+
+function parseTarget(args) {
+  const index = args.indexOf('--to');
+  if (index === -1) return Infinity;
+
+  const to = parseInt(args[index + 1], 10);
+  if (Number.isNaN(to)) {
+    throw new Error('--to needs a migration version');
+  }
+  return to;
+}
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  if (!['status', 'up'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const database = createStorage({ ...loadStorageOptions(), migrate: false });
+  await database.ready;
+
+  if (command === 'up') {
+    const applied = await database.migrate({ to: parseTarget(args) });
+    console.log(applied.length ? `${applied.length} migration(s) applied` : 'Schema is up to date');
+  } else {
+    const { migrations, unknown } = await database.migrationStatus();
+    for (const migration of migrations) {
+      const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${Migrator.label(migration)}  ${state}`);
+    }
+    for (const row of unknown) {
+      console.log(`${Migrator.label(row)}  applied ${row.applied_at} (no migration file)`);
+    }
+  }
+
+  await database.close();
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+// Same tables and columns as the SQLite schema, so rows look alike on both
+// backends: timestamps are TEXT ("YYYY-MM-DD HH:MM:SS" UTC for created_at,
+// ISO 8601 elsewhere) and `used` flags are 0/1 integers.
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+// Timestamps are compared as strings; the C collation compares them byte by
+// byte like SQLite does, whatever the database's locale
+const TIMESTAMP = 'TEXT COLLATE "C"';
+
+const statements = [
+  `CREATE TABLE IF NOT EXISTS emails (
+    id TEXT PRIMARY KEY,
+    email_account TEXT NOT NULL,
+    subject TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    body_text TEXT,
+    body_html TEXT,
+    headers TEXT,
+    message_id TEXT,
+    raw_source BYTEA,
+    date ${TIMESTAMP},
+    uid BIGINT,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    -- Full-text index over the body, the counterpart of SQLite's emails_fts
+    body_search TSVECTOR GENERATED ALWAYS AS (to_tsvector('simple', coalesce(body_text, ''))) STORED,
+    UNIQUE (email_account, uid)
+  )`,
+  `CREATE INDEX IF NOT EXISTS emails_account_created_idx ON emails (email_account, created_at)`,
+  `CREATE INDEX IF NOT EXISTS emails_created_idx ON emails (created_at)`,
+  `CREATE INDEX IF NOT EXISTS emails_body_search_idx ON emails USING GIN (body_search)`,
+
+  `CREATE TABLE IF NOT EXISTS codes (
+    id SERIAL PRIMARY KEY,
+    email_id TEXT NOT NULL REFERENCES emails (id),
+    code TEXT NOT NULL,
+    used INTEGER NOT NULL DEFAULT 0,
+    claim_token TEXT,
+    claimed_at ${TIMESTAMP},
+    lease_expires_at ${TIMESTAMP},
+    expires_at ${TIMESTAMP},
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW}
+  )`,
+  `CREATE INDEX IF NOT EXISTS codes_email_idx ON codes (email_id)`,
+  `CREATE INDEX IF NOT EXISTS codes_claim_token_idx ON codes (claim_token)`,
+
+  `CREATE TABLE IF NOT EXISTS links (
+    id SERIAL PRIMARY KEY,
+    email_id TEXT NOT NULL REFERENCES emails (id),
+    url TEXT NOT NULL,
+    text TEXT,
+    used INTEGER NOT NULL DEFAULT 0,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW}
+  )`,
+  `CREATE INDEX IF NOT EXISTS links_email_idx ON links (email_id)`,
+
+  `CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    email_id TEXT NOT NULL REFERENCES emails (id),
+    filename TEXT,
+    content_type TEXT,
+    size INTEGER,
+    checksum TEXT,
+    content BYTEA,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW}
+  )`,
+  `CREATE INDEX IF NOT EXISTS attachments_email_idx ON attachments (email_id)`,
+
+  // API keys are stored hashed; allowed_to/allowed_from are JSON arrays of address globs
+  `CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    allowed_to TEXT NOT NULL DEFAULT '[]',
+    allowed_from TEXT NOT NULL DEFAULT '[]',
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    last_used_at ${TIMESTAMP}
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    email_account TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW}
+  )`,
+
+  // Doubles as the retry queue (status = 'pending') and the delivery log
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at ${TIMESTAMP},
+    response_status INTEGER,
+    last_error TEXT,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    delivered_at ${TIMESTAMP}
+  )`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (status, next_attempt_at)`,
+
+  // Extraction rules managed through /api/rules; the rule itself is stored as JSON
+  `CREATE TABLE IF NOT EXISTS extraction_rules (
+    id TEXT PRIMARY KEY,
+    definition TEXT NOT NULL,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    updated_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW}
+  )`,
+
+  // Last processed UID per account/mailbox; only valid for the stored UIDVALIDITY
+  `CREATE TABLE IF NOT EXISTS sync_state (
+    email_account TEXT NOT NULL,
+    mailbox TEXT NOT NULL,
+    uid_validity BIGINT NOT NULL,
+    last_uid BIGINT NOT NULL,
+    updated_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    PRIMARY KEY (email_account, mailbox)
+  )`
+];
+
+module.exports = {
+  description: 'Create the tables and the body search index',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
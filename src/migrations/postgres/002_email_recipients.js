@@ -0,0 +1,25 @@
+// Every address an email was sent to (see recipients.js), so lookups by
+// recipient find it under any of them. `position` keeps them in resolution
+// order; position 0 is the email's to_address.
+const statements = [
+  `CREATE TABLE IF NOT EXISTS email_recipients (
+    email_id TEXT NOT NULL REFERENCES emails (id),
+    address TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (email_id, address)
+  )`,
+  `CREATE INDEX IF NOT EXISTS email_recipients_address_idx ON email_recipients (address)`,
+  // Emails stored before this only know their to_address
+  `INSERT INTO email_recipients (email_id, address, position)
+    SELECT id, lower(trim(to_address)), 0 FROM emails WHERE trim(coalesce(to_address, '')) <> ''
+    ON CONFLICT DO NOTHING`
+];
+
+module.exports = {
+  description: 'Store all recipients of an email',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
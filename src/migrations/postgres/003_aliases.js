@@ -0,0 +1,21 @@
+// Disposable addresses generated by POST /api/aliases (see aliasService.js)
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+const statements = [
+  `CREATE TABLE IF NOT EXISTS aliases (
+    address TEXT PRIMARY KEY,
+    template TEXT NOT NULL,
+    created_at TEXT COLLATE "C" NOT NULL DEFAULT ${NOW},
+    expires_at TEXT COLLATE "C" NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS aliases_expires_idx ON aliases (expires_at)`
+];
+
+module.exports = {
+  description: 'Add disposable aliases',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,28 @@
+// Authenticator secrets served by /api/totp (see totpService.js). The
+// secret column is always encrypted.
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+const statements = [
+  `CREATE TABLE IF NOT EXISTS totp_secrets (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    type TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    issuer TEXT,
+    account TEXT,
+    algorithm TEXT NOT NULL DEFAULT 'SHA1',
+    digits INTEGER NOT NULL DEFAULT 6,
+    period INTEGER,
+    counter BIGINT,
+    created_at TEXT COLLATE "C" NOT NULL DEFAULT ${NOW}
+  )`
+];
+
+module.exports = {
+  description: 'Add TOTP/HOTP secrets',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,35 @@
+// Server-side actions on handled IMAP messages (see messageActions.js), one
+// row per action. Failed actions stay pending until their next attempt;
+// the row is also the record of what was done to the message.
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+const TIMESTAMP = 'TEXT COLLATE "C"';
+
+const statements = [
+  `CREATE TABLE IF NOT EXISTS email_actions (
+    id SERIAL PRIMARY KEY,
+    email_id TEXT NOT NULL REFERENCES emails (id),
+    email_account TEXT NOT NULL,
+    mailbox TEXT NOT NULL,
+    uid BIGINT NOT NULL,
+    uid_validity BIGINT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at ${TIMESTAMP},
+    last_error TEXT,
+    created_at ${TIMESTAMP} NOT NULL DEFAULT ${NOW},
+    completed_at ${TIMESTAMP}
+  )`,
+  `CREATE INDEX IF NOT EXISTS email_actions_email_idx ON email_actions (email_id)`,
+  `CREATE INDEX IF NOT EXISTS email_actions_pending_idx ON email_actions (email_account, mailbox, status)`
+];
+
+module.exports = {
+  description: 'Add post-processing actions on IMAP messages',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,16 @@
+// Sources without a message id of their own (the SMTP listener, watched
+// directories) identify a message by a hash of its raw source and envelope
+// recipients, so a redelivered message is recognised like a known IMAP UID.
+const statements = [
+  `ALTER TABLE emails ADD COLUMN IF NOT EXISTS message_hash TEXT`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS emails_message_hash_idx ON emails (email_account, message_hash)`
+];
+
+module.exports = {
+  description: 'Recognise redelivered messages without a UID',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
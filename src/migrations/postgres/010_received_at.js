@@ -0,0 +1,18 @@
+// When an email reached the mailbox (IMAP INTERNALDATE) or the service, as
+// an ISO timestamp. Code age and `since` count from it rather than from the
+// sender's Date header. Emails from before this count as received when
+// they were stored.
+const statements = [
+  `ALTER TABLE emails ADD COLUMN IF NOT EXISTS received_at TEXT COLLATE "C"`,
+  `UPDATE emails SET received_at = replace(created_at, ' ', 'T') || '.000Z' WHERE received_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS emails_received_at_idx ON emails (received_at)`
+];
+
+module.exports = {
+  description: 'Record when emails were received',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
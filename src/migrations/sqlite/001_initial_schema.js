@@ -0,0 +1,146 @@
+// Every table as of the first versioned schema. Databases created before
+// migrations existed already have these tables; their missing columns are
+// added by 002_legacy_columns.
+const createEmailsTable = `
+  CREATE TABLE IF NOT EXISTS emails (
+    id TEXT PRIMARY KEY,
+    email_account TEXT NOT NULL,
+    subject TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    body_text TEXT,
+    body_html TEXT,
+    headers TEXT,
+    message_id TEXT,
+    raw_source BLOB,
+    date TEXT,
+    uid INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(email_account, uid)
+  )
+`;
+
+const createCodesTable = `
+  CREATE TABLE IF NOT EXISTS codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email_id TEXT NOT NULL,
+    code TEXT NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    claim_token TEXT,
+    claimed_at TEXT,
+    lease_expires_at TEXT,
+    expires_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (email_id) REFERENCES emails (id)
+  )
+`;
+
+const createLinksTable = `
+  CREATE TABLE IF NOT EXISTS links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    text TEXT,
+    used BOOLEAN DEFAULT FALSE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (email_id) REFERENCES emails (id)
+  )
+`;
+
+const createAttachmentsTable = `
+  CREATE TABLE IF NOT EXISTS attachments (
+    id TEXT PRIMARY KEY,
+    email_id TEXT NOT NULL,
+    filename TEXT,
+    content_type TEXT,
+    size INTEGER,
+    checksum TEXT,
+    content BLOB,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (email_id) REFERENCES emails (id)
+  )
+`;
+
+// API keys are stored hashed; allowed_to/allowed_from are JSON arrays of address globs
+const createApiKeysTable = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    allowed_to TEXT NOT NULL DEFAULT '[]',
+    allowed_from TEXT NOT NULL DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT
+  )
+`;
+
+const createWebhooksTable = `
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    email_account TEXT,
+    from_address TEXT,
+    to_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Doubles as the retry queue (status = 'pending') and the delivery log
+const createWebhookDeliveriesTable = `
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TEXT,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    delivered_at TEXT
+  )
+`;
+
+// Extraction rules managed through /api/rules; the rule itself is stored as JSON
+const createExtractionRulesTable = `
+  CREATE TABLE IF NOT EXISTS extraction_rules (
+    id TEXT PRIMARY KEY,
+    definition TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Last processed UID per account/mailbox; only valid for the stored UIDVALIDITY
+const createSyncStateTable = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+    email_account TEXT NOT NULL,
+    mailbox TEXT NOT NULL,
+    uid_validity INTEGER NOT NULL,
+    last_uid INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (email_account, mailbox)
+  )
+`;
+
+module.exports = {
+  description: 'Create the core tables',
+  async up(db) {
+    for (const sql of [
+      createEmailsTable,
+      createCodesTable,
+      createLinksTable,
+      createAttachmentsTable,
+      createApiKeysTable,
+      createWebhooksTable,
+      createWebhookDeliveriesTable,
+      createExtractionRulesTable,
+      createSyncStateTable
+    ]) {
+      await db.run(sql);
+    }
+  }
+};
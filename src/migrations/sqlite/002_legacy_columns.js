@@ -0,0 +1,32 @@
+// Columns that were added to existing tables before migrations were
+// versioned. New databases already have them from 001_initial_schema.
+const LEGACY_COLUMNS = {
+  emails: [
+    ['to_address', 'TEXT'],
+    ['body_html', 'TEXT'],
+    ['headers', 'TEXT'],
+    ['message_id', 'TEXT'],
+    ['raw_source', 'BLOB']
+  ],
+  codes: [
+    ['used', 'BOOLEAN DEFAULT FALSE'],
+    ['claim_token', 'TEXT'],
+    ['claimed_at', 'TEXT'],
+    ['lease_expires_at', 'TEXT'],
+    ['expires_at', 'TEXT']
+  ]
+};
+
+module.exports = {
+  description: 'Add columns missing from databases created by earlier versions',
+  async up(db) {
+    for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+      const existing = await db.columns(table);
+      for (const [column, type] of columns) {
+        if (!existing.includes(column)) {
+          await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+        }
+      }
+    }
+  }
+};
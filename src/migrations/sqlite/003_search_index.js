@@ -0,0 +1,25 @@
+// Full-text index over email bodies, kept in sync by triggers
+const createEmailsFts = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS emails_fts USING fts5(
+    body_text, content='emails', content_rowid='rowid'
+  );
+  CREATE TRIGGER IF NOT EXISTS emails_fts_insert AFTER INSERT ON emails BEGIN
+    INSERT INTO emails_fts(rowid, body_text) VALUES (new.rowid, new.body_text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS emails_fts_delete AFTER DELETE ON emails BEGIN
+    INSERT INTO emails_fts(emails_fts, rowid, body_text) VALUES ('delete', old.rowid, old.body_text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS emails_fts_update AFTER UPDATE OF body_text ON emails BEGIN
+    INSERT INTO emails_fts(emails_fts, rowid, body_text) VALUES ('delete', old.rowid, old.body_text);
+    INSERT INTO emails_fts(rowid, body_text) VALUES (new.rowid, new.body_text);
+  END;
+`;
+
+module.exports = {
+  description: 'Add the email body search index',
+  async up(db) {
+    await db.exec(createEmailsFts);
+    // Index emails stored before the index existed
+    await db.run(`INSERT INTO emails_fts(emails_fts) VALUES ('rebuild')`);
+  }
+};
@@ -0,0 +1,25 @@
+// Every address an email was sent to (see recipients.js), so lookups by
+// recipient find it under any of them. `position` keeps them in resolution
+// order; position 0 is the email's to_address.
+const createEmailRecipients = `
+  CREATE TABLE IF NOT EXISTS email_recipients (
+    email_id TEXT NOT NULL,
+    address TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (email_id, address),
+    FOREIGN KEY (email_id) REFERENCES emails (id)
+  );
+  CREATE INDEX IF NOT EXISTS email_recipients_address_idx ON email_recipients (address);
+`;
+
+module.exports = {
+  description: 'Store all recipients of an email',
+  async up(db) {
+    await db.exec(createEmailRecipients);
+    // Emails stored before this only know their to_address
+    await db.run(`
+      INSERT OR IGNORE INTO email_recipients (email_id, address, position)
+      SELECT id, lower(trim(to_address)), 0 FROM emails WHERE trim(coalesce(to_address, '')) != ''
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+// Disposable addresses generated by POST /api/aliases (see aliasService.js)
+const createAliases = `
+  CREATE TABLE IF NOT EXISTS aliases (
+    address TEXT PRIMARY KEY,
+    template TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS aliases_expires_idx ON aliases (expires_at);
+`;
+
+module.exports = {
+  description: 'Add disposable aliases',
+  async up(db) {
+    await db.exec(createAliases);
+  }
+};
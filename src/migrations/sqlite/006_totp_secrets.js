@@ -0,0 +1,24 @@
+// Authenticator secrets served by /api/totp (see totpService.js). The
+// secret column is always encrypted.
+const createTotpSecrets = `
+  CREATE TABLE IF NOT EXISTS totp_secrets (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    type TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    issuer TEXT,
+    account TEXT,
+    algorithm TEXT NOT NULL DEFAULT 'SHA1',
+    digits INTEGER NOT NULL DEFAULT 6,
+    period INTEGER,
+    counter INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+module.exports = {
+  description: 'Add TOTP/HOTP secrets',
+  async up(db) {
+    await db.exec(createTotpSecrets);
+  }
+};
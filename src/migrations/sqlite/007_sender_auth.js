@@ -0,0 +1,17 @@
+// Sender authenticity verdict per email (see senderAuth.js) and the flag
+// on codes stored from unauthenticated senders. Emails from before this
+// have no verdict (NULL).
+const statements = [
+  `ALTER TABLE emails ADD COLUMN auth_result TEXT`,
+  `ALTER TABLE emails ADD COLUMN auth_details TEXT`,
+  `ALTER TABLE codes ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0`
+];
+
+module.exports = {
+  description: 'Record sender authenticity verdicts',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+// Server-side actions on handled IMAP messages (see messageActions.js), one
+// row per action. Failed actions stay pending until their next attempt;
+// the row is also the record of what was done to the message.
+const createEmailActions = `
+  CREATE TABLE IF NOT EXISTS email_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email_id TEXT NOT NULL,
+    email_account TEXT NOT NULL,
+    mailbox TEXT NOT NULL,
+    uid INTEGER NOT NULL,
+    uid_validity INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (email_id) REFERENCES emails (id)
+  );
+  CREATE INDEX IF NOT EXISTS email_actions_email_idx ON email_actions (email_id);
+  CREATE INDEX IF NOT EXISTS email_actions_pending_idx ON email_actions (email_account, mailbox, status);
+`;
+
+module.exports = {
+  description: 'Add post-processing actions on IMAP messages',
+  async up(db) {
+    await db.exec(createEmailActions);
+  }
+};
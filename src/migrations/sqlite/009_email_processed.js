@@ -0,0 +1,17 @@
+// When processEmail finished with an email (attachments, extraction and
+// actions). An email left without it was stored by an attempt that failed
+// part-way; the next attempt at the message picks up where it stopped.
+// Emails from before this count as processed.
+const statements = [
+  `ALTER TABLE emails ADD COLUMN processed_at DATETIME`,
+  `UPDATE emails SET processed_at = created_at`
+];
+
+module.exports = {
+  description: 'Record when an email finished processing',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
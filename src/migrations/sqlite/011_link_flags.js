@@ -0,0 +1,14 @@
+// Links follow the sender authenticity policy like codes: a link from an
+// unauthenticated sender is stored flagged (see MailSource.extractLink).
+const statements = [
+  `ALTER TABLE links ADD COLUMN flagged INTEGER NOT NULL DEFAULT 0`
+];
+
+module.exports = {
+  description: 'Flag links from unauthenticated senders',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
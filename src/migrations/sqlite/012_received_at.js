@@ -0,0 +1,18 @@
+// When an email reached the mailbox (IMAP INTERNALDATE) or the service, as
+// an ISO timestamp. Code age and `since` count from it rather than from the
+// sender's Date header. Emails from before this count as received when
+// they were stored.
+const statements = [
+  `ALTER TABLE emails ADD COLUMN received_at TEXT`,
+  `UPDATE emails SET received_at = strftime('%Y-%m-%dT%H:%M:%S.000Z', created_at)`,
+  `CREATE INDEX IF NOT EXISTS emails_received_at_idx ON emails (received_at)`
+];
+
+module.exports = {
+  description: 'Record when emails were received',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
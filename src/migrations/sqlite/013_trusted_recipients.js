@@ -0,0 +1,17 @@
+// Whether a recipient came from the envelope or the delivered headers
+// rather than from content forwarded in the body or an attached message,
+// which the sender controls. API key scopes and aliases only match trusted
+// recipients. Recipients stored before this can't be told apart and keep
+// matching.
+const statements = [
+  `ALTER TABLE email_recipients ADD COLUMN trusted INTEGER NOT NULL DEFAULT 1`
+];
+
+module.exports = {
+  description: 'Mark recipients taken from forwarded content',
+  async up(db) {
+    for (const sql of statements) {
+      await db.run(sql);
+    }
+  }
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named "<version>_<name>.js", e.g. 004_add_aliases.js
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// "003_search_index", as the file is named
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+const createMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )
+`;
+
+// Applies the numbered migrations in a directory (one per storage backend,
+// src/migrations/<backend>) in order, each in its own transaction, and
+// records them in schema_migrations. `connection` is the backend's
+// promise-based { run(sql, params), all(sql, params), exec(sql),
+// columns(table) }, which is also what a migration file's up(db) gets; the
+// file exports { description, up }. Any failure rolls that migration back
+// and rejects, so the service never starts on a half-migrated schema.
+class Migrator {
+  constructor(connection, directory) {
+    this.connection = connection;
+    this.directory = directory;
+  }
+
+  // Migration files sorted by version
+  list() {
+    const migrations = [];
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) continue;
+
+      const version = parseInt(match[1], 10);
+      if (migrations.some((migration) => migration.version === version)) {
+        throw new Error(`Duplicate migration version ${version} (${file})`);
+      }
+      migrations.push({ version, name: match[2], file: path.join(this.directory, file) });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async applied() {
+    await this.connection.run(createMigrationsTable);
+    return this.connection.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  }
+
+  // Every known migration with its applied_at (null while pending), plus
+  // versions recorded in the database that have no file here
+  async status() {
+    const applied = new Map((await this.applied()).map((row) => [row.version, row]));
+    const migrations = this.list().map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+    const unknown = [...applied.values()].filter((row) => !migrations.some((migration) => migration.version === row.version));
+
+    return { migrations, unknown };
+  }
+
+  // Apply pending migrations up to `to` (default: all). Resolves with the
+  // migrations applied.
+  async migrate({ to = Infinity } = {}) {
+    const { migrations, unknown } = await this.status();
+    if (unknown.length) {
+      throw new Error(`Database has migrations this version does not know about: ${unknown.map((row) => row.version).join(', ')}. Upgrade the service instead.`);
+    }
+
+    const pending = migrations.filter((migration) => !migration.applied_at && migration.version <= to);
+    const files = new Map(this.list().map((migration) => [migration.version, migration.file]));
+
+    for (const migration of pending) {
+      const { up } = require(files.get(migration.version));
+
+      // Inlined rather than bound: placeholders differ between backends, and
+      // the version and name come from the validated file name
+      const record = `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${migration.version}, '${migration.name}', '${new Date().toISOString()}')`;
+
+      await this.connection.run('BEGIN');
+      try {
+        await up(this.connection);
+        await this.connection.run(record);
+        await this.connection.run('COMMIT');
+      } catch (error) {
+        await this.connection.run('ROLLBACK');
+        error.message = `Migration ${label(migration)} failed: ${error.message}`;
+        throw error;
+      }
+
+      console.log(`Applied migration ${label(migration)}`);
+    }
+
+    return pending;
+  }
+}
+
+Migrator.label = label;
+
+module.exports = Migrator;
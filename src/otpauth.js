@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const jsQR = require('jsqr');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Algorithms authenticator apps accept in otpauth:// URIs
+const ALGORITHMS = { SHA1: 'sha1', SHA256: 'sha256', SHA512: 'sha512' };
+
+function otpError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// RFC 4648 base32 as used by otpauth:// secrets: case-insensitive, padding
+// and spaces optional
+function base32Decode(value) {
+  const input = String(value).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let buffer = 0;
+  const bytes = [];
+
+  for (const char of input) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw otpError('secret must be base32 (A-Z, 2-7)');
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Parse otpauth://totp/Issuer:account?secret=...&issuer=...&algorithm=&digits=&period=
+// (or otpauth://hotp/...&counter=) into the fields stored for it. The
+// secret is normalized to unpadded uppercase base32.
+function parseOtpauthUri(uri) {
+  let url;
+  try {
+    url = new URL(String(uri).trim());
+  } catch (error) {
+    throw otpError('uri must be an otpauth:// URI');
+  }
+
+  const type = url.hostname.toLowerCase();
+  if (url.protocol !== 'otpauth:' || !['totp', 'hotp'].includes(type)) {
+    throw otpError('uri must be an otpauth://totp/ or otpauth://hotp/ URI');
+  }
+
+  const params = url.searchParams;
+  const secret = (params.get('secret') || '').toUpperCase().replace(/[\s=]/g, '');
+  if (!secret || !base32Decode(secret).length) {
+    throw otpError('otpauth URI has no secret');
+  }
+
+  // Label is "Issuer:account" or just "account"
+  const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+  const separator = label.indexOf(':');
+  const account = (separator === -1 ? label : label.slice(separator + 1)).trim();
+  const issuer = params.get('issuer') || (separator === -1 ? '' : label.slice(0, separator).trim());
+
+  const algorithm = (params.get('algorithm') || 'SHA1').toUpperCase();
+  if (!ALGORITHMS[algorithm]) {
+    throw otpError(`Unsupported algorithm "${algorithm}" (expected ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+
+  const digits = params.has('digits') ? Number(params.get('digits')) : 6;
+  if (!Number.isInteger(digits) || digits < 6 || digits > 10) {
+    throw otpError('digits must be between 6 and 10');
+  }
+
+  const period = params.has('period') ? Number(params.get('period')) : 30;
+  if (!Number.isInteger(period) || period < 1 || period > 3600) {
+    throw otpError('period must be between 1 and 3600 seconds');
+  }
+
+  const counter = params.has('counter') ? Number(params.get('counter')) : 0;
+  if (!Number.isSafeInteger(counter) || counter < 0) {
+    throw otpError('counter must be a non-negative integer');
+  }
+  if (type === 'hotp' && !params.has('counter')) {
+    throw otpError('otpauth://hotp/ URIs need a counter');
+  }
+
+  return {
+    type,
+    secret,
+    issuer: issuer || null,
+    account: account || null,
+    algorithm,
+    digits,
+    period: type === 'totp' ? period : null,
+    counter: type === 'hotp' ? counter : null
+  };
+}
+
+// RFC 4226 HOTP value for a counter; TOTP (RFC 6238) is HOTP over the
+// number of periods since the epoch
+function hotp(secret, counter, { algorithm = 'SHA1', digits = 6 } = {}) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(ALGORITHMS[algorithm], base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+// Current TOTP code with the seconds it stays valid
+function totp(secret, { algorithm, digits, period = 30 } = {}, now = Date.now()) {
+  const seconds = Math.floor(now / 1000);
+  const step = Math.floor(seconds / period);
+
+  return {
+    code: hotp(secret, step, { algorithm, digits }),
+    secondsRemaining: period - (seconds % period),
+    validUntil: new Date((step + 1) * period * 1000).toISOString()
+  };
+}
+
+// Text of the QR code in a PNG or JPEG image (e.g. a screenshot of a 2FA
+// setup page)
+function decodeQrImage(buffer) {
+  let image;
+  try {
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+      image = PNG.sync.read(buffer);
+    } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    }
+  } catch (error) {
+    throw otpError(`Could not read image: ${error.message}`);
+  }
+  if (!image) {
+    throw otpError('image must be a PNG or JPEG');
+  }
+
+  const result = jsQR(new Uint8ClampedArray(image.data.buffer, image.data.byteOffset, image.data.length), image.width, image.height);
+  if (!result) {
+    throw otpError('No QR code found in the image');
+  }
+  return result.data;
+}
+
+module.exports = {
+  parseOtpauthUri,
+  decodeQrImage,
+  base32Decode,
+  hotp,
+  totp
+};
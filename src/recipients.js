@@ -0,0 +1,131 @@
+const ADDRESS_PATTERN = /[a-zA-Z0-9._%+'-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// Headers an MTA adds with the address it accepted the message for, before
+// aliases were expanded
+const ENVELOPE_HEADERS = ['x-original-to', 'envelope-to', 'x-envelope-to', 'x-rcpt-to'];
+
+// Headers naming the mailbox the message ended up in after forwarding
+const DELIVERY_HEADERS = ['x-forwarded-to', 'x-forwarded-for', 'delivered-to'];
+
+// "To: a@b" style line in a forwarded header block. Clients converting HTML
+// to text wrap the name in asterisks ("*From:* ..."); quoted blocks keep
+// their ">" prefix.
+const BLOCK_LINE = /^[\s>]*\*?([A-Za-z][\w-]*)\*?:\*?\s*(.*)$/;
+
+function addressesIn(value) {
+  return (String(value || '').match(ADDRESS_PATTERN) || []).map((address) => address.toLowerCase());
+}
+
+// Header section of a raw message as [{ name, value }], names lowercased and
+// folded lines joined
+function headerFields(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8') : String(raw || '');
+  const end = text.search(/\r?\n\r?\n/);
+  const section = (end === -1 ? text : text.slice(0, end)).replace(/\r?\n[ \t]+/g, ' ');
+
+  return section.split(/\r?\n/)
+    .map((line) => line.match(/^([!-9;-~]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, value]) => ({ name: name.toLowerCase(), value }));
+}
+
+// To/Cc of header blocks quoted in the body by "Forward" in mail clients:
+// Gmail's "---------- Forwarded message ---------", Outlook's "From: / Sent:
+// / To:", Apple Mail's "Begin forwarded message:" and so on. Rather than
+// matching each client's separator, any run of header-like lines with both
+// a From and a To counts, which also keeps "Ship To:" in a receipt out.
+function forwardedRecipients(bodyText) {
+  const recipients = [];
+  let block = [];
+
+  const flush = () => {
+    const names = block.map((field) => field.name);
+    if (names.includes('from') && names.includes('to')) {
+      for (const field of block) {
+        if (field.name === 'to' || field.name === 'cc') recipients.push(...addressesIn(field.value));
+      }
+    }
+    block = [];
+  };
+
+  for (const line of String(bodyText || '').split(/\r?\n/)) {
+    const match = line.match(BLOCK_LINE);
+    if (match) {
+      block.push({ name: match[1].toLowerCase(), value: match[2] });
+    } else if (block.length && /^[ \t]+\S/.test(line)) {
+      // Wrapped continuation of the previous field
+      block[block.length - 1].value += ' ' + line;
+    } else {
+      flush();
+    }
+  }
+  flush();
+
+  return recipients;
+}
+
+// To/Cc of messages attached whole (message/rfc822), as forwarded "as
+// attachment" by most clients
+function attachedRecipients(attachments = []) {
+  const recipients = [];
+  for (const attachment of attachments) {
+    if ((attachment.contentType || '').toLowerCase() !== 'message/rfc822') continue;
+    for (const field of headerFields(attachment.content)) {
+      if (field.name === 'to' || field.name === 'cc') recipients.push(...addressesIn(field.value));
+    }
+  }
+  return recipients;
+}
+
+// Every address a parsed message (mailparser) was sent to, lowercased,
+// without duplicates and most specific first, so the first one is the
+// email's to_address:
+//   1. SMTP envelope recipients (mail received by the SMTP listener)
+//   2. recipients of a forwarded message: attached, then quoted in the body
+//   3. envelope headers added by the receiving MTA (X-Original-To, ...)
+//   4. the To and Cc headers
+//   5. where forwarding delivered it (X-Forwarded-To, Delivered-To)
+// Resolves to { recipients, trustedRecipients }. The forwarded ones (2)
+// are whatever the sender wrote into the body or an attachment, so they
+// are only in `recipients`, for display and lookups by address; API key
+// scopes and aliases match `trustedRecipients` alone.
+function resolveRecipients(parsed, envelope = null) {
+  const headers = (parsed.headerLines || []).map(({ line }) => headerFields(line)[0]).filter(Boolean);
+  const fromHeaders = (names) => names.flatMap((name) =>
+    headers.filter((field) => field.name === name).flatMap((field) => addressesIn(field.value))
+  );
+  const parsedAddresses = (field) => (parsed[field] ? [].concat(parsed[field]) : [])
+    .flatMap((group) => group.value || [])
+    .flatMap((address) => (address.group ? address.group : [address]))
+    .flatMap((address) => addressesIn(address.address));
+
+  const envelopeRecipients = envelope && envelope.to ? envelope.to.flatMap(addressesIn) : [];
+  const delivered = [
+    ...fromHeaders(ENVELOPE_HEADERS),
+    ...parsedAddresses('to'),
+    ...parsedAddresses('cc'),
+    ...fromHeaders(DELIVERY_HEADERS)
+  ];
+  const forwarded = [
+    ...attachedRecipients(parsed.attachments),
+    ...forwardedRecipients(parsed.text)
+  ];
+
+  return {
+    recipients: [...new Set([...envelopeRecipients, ...forwarded, ...delivered])],
+    trustedRecipients: [...new Set([...envelopeRecipients, ...delivered])]
+  };
+}
+
+// Whether an event ({ toAddress, recipients }) was sent to the address;
+// the in-memory counterpart of a recipient lookup
+function sentTo(event, address) {
+  const recipients = event.recipients || [event.toAddress || ''];
+  return recipients.some((recipient) => recipient.toLowerCase() === address.toLowerCase());
+}
+
+module.exports = {
+  resolveRecipients,
+  forwardedRecipients,
+  sentTo
+};
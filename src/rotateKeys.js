@@ -0,0 +1,30 @@
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { loadCipher, loadStorageOptions } = require('./config');
+
+// Re-encrypt everything stored with the current key version, e.g. after
+// adding a key to ENCRYPTION_KEYS. Older keys can be removed once this has
+// run. Usage: npm run rotate-keys
+async function main() {
+  const cipher = loadCipher();
+  if (!cipher.enabled) {
+    console.error('No encryption keys configured (ENCRYPTION_KEY, ENCRYPTION_KEYS or ENCRYPTION_KEY_FILE)');
+    process.exit(1);
+  }
+
+  const database = createStorage({ ...loadStorageOptions(), cipher });
+  await database.ready;
+
+  const rewritten = await database.reencrypt();
+  for (const [table, count] of Object.entries(rewritten)) {
+    console.log(`${table}: ${count} value(s) re-encrypted`);
+  }
+  console.log(`All stored content now uses key version ${cipher.currentVersion}`);
+
+  await database.close();
+}
+
+main().catch((error) => {
+  console.error('Key rotation failed:', error.message);
+  process.exit(1);
+});
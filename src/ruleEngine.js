@@ -0,0 +1,347 @@
+const { v4: uuidv4 } = require('uuid');
+const { findLinks } = require('./linkExtractor');
+const SenderAuth = require('./senderAuth');
+const { normalizeActions, normalizeTrigger } = require('./messageActions');
+
+// The original hardcoded patterns, plus common verification link wording.
+// Always evaluated last, after every configured rule.
+const DEFAULT_RULE = {
+  id: 'default',
+  name: 'Default patterns',
+  priority: Number.NEGATIVE_INFINITY,
+  match: {},
+  patterns: [
+    'code[:\\s]*(\\d{4,8})',
+    '2fa[:\\s]*(\\d{4,8})',
+    'verification[:\\s]*(\\d{4,8})',
+    '\\b(\\d{6})\\b',
+    '\\b(\\d{4})\\b'
+  ],
+  links: [
+    { url: 'verif|confirm|activat|magic|sign-?in|log-?in|auth|token|reset' },
+    { text: 'verify|confirm|activate|sign in|log in|reset' }
+  ],
+  minLength: 4,
+  maxLength: 8
+};
+
+// Longest regex source a rule may use. Rules run against every incoming
+// email, so this keeps patterns small enough to review.
+const MAX_REGEX_LENGTH = 500;
+
+class RuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleValidationError';
+    this.status = 400;
+  }
+}
+
+function compileRegex(source, flags, field) {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new RuleValidationError(`Regex in ${field} is longer than ${MAX_REGEX_LENGTH} characters`);
+  }
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new RuleValidationError(`Invalid regex in ${field}: ${error.message}`);
+  }
+}
+
+// Whole-number rule option of at least `min`; null when not set
+function integerOption(value, field, min) {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new RuleValidationError(`${field} must be a whole number of at least ${min}`);
+  }
+  return number;
+}
+
+// Validate a rule definition and attach compiled regexes (under `compiled`)
+function normalizeRule(input, source = 'api') {
+  if (!input || typeof input !== 'object') {
+    throw new RuleValidationError('Rule must be an object');
+  }
+  const hasPatterns = Array.isArray(input.patterns) && input.patterns.length > 0;
+  const hasLinks = Array.isArray(input.links) && input.links.length > 0;
+  if (!hasPatterns && !hasLinks) {
+    throw new RuleValidationError('Rule needs at least one entry in "patterns" or "links"');
+  }
+
+  const rule = {
+    id: input.id || uuidv4(),
+    name: input.name || input.id || 'Unnamed rule',
+    priority: Number(input.priority) || 0,
+    match: {},
+    patterns: [],
+    links: [],
+    stripSeparators: input.stripSeparators === true,
+    uppercase: input.uppercase === true,
+    minLength: integerOption(input.minLength, 'minLength', 1),
+    maxLength: integerOption(input.maxLength, 'maxLength', 1),
+    fallthrough: input.fallthrough !== false,
+    ttl: null,
+    authPolicy: null,
+    actions: null,
+    actionsOn: null,
+    source
+  };
+
+  if (rule.minLength !== null && rule.maxLength !== null && rule.minLength > rule.maxLength) {
+    throw new RuleValidationError('minLength must not be greater than maxLength');
+  }
+
+  // Lifetime of codes from this rule in seconds (0 = never expire); null
+  // uses the global CODE_TTL_SECONDS
+  if (input.ttl !== undefined && input.ttl !== null) {
+    const ttl = Number(input.ttl);
+    if (!Number.isInteger(ttl) || ttl < 0) {
+      throw new RuleValidationError('ttl must be a whole number of seconds (0 to never expire)');
+    }
+    rule.ttl = ttl;
+  }
+
+  // Codes and links from this rule when the sender didn't authenticate:
+  // store, flag or reject; null uses the global CODE_AUTH_POLICY
+  if (input.authPolicy !== undefined && input.authPolicy !== null) {
+    if (!SenderAuth.POLICIES.includes(input.authPolicy)) {
+      throw new RuleValidationError(`authPolicy must be one of ${SenderAuth.POLICIES.join(', ')}`);
+    }
+    rule.authPolicy = input.authPolicy;
+  }
+
+  // IMAP actions for the messages this rule matches (see messageActions.js)
+  // and when they run; null uses the account's
+  try {
+    if (input.actions !== undefined && input.actions !== null) {
+      rule.actions = normalizeActions(input.actions);
+    }
+    if (input.actionsOn !== undefined && input.actionsOn !== null) {
+      rule.actionsOn = normalizeTrigger(input.actionsOn);
+    }
+  } catch (error) {
+    throw new RuleValidationError(error.message);
+  }
+
+  for (const field of ['from', 'to', 'subject']) {
+    if (input.match && input.match[field]) {
+      rule.match[field] = String(input.match[field]);
+    }
+  }
+
+  for (const [index, pattern] of (input.patterns || []).entries()) {
+    const entry = typeof pattern === 'string' ? { regex: pattern } : pattern;
+    if (!entry || typeof entry.regex !== 'string') {
+      throw new RuleValidationError(`patterns[${index}] must be a regex string or { regex, group, priority }`);
+    }
+    rule.patterns.push({
+      regex: entry.regex,
+      flags: entry.flags !== undefined ? String(entry.flags) : 'i',
+      group: integerOption(entry.group, `patterns[${index}].group`, 0) ?? 1,
+      priority: Number(entry.priority) || 0
+    });
+  }
+
+  for (const [index, link] of (input.links || []).entries()) {
+    if (!link || (typeof link.url !== 'string' && typeof link.text !== 'string')) {
+      throw new RuleValidationError(`links[${index}] needs a "url" and/or "text" regex`);
+    }
+    rule.links.push({
+      ...(link.url !== undefined && { url: link.url }),
+      ...(link.text !== undefined && { text: link.text }),
+      priority: Number(link.priority) || 0
+    });
+  }
+
+  const compiledMatch = {};
+  for (const [field, regex] of Object.entries(rule.match)) {
+    compiledMatch[field] = compileRegex(regex, 'i', `match.${field}`);
+  }
+
+  // Higher priority patterns are tried first; ties keep their listed order
+  const compiledPatterns = rule.patterns
+    .map((pattern, index) => ({
+      ...pattern,
+      index,
+      regex: compileRegex(pattern.regex, pattern.flags.replace('g', ''), `patterns[${index}]`)
+    }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+  const compiledLinks = rule.links
+    .map((link, index) => ({
+      index,
+      priority: link.priority,
+      url: link.url !== undefined ? compileRegex(link.url, 'i', `links[${index}].url`) : null,
+      text: link.text !== undefined ? compileRegex(link.text, 'i', `links[${index}].text`) : null
+    }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+  Object.defineProperty(rule, 'compiled', {
+    value: { match: compiledMatch, patterns: compiledPatterns, links: compiledLinks },
+    enumerable: false
+  });
+
+  return rule;
+}
+
+// All of the rule's match regexes accept the email. "to" accepts it when
+// any of its recipients matches, or its toAddress when they aren't known.
+function ruleApplies(rule, email) {
+  const values = {
+    from: [email.fromAddress || ''],
+    to: email.recipients || [email.toAddress || ''],
+    subject: [email.subject || '']
+  };
+
+  return Object.entries(rule.compiled.match).every(([field, regex]) => values[field].some((value) => regex.test(value)));
+}
+
+function postProcess(rule, value) {
+  let code = value.trim();
+  if (rule.stripSeparators) {
+    code = code.replace(/[\s\-_.]/g, '');
+  }
+  if (rule.uppercase) {
+    code = code.toUpperCase();
+  }
+  return code;
+}
+
+// Run a single rule against an email. Returns { code, pattern } or null.
+function applyRule(rule, email) {
+  const text = (email.bodyText || '') + ' ' + (email.subject || '');
+
+  for (const pattern of rule.compiled.patterns) {
+    const match = pattern.regex.exec(text);
+    if (!match) continue;
+
+    const value = match[pattern.group] !== undefined ? match[pattern.group] : match[0];
+    const code = postProcess(rule, value);
+
+    if (!code) continue;
+    if (rule.minLength !== null && code.length < rule.minLength) continue;
+    if (rule.maxLength !== null && code.length > rule.maxLength) continue;
+
+    return { code, pattern: pattern.regex.source };
+  }
+
+  return null;
+}
+
+// Pick the first link accepted by one of the rule's link matchers.
+// Returns { url, text } or null.
+function applyLinkRule(rule, links) {
+  for (const matcher of rule.compiled.links) {
+    const link = links.find((candidate) =>
+      (!matcher.url || matcher.url.test(candidate.url)) &&
+      (!matcher.text || matcher.text.test(candidate.text))
+    );
+    if (link) return link;
+  }
+
+  return null;
+}
+
+// Picks the extraction rule for each email: configured rules by descending
+// priority, then the built-in default. Rules come from the rules config file
+// (read-only) and the extraction_rules table (managed through /api/rules).
+class RuleEngine {
+  constructor(database = null, configRules = []) {
+    this.database = database;
+    this.configRules = configRules.map((rule, index) => normalizeRule({ id: `config-${index + 1}`, ...rule }, 'config'));
+    this.defaultRule = normalizeRule(DEFAULT_RULE, 'builtin');
+    this.rules = [...this.configRules];
+  }
+
+  async reload() {
+    const stored = this.database ? await this.database.getExtractionRules() : [];
+    const apiRules = [];
+
+    for (const row of stored) {
+      try {
+        apiRules.push(normalizeRule({ ...JSON.parse(row.definition), id: row.id }, 'api'));
+      } catch (error) {
+        console.error(`Skipping invalid extraction rule ${row.id}:`, error.message);
+      }
+    }
+
+    this.rules = [...this.configRules, ...apiRules].sort((a, b) => b.priority - a.priority);
+  }
+
+  list() {
+    return [...this.rules, this.defaultRule];
+  }
+
+  get(ruleId) {
+    return this.list().find((rule) => rule.id === ruleId) || null;
+  }
+
+  // Returns { code, rule, pattern } for the first rule that yields a code
+  extract(email) {
+    for (const rule of this.list()) {
+      if (!rule.compiled.patterns.length || !ruleApplies(rule, email)) continue;
+
+      const result = applyRule(rule, email);
+      if (result) {
+        return { ...result, rule };
+      }
+      if (!rule.fallthrough) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  // Returns { url, text, rule } for the first rule that accepts one of the
+  // email's links. Rules without link matchers are skipped.
+  extractLink(email) {
+    const links = findLinks(email.bodyHtml, email.bodyText);
+    if (!links.length) return null;
+
+    for (const rule of this.list()) {
+      if (!rule.compiled.links.length || !ruleApplies(rule, email)) continue;
+
+      const link = applyLinkRule(rule, links);
+      if (link) {
+        return { ...link, rule };
+      }
+      if (!rule.fallthrough) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  // The first rule that applies to the email and sets message actions, or
+  // null when the account's actions apply. Codes don't need to match.
+  actionsFor(email) {
+    return this.rules.find((rule) => (rule.actions !== null || rule.actionsOn !== null) && ruleApplies(rule, email)) || null;
+  }
+
+  // Dry-run one rule against a sample email, reporting whether its matchers apply
+  static test(rule, email) {
+    if (!ruleApplies(rule, email)) {
+      return { applies: false, code: null, pattern: null, link: null };
+    }
+
+    const result = rule.compiled.patterns.length ? applyRule(rule, email) : null;
+    const link = rule.compiled.links.length
+      ? applyLinkRule(rule, findLinks(email.bodyHtml, email.bodyText))
+      : null;
+
+    return {
+      applies: true,
+      code: result ? result.code : null,
+      pattern: result ? result.pattern : null,
+      link: link ? link.url : null
+    };
+  }
+}
+
+RuleEngine.normalizeRule = normalizeRule;
+RuleEngine.RuleValidationError = RuleValidationError;
+
+module.exports = RuleEngine;
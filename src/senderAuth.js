@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const dns = require('dns');
+
+// Results that count as a failed check, as opposed to no check at all
+const RESULT_RANK = ['pass', 'fail', 'softfail', 'policy', 'neutral', 'temperror', 'permerror', 'none'];
+
+// What happens to codes from senders that didn't authenticate (see
+// MailSource.extractCode): stored as usual, stored with a flag, or dropped
+const POLICIES = ['store', 'flag', 'reject'];
+
+// Signatures verified per message when DKIM_VERIFY is on
+const MAX_DKIM_SIGNATURES = 5;
+
+// SPKI header of a raw 32-byte Ed25519 key, as published in DKIM records
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Drop RFC 5322 comments ("(...)", nestable) from a header value
+function stripComments(value) {
+  let depth = 0;
+  let result = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    else if (char === ')' && depth > 0) depth--;
+    else if (!depth) result += char;
+  }
+  return result;
+}
+
+// Authentication-Results (RFC 8601) as { authservId, results: [{ method,
+// result, props }] }, e.g. "mx.google.com; dkim=pass header.d=github.com"
+// gives { method: 'dkim', result: 'pass', props: { 'header.d': 'github.com' } }
+function parseAuthenticationResults(value) {
+  const [head, ...parts] = stripComments(String(value)).split(';').map((part) => part.trim());
+  const results = [];
+
+  for (const part of parts) {
+    const [methodResult, ...props] = part.split(/\s+/);
+    const match = methodResult.match(/^([\w.-]+)(?:\/[\d]+)?=([\w-]+)$/);
+    if (!match) continue;
+
+    const entry = { method: match[1].toLowerCase(), result: match[2].toLowerCase(), props: {} };
+    for (const prop of props) {
+      const separator = prop.indexOf('=');
+      if (separator > 0) entry.props[prop.slice(0, separator).toLowerCase()] = prop.slice(separator + 1).replace(/^"|"$/g, '');
+    }
+    results.push(entry);
+  }
+
+  return { authservId: (head || '').split(/\s+/)[0].toLowerCase(), results };
+}
+
+// Domain part of an address, or the value itself when it has no "@"
+function domainOf(value) {
+  const text = String(value || '').toLowerCase().replace(/[<>]/g, '').trim();
+  return text.slice(text.lastIndexOf('@') + 1);
+}
+
+// Relaxed DMARC alignment: the same domain or one a subdomain of the other.
+// Single-label domains never align.
+function aligned(domain, fromDomain) {
+  if (!domain || !fromDomain || !domain.includes('.')) return false;
+  return domain === fromDomain || fromDomain.endsWith(`.${domain}`) || domain.endsWith(`.${fromDomain}`);
+}
+
+// Best result of one method across all entries: any pass wins, then the
+// most telling failure
+function summarize(results, method) {
+  const matching = results.filter((entry) => entry.method === method).map((entry) => entry.result);
+  if (!matching.length) return null;
+  return matching.sort((a, b) => rankOf(a) - rankOf(b))[0];
+}
+
+function rankOf(result) {
+  const rank = RESULT_RANK.indexOf(result);
+  return rank === -1 ? RESULT_RANK.length : rank;
+}
+
+// "tag=value; tag=value" lists of DKIM-Signature headers and key records
+function parseTags(value) {
+  const tags = {};
+  for (const part of value.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    tags[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+  }
+  return tags;
+}
+
+// Header fields (raw, folding kept, without the final CRLF) and the body
+// of a message, with line endings normalized to CRLF
+function splitMessage(raw) {
+  const text = (Buffer.isBuffer(raw) ? raw.toString('latin1') : String(raw || '')).replace(/\r?\n/g, '\r\n');
+  const end = text.indexOf('\r\n\r\n');
+  const head = end === -1 ? text : text.slice(0, end);
+  const body = end === -1 ? '' : text.slice(end + 4);
+
+  const fields = [];
+  for (const line of head.split('\r\n')) {
+    if (/^[ \t]/.test(line) && fields.length) fields[fields.length - 1] += `\r\n${line}`;
+    else if (line) fields.push(line);
+  }
+  return { fields, body };
+}
+
+function fieldName(field) {
+  return field.slice(0, field.indexOf(':')).trim().toLowerCase();
+}
+
+function canonicalizeHeader(field, mode) {
+  if (mode !== 'relaxed') return `${field}\r\n`;
+  const separator = field.indexOf(':');
+  const value = field.slice(separator + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${fieldName(field)}:${value}\r\n`;
+}
+
+function canonicalizeBody(body, mode) {
+  if (mode === 'relaxed') {
+    const lines = body.split('\r\n').map((line) => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+    const text = lines.join('\r\n').replace(/(\r\n)*$/, '');
+    return text ? `${text}\r\n` : '';
+  }
+  return `${body.replace(/(\r\n)*$/, '')}\r\n`;
+}
+
+// Public key of a DKIM selector from DNS; resolves with { key } or
+// { result, reason } when there is none to verify with
+async function lookupKey(resolver, selector, domain) {
+  let records;
+  try {
+    records = await resolver.resolveTxt(`${selector}._domainkey.${domain}`);
+  } catch (error) {
+    const missing = ['ENOTFOUND', 'ENODATA'].includes(error.code);
+    return { result: missing ? 'permerror' : 'temperror', reason: `key lookup failed (${error.code || error.message})` };
+  }
+
+  const tags = parseTags(records.map((chunks) => chunks.join('')).find((record) => /(^|;)\s*p=/.test(record)) || '');
+  const publicKey = (tags.p || '').replace(/\s+/g, '');
+  if (!publicKey) return { result: 'permerror', reason: 'no key or key revoked' };
+
+  try {
+    const der = Buffer.from(publicKey, 'base64');
+    const key = (tags.k || 'rsa') === 'ed25519'
+      ? crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' })
+      : crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    return { key };
+  } catch (error) {
+    return { result: 'permerror', reason: 'unreadable key' };
+  }
+}
+
+// Verify one DKIM-Signature field (RFC 6376; rsa-sha256 and ed25519-sha256)
+async function verifySignature(signatureField, fields, body, resolver) {
+  const tags = parseTags(stripFieldName(signatureField).replace(/\r\n[ \t]/g, ' '));
+  const domain = (tags.d || '').toLowerCase();
+  const selector = tags.s || '';
+  const outcome = (result, reason) => ({ domain, selector, result, reason });
+
+  if (!domain || !selector || !tags.b || !tags.bh || !tags.h) return outcome('permerror', 'malformed signature');
+  if (!['rsa-sha256', 'ed25519-sha256'].includes(tags.a)) return outcome('neutral', `unsupported algorithm ${tags.a}`);
+  if (tags.x && Number(tags.x) < Date.now() / 1000) return outcome('fail', 'signature expired');
+
+  const [headerMode, bodyMode = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+
+  let canonicalBody = canonicalizeBody(body, bodyMode);
+  if (tags.l !== undefined) canonicalBody = canonicalBody.slice(0, Number(tags.l));
+  const bodyHash = crypto.createHash('sha256').update(Buffer.from(canonicalBody, 'latin1')).digest('base64');
+  if (bodyHash !== tags.bh.replace(/\s+/g, '')) return outcome('fail', 'body hash mismatch');
+
+  // Signed fields are taken bottom-up, each instance once
+  const remaining = [...fields];
+  let signedData = '';
+  for (const name of tags.h.split(':').map((entry) => entry.trim().toLowerCase())) {
+    const index = remaining.map(fieldName).lastIndexOf(name);
+    if (index === -1) continue;
+    signedData += canonicalizeHeader(remaining[index], headerMode);
+    remaining.splice(index, 1);
+  }
+  // The signature itself is signed with an empty b= value
+  const unsigned = signatureField.replace(/([;:])([ \t\r\n]*b[ \t\r\n]*=)[^;]*/, '$1$2');
+  signedData += canonicalizeHeader(unsigned, headerMode).replace(/\r\n$/, '');
+
+  const { key, result, reason } = await lookupKey(resolver, selector, domain);
+  if (!key) return outcome(result, reason);
+
+  const signature = Buffer.from(tags.b.replace(/\s+/g, ''), 'base64');
+  const data = Buffer.from(signedData, 'latin1');
+  const valid = tags.a === 'ed25519-sha256'
+    ? crypto.verify(null, crypto.createHash('sha256').update(data).digest(), key, signature)
+    : crypto.verify('sha256', data, key, signature);
+
+  return valid ? outcome('pass', null) : outcome('fail', 'signature mismatch');
+}
+
+function stripFieldName(field) {
+  return field.slice(field.indexOf(':') + 1);
+}
+
+// Sender authenticity of incoming mail. The verdict is built from the
+// Authentication-Results header of the receiving server (plus the ARC
+// results of trusted forwarders) and, with verifyDkim, from checking DKIM
+// signatures here. Only pass/fail of checks aligned with the From domain
+// count, like DMARC.
+class SenderAuth {
+  // options.authservIds: servers whose Authentication-Results are trusted;
+  // without them only the topmost header is (the one the last hop added).
+  // options.arcSealers: forwarders (ARC-Seal d= domains) whose ARC results
+  // are trusted; without them ARC results never count.
+  // options.verifyDkim: verify DKIM signatures with DNS lookups.
+  constructor(options = {}) {
+    this.authservIds = (options.authservIds || []).map((id) => id.toLowerCase());
+    this.arcSealers = (options.arcSealers || []).map((domain) => domain.toLowerCase());
+    this.verifyDkim = options.verifyDkim === true;
+    this.resolver = options.resolver || new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+  }
+
+  // Authentication-Results written by a trusted server. Mail received
+  // directly (trustTopmost false) carries only what the sender wrote, so
+  // nothing but configured authserv-ids is trusted there.
+  trustedResults(headers, trustTopmost) {
+    const parsed = headers.filter((field) => field.name === 'authentication-results').map((field) => parseAuthenticationResults(field.value));
+    if (this.authservIds.length) {
+      return parsed.filter((entry) => this.authservIds.includes(entry.authservId));
+    }
+    return trustTopmost ? parsed.slice(0, 1) : [];
+  }
+
+  // ARC-Authentication-Results of the newest ARC set, i.e. what the last
+  // forwarder saw before it changed the message, with the domain that
+  // sealed it. Null unless that forwarder is one of arcSealers: anyone can
+  // add an ARC set, and the chain being valid only says who added it.
+  arcResults(headers) {
+    let newest = null;
+    for (const field of headers.filter((entry) => entry.name === 'arc-authentication-results')) {
+      const match = field.value.match(/^\s*i\s*=\s*(\d+)\s*;(.*)$/s);
+      if (match && (!newest || Number(match[1]) > newest.instance)) {
+        newest = { instance: Number(match[1]), ...parseAuthenticationResults(match[2]) };
+      }
+    }
+    if (!newest) return null;
+
+    const seal = headers.filter((entry) => entry.name === 'arc-seal').map((entry) => parseTags(entry.value))
+      .find((tags) => Number(tags.i) === newest.instance);
+    const sealer = seal && seal.d ? seal.d.toLowerCase() : null;
+    return sealer && this.arcSealers.includes(sealer) ? { ...newest, sealer } : null;
+  }
+
+  // Verdict for a message parsed by mailparser:
+  //   { result: 'pass' | 'fail' | 'none', reason, from_domain, authserv_id,
+  //     dkim, spf, dmarc, arc, dkim_local }
+  // 'none' means nothing was checked; 'fail' that checks ran but none
+  // authenticated the From domain.
+  async evaluate(parsed, rawEmail, { trustTopmost = true } = {}) {
+    const headers = (parsed.headerLines || []).map(({ line }) => {
+      const separator = line.indexOf(':');
+      return { name: line.slice(0, separator).trim().toLowerCase(), value: line.slice(separator + 1).replace(/\r?\n[ \t]+/g, ' ').trim() };
+    });
+    const fromDomain = domainOf(parsed.from?.value?.[0]?.address);
+
+    const trusted = this.trustedResults(headers, trustTopmost);
+    const results = trusted.flatMap((entry) => entry.results);
+    const verdict = {
+      result: 'none',
+      reason: 'no authentication results',
+      from_domain: fromDomain || null,
+      authserv_id: trusted.length ? trusted[0].authservId : null,
+      dkim: summarize(results, 'dkim'),
+      spf: summarize(results, 'spf'),
+      dmarc: summarize(results, 'dmarc'),
+      arc: summarize(results, 'arc'),
+      dkim_local: null
+    };
+
+    if (this.verifyDkim) {
+      verdict.dkim_local = await this.verifyDkimSignatures(rawEmail);
+    }
+
+    // A forwarder's results count when the trusted server validated the
+    // ARC chain, but never over that server's own DMARC failure
+    const arc = verdict.arc === 'pass' && verdict.dmarc !== 'fail' ? this.arcResults(headers) : null;
+
+    const pass = this.passReason(results, fromDomain, '') ||
+      (arc && this.passReason(arc.results, fromDomain, `arc (${arc.sealer}): `)) ||
+      ((verdict.dkim_local || []).some((entry) => entry.result === 'pass' && aligned(entry.domain, fromDomain)) && 'local dkim=pass');
+
+    if (pass) {
+      verdict.result = 'pass';
+      verdict.reason = pass;
+    } else if (results.length || (verdict.dkim_local && verdict.dkim_local.length)) {
+      verdict.result = 'fail';
+      verdict.reason = verdict.dmarc ? `dmarc=${verdict.dmarc}` : 'no check aligned with the From domain passed';
+    }
+    return verdict;
+  }
+
+  // Why a set of results authenticates the From domain, or null. DMARC
+  // decides when present; otherwise an aligned DKIM or SPF pass does.
+  passReason(results, fromDomain, prefix) {
+    const dmarc = summarize(results, 'dmarc');
+    if (dmarc) return dmarc === 'pass' ? `${prefix}dmarc=pass` : null;
+
+    const dkim = results.find((entry) => entry.method === 'dkim' && entry.result === 'pass' &&
+      aligned(domainOf(entry.props['header.d'] || entry.props['header.i']), fromDomain));
+    if (dkim) return `${prefix}aligned dkim=pass`;
+
+    const spf = results.find((entry) => entry.method === 'spf' && entry.result === 'pass' &&
+      aligned(domainOf(entry.props['smtp.mailfrom'] || entry.props['smtp.helo']), fromDomain));
+    if (spf) return `${prefix}aligned spf=pass`;
+
+    return null;
+  }
+
+  // [{ domain, selector, result, reason }] per DKIM-Signature, checked here
+  async verifyDkimSignatures(rawEmail) {
+    const { fields, body } = splitMessage(rawEmail);
+    const signatures = fields.filter((field) => fieldName(field) === 'dkim-signature').slice(0, MAX_DKIM_SIGNATURES);
+
+    const outcomes = [];
+    for (const signature of signatures) {
+      try {
+        outcomes.push(await verifySignature(signature, fields, body, this.resolver));
+      } catch (error) {
+        outcomes.push({ domain: null, selector: null, result: 'permerror', reason: error.message });
+      }
+    }
+    return outcomes;
+  }
+}
+
+SenderAuth.POLICIES = POLICIES;
+SenderAuth.parseAuthenticationResults = parseAuthenticationResults;
+
+module.exports = SenderAuth;
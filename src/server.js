@@ -1,28 +1,81 @@
 require('dotenv').config();
+const http = require('http');
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const SimpleDatabase = require('./database');
-const SimpleEmailService = require('./emailService');
+const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const AccountManager = require('./accountManager');
+const CodeWaiter = require('./codeWaiter');
+const WebhookService = require('./webhookService');
+const Metrics = require('./metrics');
+const Supervisor = require('./supervisor');
+const RuleEngine = require('./ruleEngine');
+const AliasService = require('./aliasService');
+const TotpService = require('./totpService');
+const SenderAuth = require('./senderAuth');
+const { loadAccounts, loadRules, loadAttachmentOptions, loadCodeOptions, loadFetchOptions, loadSupervisorOptions, loadCipher, loadStorageOptions, loadAliasOptions, loadSenderAuthOptions } = require('./config');
+const { createSseHandler, attachWebSocketStream } = require('./eventStream');
+const { generateApiKey, hashApiKey, safeEqual, readApiKey, createAuthMiddleware, requireAdmin } = require('./auth');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Initialize database
-const database = new SimpleDatabase();
+// Initialize storage (STORAGE_BACKEND), encrypting stored content when
+// keys are configured
+const cipher = loadCipher();
+const database = createStorage({ ...loadStorageOptions(), cipher });
 
-// Email configuration
-const emailConfig = {
-  email: process.env.EMAIL,
-  password: process.env.PASSWORD,
-  host: process.env.HOST,
-  port: parseInt(process.env.PORT_IMAP) || 993,
-  tls: process.env.TLS === 'true'
-};
+// Code extraction rules from the rules config file and /api/rules
+const ruleEngine = new RuleEngine(database, loadRules());
+
+const supervisorOptions = loadSupervisorOptions();
+
+// One email service per configured account (accounts file or EMAIL/PASSWORD/HOST env vars)
+const accounts = loadAccounts();
+const accountManager = new AccountManager(accounts, database, ruleEngine, {
+  attachments: loadAttachmentOptions(),
+  codes: loadCodeOptions(),
+  senderAuth: new SenderAuth(loadSenderAuthOptions()),
+  maxReconnectDelay: supervisorOptions.maxReconnectDelayMs,
+  ...loadFetchOptions()
+});
+
+// Stale IDLE detection and the /healthz, /readyz probes
+const supervisor = new Supervisor(accountManager, database, supervisorOptions);
+
+// Hands extracted codes to /api/wait-for-code requests
+const codeWaiter = new CodeWaiter(database);
+const MAX_WAIT_SECONDS = 300;
+
+// Code leases (?lease=): default length and upper bound, in seconds
+const DEFAULT_LEASE_SECONDS = parseInt(process.env.CODE_LEASE_SECONDS) || 60;
+const MAX_LEASE_SECONDS = 3600;
+
+// Longest sample field accepted by POST /api/rules/test
+const MAX_RULE_SAMPLE_LENGTH = 64 * 1024;
 
-// Initialize email service
-const emailService = new SimpleEmailService(emailConfig, database);
+// Delivers extracted codes to registered webhooks
+const webhookService = new WebhookService(database);
 
+// Disposable addresses from ALIAS_TEMPLATES (plus-addressing on the
+// configured mailboxes by default)
+const aliasService = new AliasService(database, loadAliasOptions(accounts));
+
+// Authenticator-app codes from stored TOTP/HOTP secrets
+const totpService = new TotpService(database);
+
+// Master key for /api; unset disables authentication
+const adminApiKey = process.env.ADMIN_API_KEY || null;
+
+// Prometheus metrics at /metrics, optionally behind METRICS_TOKEN
+const metrics = new Metrics(accountManager);
+const metricsToken = process.env.METRICS_TOKEN || null;
+
+// Email account used by the unscoped /api routes
+const defaultAccount = () => accountManager.getDefault().config.email;
+
+app.use(metrics.middleware());
 app.use(express.json());
 
 // Swagger configuration
@@ -42,6 +95,434 @@ const swaggerOptions = {
         description: process.env.NODE_ENV === 'production' ? 'Production server' : 'Local development server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'ADMIN_API_KEY or a key created with POST /api/keys',
+        },
+        apiKeyHeader: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
+      },
+      parameters: {
+        account: {
+          in: 'path',
+          name: 'account',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Account name from the accounts config, or its email address',
+          example: 'work',
+        },
+        ruleId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Extraction rule ID',
+        },
+        emailId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Email ID (the "id" of /api/last-email, or "email_id" of a code)',
+        },
+        webhookId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string' },
+          description: 'Webhook ID',
+        },
+        codeLease: {
+          in: 'query',
+          name: 'lease',
+          schema: { type: 'string' },
+          description: 'Lease the code instead of using it up: "true" for the default lease (CODE_LEASE_SECONDS) or a number of seconds (max 3600). Confirm or release it with the returned claim_token; unconfirmed leases return the code to the pool when they expire.',
+          example: '30',
+        },
+        codeSince: {
+          in: 'query',
+          name: 'since',
+          schema: { type: 'string', format: 'date-time' },
+          description: 'Only return codes from emails received at or after this time (ISO 8601, one-second resolution), e.g. just before triggering the code',
+          example: '2023-12-01T10:30:00Z',
+        },
+        codeAuthenticated: {
+          in: 'query',
+          name: 'authenticated',
+          schema: { type: 'boolean', default: false },
+          description: 'Only return codes from emails whose sender authenticated (auth_result "pass"). Codes from other senders, flagged or not, are skipped and stay available.',
+        },
+        linkAuthenticated: {
+          in: 'query',
+          name: 'authenticated',
+          schema: { type: 'boolean', default: false },
+          description: 'Only return links from emails whose sender authenticated (auth_result "pass"). Links from other senders, flagged or not, are skipped and stay available.',
+        },
+        codeId: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'integer' },
+          description: 'Code ID',
+        },
+        historyFrom: { in: 'query', name: 'from', schema: { type: 'string' }, description: 'Sender address (exact, case-insensitive)' },
+        historyTo: { in: 'query', name: 'to', schema: { type: 'string' }, description: 'Any recipient of the email (exact address, case-insensitive)' },
+        historySubject: { in: 'query', name: 'subject', schema: { type: 'string' }, description: 'Subject contains this text. 400 while encryption at rest is enabled' },
+        historySince: { in: 'query', name: 'since', schema: { type: 'string', format: 'date-time' }, description: 'Received on or after (ISO 8601)' },
+        historyUntil: { in: 'query', name: 'until', schema: { type: 'string', format: 'date-time' }, description: 'Received on or before (ISO 8601)' },
+        historyAccount: { in: 'query', name: 'account', schema: { type: 'string' }, description: 'Account name or email address' },
+        historyQuery: { in: 'query', name: 'q', schema: { type: 'string' }, description: 'Full-text search over the email body (FTS5 syntax on SQLite, web search syntax on PostgreSQL). 400 while encryption at rest is enabled', example: 'verify AND account' },
+        historySort: { in: 'query', name: 'sort', schema: { type: 'string', enum: ['date', 'created_at'], default: 'date' }, description: 'Email date or time stored' },
+        historyOrder: { in: 'query', name: 'order', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+        historyLimit: { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } },
+        historyCursor: { in: 'query', name: 'cursor', schema: { type: 'string' }, description: 'pagination.next_cursor of the previous page' },
+      },
+      schemas: {
+        AccountStatus: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['imap', 'smtp', 'maildir'], description: 'Mail source' },
+            connected: { type: 'boolean' },
+            email: { type: 'string' },
+            reconnectAttempts: { type: 'integer' },
+            isReconnecting: { type: 'boolean' },
+            lastActivityAt: { type: 'string', nullable: true, description: 'IMAP only: last data received from the server; a session silent for IDLE_STALE_MINUTES is reconnected' },
+            mailbox: { type: 'string', example: 'INBOX' },
+            lastUid: { type: 'integer', nullable: true, description: 'UID of the last processed message (imap)' },
+            mode: { type: 'string', enum: ['idle', 'poll', 'hybrid'], description: 'How new mail is detected (imap)' },
+            pollInterval: { type: 'number', nullable: true, description: 'Seconds between polls; null in idle mode (imap)' },
+            lastPolledAt: { type: 'string', nullable: true, description: 'When the mailbox was last checked for new mail (imap)' },
+            actions: { type: 'array', items: { type: 'string' }, example: ['seen', 'move:OTP'], description: 'Default actions on handled messages (imap)' },
+            actionsOn: { type: 'string', enum: ['extracted', 'stored'], description: 'When the default actions run (imap)' },
+            listen: { type: 'string', description: 'Listen address (smtp)' },
+            messagesReceived: { type: 'integer', description: 'Messages accepted since startup (smtp)' },
+            path: { type: 'string', description: 'Watched directory (maildir)' },
+            messagesProcessed: { type: 'integer', description: 'Files processed since startup (maildir)' },
+          },
+        },
+        Webhook: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            url: { type: 'string' },
+            secret: { type: 'string', description: 'Only returned when the webhook is created' },
+            email_account: { type: 'string', nullable: true },
+            from_address: { type: 'string', nullable: true },
+            to_address: { type: 'string', nullable: true },
+            created_at: { type: 'string' },
+          },
+        },
+        Alias: {
+          type: 'object',
+          properties: {
+            address: { type: 'string', example: 'qa+k3x9m2p7qd@example.com' },
+            template: { type: 'string', description: 'Name of the template it was generated from' },
+            created_at: { type: 'string' },
+            expires_at: { type: 'string', description: 'Codes for the alias are served until then; removed by the daily cleanup afterwards' },
+          },
+        },
+        TotpSecret: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['totp', 'hotp'] },
+            issuer: { type: 'string', nullable: true },
+            account: { type: 'string', nullable: true },
+            algorithm: { type: 'string', enum: ['SHA1', 'SHA256', 'SHA512'] },
+            digits: { type: 'integer' },
+            period: { type: 'integer', nullable: true, description: 'Seconds per TOTP code; null for HOTP' },
+            counter: { type: 'integer', nullable: true, description: 'Next HOTP counter; null for TOTP' },
+            created_at: { type: 'string' },
+          },
+        },
+        TotpCode: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string', enum: ['totp', 'hotp'] },
+            issuer: { type: 'string', nullable: true },
+            account: { type: 'string', nullable: true },
+            digits: { type: 'integer' },
+            code: { type: 'string', example: '492039' },
+            counter: { type: 'integer', nullable: true, description: 'HOTP counter the code was generated for' },
+            period: { type: 'integer', nullable: true },
+            seconds_remaining: { type: 'integer', nullable: true, description: 'Seconds until the TOTP code changes; null for HOTP' },
+            valid_until: { type: 'string', nullable: true },
+          },
+        },
+        Email: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            email_account: { type: 'string' },
+            subject: { type: 'string' },
+            from_address: { type: 'string' },
+            to_address: { type: 'string', description: 'First of recipients' },
+            recipients: { type: 'array', items: { type: 'string' }, description: 'Every address the email was sent to, most specific first; recipient lookups match any of them' },
+            body_text: { type: 'string' },
+            body_html: { type: 'string', nullable: true },
+            headers: {
+              type: 'array',
+              nullable: true,
+              description: 'Header lines in original order',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  value: { type: 'string' },
+                },
+              },
+            },
+            message_id: { type: 'string', nullable: true },
+            date: { type: 'string', description: "The sender's Date header" },
+            received_at: { type: 'string', description: 'When the email reached the mailbox (IMAP INTERNALDATE) or the service' },
+            uid: { type: 'integer' },
+            auth_result: { type: 'string', enum: ['pass', 'fail', 'none'], nullable: true, description: 'Whether the From domain authenticated (DKIM/SPF/DMARC); null for emails stored before verdicts were recorded' },
+            auth_details: { $ref: '#/components/schemas/AuthVerdict' },
+            created_at: { type: 'string' },
+            actions: {
+              type: 'array',
+              description: 'Actions taken (or still pending) on the IMAP message; only returned by GET /api/emails/{id}',
+              items: { $ref: '#/components/schemas/EmailAction' },
+            },
+          },
+        },
+        EmailAction: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            action: { type: 'string', enum: ['seen', 'flag', 'label', 'move', 'delete'] },
+            target: { type: 'string', nullable: true, description: 'Folder (move) or label (label)' },
+            status: { type: 'string', enum: ['pending', 'done', 'failed'] },
+            attempts: { type: 'integer' },
+            next_attempt_at: { type: 'string', nullable: true, description: 'Next retry of a pending action' },
+            last_error: { type: 'string', nullable: true },
+            mailbox: { type: 'string' },
+            uid: { type: 'integer' },
+            created_at: { type: 'string' },
+            completed_at: { type: 'string', nullable: true },
+          },
+        },
+        AuthVerdict: {
+          type: 'object',
+          nullable: true,
+          description: 'Sender authenticity verdict from trusted Authentication-Results / ARC headers and, with DKIM_VERIFY, local DKIM verification',
+          properties: {
+            result: { type: 'string', enum: ['pass', 'fail', 'none'] },
+            reason: { type: 'string', example: 'dmarc=pass' },
+            from_domain: { type: 'string', nullable: true },
+            authserv_id: { type: 'string', nullable: true, description: 'Server whose Authentication-Results were used' },
+            dkim: { type: 'string', nullable: true },
+            spf: { type: 'string', nullable: true },
+            dmarc: { type: 'string', nullable: true },
+            arc: { type: 'string', nullable: true },
+            dkim_local: {
+              type: 'array',
+              nullable: true,
+              items: {
+                type: 'object',
+                properties: {
+                  domain: { type: 'string' },
+                  selector: { type: 'string' },
+                  result: { type: 'string' },
+                  reason: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        Attachment: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            email_id: { type: 'string' },
+            filename: { type: 'string' },
+            content_type: { type: 'string' },
+            size: { type: 'integer', description: 'Size in bytes' },
+            checksum: { type: 'string', description: 'SHA-256 of the content, hex encoded' },
+            created_at: { type: 'string' },
+          },
+        },
+        Link: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            id: { type: 'integer' },
+            email_id: { type: 'string' },
+            url: { type: 'string' },
+            text: { type: 'string', description: 'Anchor text (empty for links found in the text part)' },
+            used: { type: 'boolean' },
+            flagged: { type: 'integer', enum: [0, 1], description: '1 when the sender did not authenticate and the authPolicy is flag' },
+            created_at: { type: 'string' },
+            subject: { type: 'string' },
+            from_address: { type: 'string' },
+            to_address: { type: 'string' },
+          },
+        },
+        ExtractionRule: {
+          type: 'object',
+          required: ['patterns'],
+          properties: {
+            id: { type: 'string', description: 'Generated when omitted' },
+            name: { type: 'string' },
+            priority: { type: 'number', description: 'Higher priority rules are evaluated first', default: 0 },
+            ttl: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds codes from this rule stay valid (0 = never expire). Defaults to CODE_TTL_SECONDS.' },
+            authPolicy: { type: 'string', enum: ['store', 'flag', 'reject'], nullable: true, description: 'What to do with codes and links from senders that did not authenticate (auth_result other than pass). Defaults to CODE_AUTH_POLICY.' },
+            actions: {
+              type: 'array',
+              nullable: true,
+              description: 'IMAP actions on the messages this rule matches, in the order they run. Accepts strings (seen, flag, label:<name>, move:<folder>, delete, none) or objects ({ "type": "move", "folder": "OTP" }). Defaults to the account\'s actions.',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['seen', 'flag', 'label', 'move', 'delete'] },
+                  target: { type: 'string', nullable: true, description: 'Folder (move) or label (label)' },
+                },
+              },
+            },
+            actionsOn: { type: 'string', enum: ['extracted', 'stored'], nullable: true, description: 'Run the actions once a code or link was extracted, or for every stored message. Defaults to the account\'s.' },
+            match: {
+              type: 'object',
+              description: 'Case-insensitive regexes that must all match for the rule to apply',
+              properties: {
+                from: { type: 'string', example: '@github\\.com$' },
+                to: { type: 'string' },
+                subject: { type: 'string' },
+              },
+            },
+            patterns: {
+              type: 'array',
+              description: 'Regex strings, or { regex, group, flags, priority } objects. The capture group (default 1, falls back to the whole match) is the code.',
+              items: {
+                oneOf: [
+                  { type: 'string' },
+                  {
+                    type: 'object',
+                    properties: {
+                      regex: { type: 'string' },
+                      group: { type: 'integer', minimum: 0, default: 1 },
+                      flags: { type: 'string', default: 'i' },
+                      priority: { type: 'number', default: 0 },
+                    },
+                  },
+                ],
+              },
+              example: ['code:\\s*([A-Z0-9]{4}-[A-Z0-9]{4})'],
+            },
+            links: {
+              type: 'array',
+              description: 'Verification link matchers. A link is picked when its URL and anchor text match the given case-insensitive regexes.',
+              items: {
+                type: 'object',
+                properties: {
+                  url: { type: 'string', example: '/verify\\?token=' },
+                  text: { type: 'string', example: 'confirm (my )?email' },
+                  priority: { type: 'number', default: 0 },
+                },
+              },
+            },
+            stripSeparators: { type: 'boolean', description: 'Remove spaces, dashes, underscores and dots from the code' },
+            uppercase: { type: 'boolean' },
+            minLength: { type: 'integer', minimum: 1 },
+            maxLength: { type: 'integer', minimum: 1 },
+            fallthrough: { type: 'boolean', default: true, description: 'Try lower priority rules when this rule applies but finds no code' },
+            source: { type: 'string', enum: ['config', 'api', 'builtin'], readOnly: true },
+          },
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            webhook_id: { type: 'string' },
+            event: { type: 'string' },
+            payload: { type: 'string', description: 'JSON body that was (or will be) POSTed' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            attempts: { type: 'integer' },
+            next_attempt_at: { type: 'string', nullable: true },
+            response_status: { type: 'integer', nullable: true },
+            last_error: { type: 'string', nullable: true },
+            created_at: { type: 'string' },
+            delivered_at: { type: 'string', nullable: true },
+          },
+        },
+        ClaimedCode: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            email_id: { type: 'string' },
+            code: { type: 'string' },
+            used: { type: 'boolean', description: 'False while leased; true once used up or confirmed' },
+            claim_token: { type: 'string', description: 'Needed to confirm or release a leased code. Only returned by the request that claimed the code.' },
+            claimed_at: { type: 'string' },
+            lease_expires_at: { type: 'string', nullable: true, description: 'Set while the code is leased' },
+            expires_at: { type: 'string', nullable: true, description: 'Expired codes are never returned by the code endpoints; null when codes never expire' },
+            age_seconds: { type: 'integer', description: 'Seconds since the email was received' },
+            created_at: { type: 'string' },
+            subject: { type: 'string' },
+            from_address: { type: 'string' },
+            to_address: { type: 'string' },
+            email_account: { type: 'string' },
+            date: { type: 'string', description: "The sender's Date header" },
+            received_at: { type: 'string', description: 'When the email was received; age_seconds and since count from it' },
+            recipients: { type: 'array', items: { type: 'string' }, description: 'Every address the email was sent to' },
+            trusted_recipients: { type: 'array', items: { type: 'string' }, description: 'The recipients not taken from forwarded content; API key scopes and aliases match only these' },
+            flagged: { type: 'integer', enum: [0, 1], description: '1 when the sender did not authenticate and the authPolicy is flag' },
+            auth_result: { type: 'string', enum: ['pass', 'fail', 'none'], nullable: true, description: 'Sender authenticity of the email' },
+            auth_details: { $ref: '#/components/schemas/AuthVerdict' },
+          },
+        },
+        ProbeResult: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            status: { type: 'string', enum: ['ok', 'unavailable'] },
+            database: { type: 'boolean' },
+            accounts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  type: { type: 'string' },
+                  connected: { type: 'boolean' },
+                  disconnected_seconds: { type: 'integer', description: '0 while connected; counts from startup for sources that never connected' },
+                  ok: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer' },
+            has_more: { type: 'boolean' },
+            next_cursor: { type: 'string', nullable: true, description: 'Pass as "cursor" to get the next page' },
+          },
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            key_prefix: { type: 'string', description: 'First characters of the key, for identification' },
+            allowed_to: { type: 'array', items: { type: 'string' }, description: 'Recipient address globs; empty means any' },
+            allowed_from: { type: 'array', items: { type: 'string' }, description: 'Sender address globs; empty means any' },
+            created_at: { type: 'string' },
+            last_used_at: { type: 'string', nullable: true },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
   },
   apis: ['./src/server.js'],
 };
@@ -49,6 +530,142 @@ const swaggerOptions = {
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+// Every /api route needs an API key once ADMIN_API_KEY is set. Scoped keys
+// only see emails, codes and links addressed within their scope.
+app.use('/api', createAuthMiddleware(database, adminApiKey));
+
+// ?lease= on the code endpoints: sets req.leaseSeconds (0 uses the code up)
+function parseLease(req, res, next) {
+  const { lease } = req.query;
+
+  if (lease === undefined || lease === 'false') {
+    req.leaseSeconds = 0;
+  } else if (lease === '' || lease === 'true') {
+    req.leaseSeconds = DEFAULT_LEASE_SECONDS;
+  } else {
+    const seconds = Number(lease);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_LEASE_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        error: `lease must be "true" or between 1 and ${MAX_LEASE_SECONDS} seconds`
+      });
+    }
+    req.leaseSeconds = seconds;
+  }
+
+  next();
+}
+
+// ?since= on the code endpoints: sets req.since, truncated to whole seconds
+// because IMAP receipt times have no finer resolution
+function parseSince(req, res, next) {
+  req.since = null;
+
+  if (req.query.since !== undefined) {
+    const since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO 8601 date'
+      });
+    }
+    req.since = new Date(Math.floor(since.getTime() / 1000) * 1000).toISOString();
+  }
+
+  next();
+}
+
+// ?authenticated= on the code and link endpoints: sets req.authenticated
+// (only hand out what came from senders that authenticated)
+function parseAuthenticated(req, res, next) {
+  const { authenticated } = req.query;
+
+  if (authenticated === undefined || authenticated === 'false') {
+    req.authenticated = false;
+  } else if (authenticated === '' || authenticated === 'true') {
+    req.authenticated = true;
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'authenticated must be "true" or "false"'
+    });
+  }
+
+  next();
+}
+
+// Handlers shared by the unscoped routes and their /api/accounts/:account
+// variants. req.emailAccount is the account to read from: the default one
+// (useDefaultAccount), the :account param, or unset for all accounts.
+function useDefaultAccount(req, res, next) {
+  req.emailAccount = defaultAccount();
+  next();
+}
+
+async function sendLastEmail(req, res) {
+  try {
+    const email = await database.getLastEmail(req.emailAccount, req.auth.scope);
+    
+    if (!email) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No emails found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: email
+    });
+  } catch (error) {
+    console.error('Error getting last email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get last email'
+    });
+  }
+}
+
+// Claims the newest code matching filtersOf(req) in req.emailAccount;
+// `what` names the lookup in messages
+function lastCodeHandler(filtersOf, what, emptyMessage) {
+  return async (req, res) => {
+    try {
+      const code = await database.claimLastCode({
+        emailAccount: req.emailAccount,
+        ...filtersOf(req),
+        since: req.since,
+        authenticated: req.authenticated,
+        scope: req.auth.scope
+      }, { leaseSeconds: req.leaseSeconds });
+      
+      if (!code) {
+        return res.json({
+          success: true,
+          data: null,
+          message: emptyMessage
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: code
+      });
+    } catch (error) {
+      console.error(`Error getting ${what}:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to get ${what}`
+      });
+    }
+  };
+}
+
+const sendLastCode = lastCodeHandler(() => ({}), 'last code', 'No codes found');
+const sendLastCodeFrom = lastCodeHandler((req) => ({ fromAddress: req.params.fromAddress }), 'last code from sender', 'No codes found from this sender');
+const sendLastCodeTo = lastCodeHandler((req) => ({ toAddress: req.params.toAddress }), 'last code for recipient', 'No codes found for this recipient address');
+
 /**
  * @swagger
  * /api/last-email:
@@ -87,42 +704,209 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *       500:
  *         description: Server error
  */
-app.get('/api/last-email', async (req, res) => {
+app.get('/api/last-email', useDefaultAccount, sendLastEmail);
+
+const HISTORY_MAX_LIMIT = 200;
+
+function historyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Cursors are opaque to clients; they carry the sort so a cursor can't be
+// reused with a different ordering
+function encodeCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: row[sort], id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let decoded;
   try {
-    const emailAccount = emailConfig.email;
-    const email = await database.getLastEmail(emailAccount);
-    
-    if (!email) {
-      return res.json({
-        success: true,
-        data: null,
-        message: 'No emails found'
-      });
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+  if (!decoded || decoded.s !== sort || decoded.o !== order || decoded.id === undefined) {
+    throw historyError('Invalid cursor for this sort order');
+  }
+  return { value: decoded.v, id: decoded.id };
+}
+
+function parseHistoryDate(value, field) {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw historyError(`${field} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+}
+
+// Filters for GET /api/emails and GET /api/codes from the query string
+function parseHistoryQuery(query, auth) {
+  const sort = query.sort || 'date';
+  if (!['date', 'created_at'].includes(sort)) {
+    throw historyError('sort must be "date" or "created_at"');
+  }
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw historyError('order must be "asc" or "desc"');
+  }
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    throw historyError(`limit must be between 1 and ${HISTORY_MAX_LIMIT}`);
+  }
+
+  let emailAccount = null;
+  if (query.account) {
+    const service = accountManager.get(query.account);
+    if (!service) {
+      throw historyError(`Unknown account: ${query.account}`, 404);
     }
-    
+    emailAccount = service.config.email;
+  }
+
+  // Encrypted subjects and bodies can't be matched in SQL
+  if (cipher.enabled && (query.q || query.subject)) {
+    throw historyError('q and subject filters are unavailable while encryption at rest is enabled');
+  }
+
+  let used = null;
+  if (query.used !== undefined) {
+    if (!['true', 'false'].includes(query.used)) {
+      throw historyError('used must be "true" or "false"');
+    }
+    used = query.used === 'true';
+  }
+
+  return {
+    emailAccount,
+    fromAddress: query.from || null,
+    toAddress: query.to || null,
+    subject: query.subject || null,
+    since: parseHistoryDate(query.since, 'since'),
+    until: parseHistoryDate(query.until, 'until'),
+    query: query.q || null,
+    used,
+    sort,
+    order,
+    limit,
+    after: query.cursor ? decodeCursor(query.cursor, sort, order) : null,
+    scope: auth.scope
+  };
+}
+
+async function sendHistoryPage(req, res, search, label) {
+  let filters;
+  try {
+    filters = parseHistoryQuery(req.query, req.auth);
+  } catch (error) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const { rows, hasMore } = await search(filters);
+    const last = rows[rows.length - 1];
+
     res.json({
       success: true,
-      data: email
+      data: rows,
+      pagination: {
+        limit: filters.limit,
+        has_more: hasMore,
+        next_cursor: hasMore && last ? encodeCursor(filters.sort, filters.order, last) : null
+      }
     });
   } catch (error) {
-    console.error('Error getting last email:', error);
+    // FTS5 rejects malformed match expressions
+    if (filters.query && /fts5|MATCH/i.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search query'
+      });
+    }
+    console.error(`Error listing ${label}:`, error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get last email'
+      error: `Failed to list ${label}`
     });
   }
-});
+}
 
 /**
  * @swagger
- * /api/last-code:
+ * /api/emails:
  *   get:
- *     summary: Get the most recent unused 2FA code
- *     description: Retrieves the most recent unused 2FA code and marks it as used (single-use)
+ *     summary: Search stored emails
+ *     description: Lists stored emails, newest first by default, with filters and cursor pagination. HTML bodies and headers are left out; fetch them with /api/emails/{id}.
+ *     tags: [Emails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyFrom'
+ *       - $ref: '#/components/parameters/historyTo'
+ *       - $ref: '#/components/parameters/historySubject'
+ *       - $ref: '#/components/parameters/historyQuery'
+ *       - $ref: '#/components/parameters/historySince'
+ *       - $ref: '#/components/parameters/historyUntil'
+ *       - $ref: '#/components/parameters/historyAccount'
+ *       - $ref: '#/components/parameters/historySort'
+ *       - $ref: '#/components/parameters/historyOrder'
+ *       - $ref: '#/components/parameters/historyLimit'
+ *       - $ref: '#/components/parameters/historyCursor'
+ *     responses:
+ *       200:
+ *         description: One page of emails
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter, cursor or search query
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/emails', (req, res) => sendHistoryPage(req, res, (filters) => database.searchEmails(filters), 'emails'));
+
+/**
+ * @swagger
+ * /api/codes:
+ *   get:
+ *     summary: Search extracted codes
+ *     description: Lists extracted 2FA codes with the same filters as /api/emails, plus "used". Listing codes does not mark them as used.
  *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/historyFrom'
+ *       - $ref: '#/components/parameters/historyTo'
+ *       - $ref: '#/components/parameters/historySubject'
+ *       - $ref: '#/components/parameters/historyQuery'
+ *       - $ref: '#/components/parameters/historySince'
+ *       - $ref: '#/components/parameters/historyUntil'
+ *       - $ref: '#/components/parameters/historyAccount'
+ *       - in: query
+ *         name: used
+ *         schema:
+ *           type: boolean
+ *         description: Only used (true) or unused (false) codes
+ *       - $ref: '#/components/parameters/historySort'
+ *       - $ref: '#/components/parameters/historyOrder'
+ *       - $ref: '#/components/parameters/historyLimit'
+ *       - $ref: '#/components/parameters/historyCursor'
  *     responses:
  *       200:
- *         description: Successful response
+ *         description: One page of codes
  *         content:
  *           application/json:
  *             schema:
@@ -131,67 +915,1969 @@ app.get('/api/last-email', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   nullable: true
- *                   properties:
- *                     id:
- *                       type: integer
- *                     code:
- *                       type: string
- *                     subject:
- *                       type: string
- *                     from_address:
- *                       type: string
- *                     used:
- *                       type: boolean
- *                     created_at:
- *                       type: string
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter, cursor or search query
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/codes', (req, res) => sendHistoryPage(req, res, (filters) => database.searchCodes(filters), 'codes'));
+
+// Why a confirm/release was refused, by storage claim state
+const CLAIM_ERRORS = {
+  not_found: [404, 'Code not found'],
+  not_claimed: [409, 'Code is not leased (never claimed, released, or its lease expired)'],
+  token_mismatch: [409, 'Claim token does not match the current lease'],
+  expired: [409, 'Lease expired'],
+  confirmed: [409, 'Code was already used'],
+  leased: [409, 'Code is still leased']
+};
+
+// Shared by confirm and release: check the token and visibility, then apply
+function updateClaim(action, successState, message) {
+  return async (req, res) => {
+    const claimToken = (req.body && req.body.claim_token) || req.get('X-Claim-Token');
+    if (!claimToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'claim_token is required'
+      });
+    }
+
+    try {
+      const visible = await database.getCodeById(req.params.id, req.auth.scope);
+      const state = visible ? await action(req.params.id, claimToken) : 'not_found';
+
+      if (state !== successState) {
+        const [status, error] = CLAIM_ERRORS[state];
+        return res.status(status).json({
+          success: false,
+          error: error
+        });
+      }
+
+      const code = await database.getCodeById(req.params.id);
+      if (successState === 'released') {
+        // Give long-polls waiting for a matching code the first chance at it
+        await codeWaiter.offer(code);
+      }
+
+      res.json({
+        success: true,
+        data: code,
+        message: message
+      });
+    } catch (error) {
+      console.error(`Error updating claim for code ${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update code claim'
+      });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /api/codes/{id}/confirm:
+ *   post:
+ *     summary: Confirm a leased code
+ *     description: Marks a code leased with ?lease= as used. Must happen before the lease expires. Confirming the same claim again succeeds.
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [claim_token]
+ *             properties:
+ *               claim_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ClaimedCode'
  *                 message:
  *                   type: string
+ *       400:
+ *         description: Missing claim_token
+ *       404:
+ *         description: Code not found
+ *       409:
+ *         description: Wrong claim token, or the lease expired or was released
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/codes/:id/confirm', updateClaim((id, token) => database.confirmCode(id, token), 'confirmed', 'Code confirmed'));
+
+/**
+ * @swagger
+ * /api/codes/{id}/release:
+ *   post:
+ *     summary: Release a leased code
+ *     description: Returns a leased code to the pool so the next request (or a waiting /api/wait-for-code) can claim it.
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [claim_token]
+ *             properties:
+ *               claim_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Code released
+ *       400:
+ *         description: Missing claim_token
+ *       404:
+ *         description: Code not found
+ *       409:
+ *         description: Wrong claim token, the code was already confirmed, or the lease expired
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/codes/:id/release', updateClaim((id, token) => database.releaseCode(id, token), 'released', 'Code released'));
+
+/**
+ * @swagger
+ * /api/emails/{id}:
+ *   get:
+ *     summary: Get a stored email
+ *     description: Returns every stored field of an email, including the HTML part, the parsed headers and the Message-ID (the raw source is served by /api/emails/{id}/raw), and the actions taken on the IMAP message
+ *     tags: [Emails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/emailId'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Email'
+ *       404:
+ *         description: Email not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/emails/:id', async (req, res) => {
+  try {
+    const email = await database.getEmailById(req.params.id, req.auth.scope);
+    
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...email, actions: await database.getEmailActions(email.id) }
+    });
+  } catch (error) {
+    console.error('Error getting email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/emails/{id}/html:
+ *   get:
+ *     summary: Get the HTML part of a stored email
+ *     description: Serves the HTML body as text/html inside a sandboxing Content-Security-Policy, so scripts in the email don't run
+ *     tags: [Emails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/emailId'
+ *     responses:
+ *       200:
+ *         description: HTML body
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Email not found or has no HTML part
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/emails/:id/html', async (req, res) => {
+  try {
+    const email = await database.getEmailById(req.params.id, req.auth.scope);
+    
+    if (!email || !email.body_html) {
+      return res.status(404).json({
+        success: false,
+        error: email ? 'Email has no HTML part' : 'Email not found'
+      });
+    }
+    
+    res.set('Content-Security-Policy', 'sandbox');
+    res.type('html').send(email.body_html);
+  } catch (error) {
+    console.error('Error getting email HTML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get email HTML'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/emails/{id}/raw:
+ *   get:
+ *     summary: Download the raw source of a stored email
+ *     description: Serves the original RFC822 message as message/rfc822 (save as .eml to replay it locally)
+ *     tags: [Emails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/emailId'
+ *     responses:
+ *       200:
+ *         description: Raw message
+ *         content:
+ *           message/rfc822:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Email not found or stored without its source
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/emails/:id/raw', async (req, res) => {
+  try {
+    const rawSource = await database.getEmailRawSource(req.params.id, req.auth.scope);
+    
+    if (!rawSource) {
+      return res.status(404).json({
+        success: false,
+        error: 'Raw source not found'
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'message/rfc822',
+      'Content-Disposition': `attachment; filename="${req.params.id}.eml"`
+    });
+    res.send(rawSource);
+  } catch (error) {
+    console.error('Error getting raw email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get raw email'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/emails/{id}/attachments:
+ *   get:
+ *     summary: List the attachments of a stored email
+ *     description: Returns attachment metadata. Attachments over ATTACHMENT_MAX_BYTES or outside ATTACHMENT_TYPES are not stored.
+ *     tags: [Emails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/emailId'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attachment'
+ *       404:
+ *         description: Email not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/emails/:id/attachments', async (req, res) => {
+  try {
+    const email = await database.getEmailById(req.params.id, req.auth.scope);
+    
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found'
+      });
+    }
+    
+    const attachments = await database.getAttachmentsByEmailId(email.id);
+    res.json({
+      success: true,
+      data: attachments
+    });
+  } catch (error) {
+    console.error('Error listing attachments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list attachments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attachments/{id}:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Serves the attachment with its original content type and filename
+ *     tags: [Emails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment content
+ *         headers:
+ *           X-Checksum-SHA256:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Attachment not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/attachments/:id', async (req, res) => {
+  try {
+    const attachment = await database.getAttachment(req.params.id, req.auth.scope);
+    
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+    
+    // res.attachment() guesses a type from the filename; the stored type wins
+    res.attachment(attachment.filename);
+    res.set({
+      'Content-Type': attachment.content_type || 'application/octet-stream',
+      'X-Checksum-SHA256': attachment.checksum
+    });
+    res.send(attachment.content);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/last-code:
+ *   get:
+ *     summary: Get the most recent unused 2FA code
+ *     description: Retrieves the most recent unused 2FA code and marks it as used (single-use)
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     code:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     from_address:
+ *                       type: string
+ *                     used:
+ *                       type: boolean
+ *                     created_at:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/last-code', parseLease, parseSince, parseAuthenticated, useDefaultAccount, sendLastCode);
+
+/**
+ * @swagger
+ * /api/last-code-from/{fromAddress}:
+ *   get:
+ *     summary: Get the most recent unused 2FA code from a specific sender
+ *     description: Retrieves the most recent unused 2FA code from a specific sender email address and marks it as used (single-use)
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - in: path
+ *         name: fromAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The sender's email address
+ *         example: noreply@github.com
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     code:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     from_address:
+ *                       type: string
+ *                     used:
+ *                       type: boolean
+ *                     created_at:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/last-code-from/:fromAddress', parseLease, parseSince, parseAuthenticated, useDefaultAccount, sendLastCodeFrom);
+
+/**
+ * @swagger
+ * /api/last-code-to/{toAddress}:
+ *   get:
+ *     summary: Get the most recent unused 2FA code for a specific recipient address
+ *     description: Retrieves the most recent unused 2FA code sent to a specific recipient address. Matches any of the email's recipients (envelope, forwarded original recipient, X-Original-To, To/Cc, Delivered-To), case-insensitively. Marks code as used (single-use).
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - in: path
+ *         name: toAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The recipient's email address from forwarded email body
+ *         example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     code:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     from_address:
+ *                       type: string
+ *                     to_address:
+ *                       type: string
+ *                     used:
+ *                       type: boolean
+ *                     created_at:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ */
+// Recipient lookups span all accounts
+app.get('/api/last-code-to/:toAddress', parseLease, parseSince, parseAuthenticated, sendLastCodeTo);
+
+/**
+ * @swagger
+ * /api/aliases:
+ *   post:
+ *     summary: Generate a disposable alias
+ *     description: Creates a unique address from a configured template (ALIAS_TEMPLATES), e.g. a random plus tag on a mailbox or a random subdomain of a catch-all domain. Codes sent to the alias are served by /api/aliases/{alias}/code until it expires. A scoped API key can only create aliases inside its "to" scope.
+ *     tags: [Aliases]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               template:
+ *                 type: string
+ *                 description: Template name; the first configured template when omitted
+ *               ttl:
+ *                 type: integer
+ *                 description: Lifetime in seconds (default ALIAS_TTL_SECONDS, max 30 days)
+ *                 example: 900
+ *               prefix:
+ *                 type: string
+ *                 description: Readable label put in front of the random tag
+ *                 example: signup
+ *     responses:
+ *       201:
+ *         description: Alias created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Alias'
+ *       400:
+ *         description: Unknown template, invalid ttl or no templates configured
+ *       403:
+ *         description: The alias would be outside the API key's scope
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/aliases', async (req, res) => {
+  const { template, ttl, prefix } = req.body || {};
+
+  try {
+    const alias = await aliasService.create({ template, ttlSeconds: ttl, prefix }, req.auth.scope);
+
+    res.status(201).json({
+      success: true,
+      data: alias
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error creating alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alias'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/aliases/{alias}/code:
+ *   get:
+ *     summary: Get the most recent unused code sent to an alias
+ *     description: Claims the newest code from an email sent to the alias or to a plus sub-address of it (qa+tag+anything@example.com), compared case-insensitively. Otherwise works like /api/last-code-to.
+ *     tags: [Aliases]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - in: path
+ *         name: alias
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Address returned by POST /api/aliases
+ *         example: qa+k3x9m2p7qd@example.com
+ *     responses:
+ *       200:
+ *         description: Successful response; data is null until a code arrives
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ClaimedCode'
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Unknown or expired alias
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/aliases/:alias/code', parseLease, parseSince, parseAuthenticated, async (req, res) => {
+  try {
+    const alias = await aliasService.get(req.params.alias);
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alias not found or expired'
+      });
+    }
+
+    const code = await database.claimLastCode(
+      { alias: alias.address, since: req.since, authenticated: req.authenticated, scope: req.auth.scope },
+      { leaseSeconds: req.leaseSeconds }
+    );
+
+    if (!code) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No codes found for this alias'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: code
+    });
+  } catch (error) {
+    console.error('Error getting code for alias:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get code for alias'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/last-link:
+ *   get:
+ *     summary: Get the most recent unused verification link
+ *     description: Retrieves the most recent unused magic/verification link and marks it as used (single-use)
+ *     tags: [Verification Links]
+ *     parameters:
+ *       - $ref: '#/components/parameters/linkAuthenticated'
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Link'
+ *                 message:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/last-link', parseAuthenticated, async (req, res) => {
+  try {
+    const emailAccount = defaultAccount();
+    const link = await database.getLastLink(emailAccount, req.auth.scope, { authenticated: req.authenticated });
+    
+    if (!link) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No links found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    console.error('Error getting last link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get last link'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/last-link-from/{fromAddress}:
+ *   get:
+ *     summary: Get the most recent unused verification link from a specific sender
+ *     description: Retrieves the most recent unused verification link from a specific sender email address and marks it as used (single-use)
+ *     tags: [Verification Links]
+ *     parameters:
+ *       - $ref: '#/components/parameters/linkAuthenticated'
+ *       - in: path
+ *         name: fromAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The sender's email address
+ *         example: noreply@github.com
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-link)
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/last-link-from/:fromAddress', parseAuthenticated, async (req, res) => {
+  try {
+    const emailAccount = defaultAccount();
+    const fromAddress = req.params.fromAddress;
+    const link = await database.getLastLinkByFromAddress(emailAccount, fromAddress, req.auth.scope, { authenticated: req.authenticated });
+    
+    if (!link) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No links found from this sender'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    console.error('Error getting last link from sender:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get last link from sender'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/last-link-to/{toAddress}:
+ *   get:
+ *     summary: Get the most recent unused verification link for a specific recipient address
+ *     description: Retrieves the most recent unused verification link sent to a specific recipient address. Marks link as used (single-use).
+ *     tags: [Verification Links]
+ *     parameters:
+ *       - $ref: '#/components/parameters/linkAuthenticated'
+ *       - in: path
+ *         name: toAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The recipient's email address
+ *         example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-link)
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/last-link-to/:toAddress', parseAuthenticated, async (req, res) => {
+  try {
+    const toAddress = req.params.toAddress;
+    const link = await database.getLastLinkByToAddress(toAddress, req.auth.scope, { authenticated: req.authenticated });
+    
+    if (!link) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No links found for this recipient address'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    console.error('Error getting last link for recipient:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get last link for recipient'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/wait-for-code:
+ *   get:
+ *     summary: Wait for the next unused 2FA code
+ *     description: Long-poll variant of /api/last-code. Returns a matching unused code immediately if one is stored, otherwise holds the request open until one is extracted or the timeout passes. The returned code is marked as used (single-use); concurrent waiters each receive a different code.
+ *     tags: [2FA Codes]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only accept codes sent to this recipient address
+ *         example: user@example.com
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Only accept codes from this sender address
+ *         example: noreply@github.com
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *         description: Only accept codes received by this account (name or email). Defaults to all accounts.
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           default: 60
+ *           minimum: 1
+ *           maximum: 300
+ *         description: Seconds to wait before giving up
+ *     responses:
+ *       200:
+ *         description: A code, or null data when the timeout passed (same shape as /api/last-code)
+ *       400:
+ *         description: Invalid timeout
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/wait-for-code', parseLease, parseSince, parseAuthenticated, async (req, res) => {
+  const timeout = req.query.timeout === undefined ? 60 : Number(req.query.timeout);
+  if (!Number.isFinite(timeout) || timeout < 1 || timeout > MAX_WAIT_SECONDS) {
+    return res.status(400).json({
+      success: false,
+      error: `timeout must be between 1 and ${MAX_WAIT_SECONDS} seconds`
+    });
+  }
+
+  let emailAccount = null;
+  if (req.query.account) {
+    const service = accountManager.get(req.query.account);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown account: ${req.query.account}`
+      });
+    }
+    emailAccount = service.config.email;
+  }
+
+  // Stop waiting if the client goes away
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  try {
+    const code = await codeWaiter.wait({
+      emailAccount,
+      fromAddress: req.query.from,
+      toAddress: req.query.to,
+      since: req.since,
+      authenticated: req.authenticated,
+      scope: req.auth.scope
+    }, timeout * 1000, abort.signal, { leaseSeconds: req.leaseSeconds });
+    
+    if (!code) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'No code received before timeout'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: code
+    });
+  } catch (error) {
+    console.error('Error waiting for code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to wait for code'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Live event stream
+ *     description: |
+ *       Server-Sent Events feed of `email.received`, `code.extracted`, `link.extracted` and `connection.state` events.
+ *       Each SSE message uses the event type as its `event:` name and a JSON `{ type, timestamp, data }` object as `data:`.
+ *       The same path also accepts WebSocket upgrades (`ws://host/api/stream?...`), sending each event as a JSON text message.
+ *       Sender and recipient filters match exactly, like /api/last-code-from and /api/last-code-to; `connection.state` events are only filtered by account.
+ *       Streamed codes are not marked as used.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Only email and code events for this recipient address
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Only email and code events from this sender address
+ *       - in: query
+ *         name: account
+ *         schema:
+ *           type: string
+ *         description: Only events for this account (name or email)
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types to receive (default all)
+ *         example: code.extracted,connection.state
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown event type
+ *       404:
+ *         description: Unknown account
+ */
+app.get('/api/stream', createSseHandler(accountManager));
+
+// Webhook rows without their secret, for list/get responses
+const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: Registers a URL that receives a signed POST for every extracted 2FA code matching the optional filters. The secret is only returned in this response. Delivering a code to a webhook does not mark it as used.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://ci.example.com/hooks/codes
+ *               secret:
+ *                 type: string
+ *                 description: HMAC secret; generated when omitted
+ *               from:
+ *                 type: string
+ *                 description: Only codes from this sender address
+ *               to:
+ *                 type: string
+ *                 description: Only codes sent to this recipient address
+ *               account:
+ *                 type: string
+ *                 description: Only codes received by this account (name or email)
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid request
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Registered webhooks (without secrets)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/webhooks', requireAdmin, async (req, res) => {
+  const { url, secret, from, to, account } = req.body || {};
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    parsedUrl = null;
+  }
+  if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return res.status(400).json({
+      success: false,
+      error: 'url must be an http(s) URL'
+    });
+  }
+
+  let emailAccount = null;
+  if (account) {
+    const service = accountManager.get(account);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown account: ${account}`
+      });
+    }
+    emailAccount = service.config.email;
+  }
+
+  try {
+    const webhook = {
+      id: uuidv4(),
+      url: parsedUrl.toString(),
+      secret: secret || WebhookService.generateSecret(),
+      emailAccount,
+      fromAddress: from || null,
+      toAddress: to || null
+    };
+    await database.insertWebhook(webhook);
+    
+    res.status(201).json({
+      success: true,
+      data: await database.getWebhook(webhook.id)
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook'
+    });
+  }
+});
+
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const webhooks = await database.getWebhooks();
+    
+    res.json({
+      success: true,
+      data: webhooks.map(publicWebhook)
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
+ *     responses:
+ *       200:
+ *         description: The webhook (without secret)
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Removes the webhook and its queued deliveries. Past deliveries stay in the log until retention cleanup.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const webhook = await database.getWebhook(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: publicWebhook(webhook)
+    });
+  } catch (error) {
+    console.error('Error getting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook'
+    });
+  }
+});
+
+app.delete('/api/webhooks/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await database.deleteWebhook(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log of a webhook
+ *     description: Lists deliveries newest first, including queued retries (status pending).
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'status must be one of pending, delivered, failed'
+    });
+  }
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+  try {
+    const webhook = await database.getWebhook(req.params.id);
+    
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+    
+    const deliveries = await database.getWebhookDeliveries(webhook.id, { status, limit });
+    res.json({
+      success: true,
+      data: deliveries
+    });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get webhook deliveries'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules:
+ *   get:
+ *     summary: List extraction rules
+ *     description: Lists every extraction rule in evaluation order - rules from the rules config file and the API by descending priority, then the built-in default rule. Requires the admin key.
+ *     tags: [Extraction Rules]
+ *     responses:
+ *       200:
+ *         description: Extraction rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExtractionRule'
+ *       403:
+ *         description: Admin API key required
+ *   post:
+ *     summary: Create an extraction rule
+ *     tags: [Extraction Rules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExtractionRule'
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ *       409:
+ *         description: A rule with this id already exists
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/rules', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: ruleEngine.list()
+  });
+});
+
+app.post('/api/rules', requireAdmin, async (req, res) => {
+  try {
+    const rule = RuleEngine.normalizeRule(req.body, 'api');
+    
+    if (ruleEngine.get(rule.id)) {
+      return res.status(409).json({
+        success: false,
+        error: `Rule ${rule.id} already exists`
+      });
+    }
+    
+    const { id, ...definition } = req.body;
+    await database.saveExtractionRule(rule.id, definition);
+    await ruleEngine.reload();
+    
+    res.status(201).json({
+      success: true,
+      data: ruleEngine.get(rule.id)
+    });
+  } catch (error) {
+    if (error instanceof RuleEngine.RuleValidationError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error creating rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules/test:
+ *   post:
+ *     summary: Dry-run extraction rules against a sample email
+ *     description: Runs an inline rule, a stored rule (ruleId) or, when neither is given, the full rule set against a sample. Nothing is stored. Requires the admin key; each sample field is limited to 65536 characters.
+ *     tags: [Extraction Rules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 $ref: '#/components/schemas/ExtractionRule'
+ *               ruleId:
+ *                 type: string
+ *               body:
+ *                 type: string
+ *                 example: "Your login code is AB12-CD34"
+ *               html:
+ *                 type: string
+ *                 description: HTML part, searched for verification links
+ *               subject:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dry-run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     applies:
+ *                       type: boolean
+ *                       description: Whether the rule's sender/recipient/subject matchers accept the sample
+ *                     code:
+ *                       type: string
+ *                       nullable: true
+ *                     pattern:
+ *                       type: string
+ *                       nullable: true
+ *                     link:
+ *                       type: string
+ *                       nullable: true
+ *                     rule_id:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid rule or oversized sample
+ *       403:
+ *         description: Admin API key required
+ *       404:
+ *         description: Rule not found
+ */
+app.post('/api/rules/test', requireAdmin, (req, res) => {
+  const { rule, ruleId, body, html, subject, from, to } = req.body || {};
+  if ([body, html, subject, from, to].some((field) => typeof field === 'string' && field.length > MAX_RULE_SAMPLE_LENGTH)) {
+    return res.status(400).json({
+      success: false,
+      error: `Sample fields are limited to ${MAX_RULE_SAMPLE_LENGTH} characters`
+    });
+  }
+
+  const sample = {
+    bodyText: body || '',
+    bodyHtml: html || '',
+    subject: subject || '',
+    fromAddress: from || '',
+    toAddress: to || ''
+  };
+
+  try {
+    if (!rule && !ruleId) {
+      const result = ruleEngine.extract(sample);
+      const link = ruleEngine.extractLink(sample);
+      return res.json({
+        success: true,
+        data: {
+          applies: Boolean(result || link),
+          code: result ? result.code : null,
+          pattern: result ? result.pattern : null,
+          link: link ? link.url : null,
+          rule_id: result ? result.rule.id : null,
+          link_rule_id: link ? link.rule.id : null
+        }
+      });
+    }
+    
+    const target = rule ? RuleEngine.normalizeRule(rule, 'test') : ruleEngine.get(ruleId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: { ...RuleEngine.test(target, sample), rule_id: target.id }
+    });
+  } catch (error) {
+    if (error instanceof RuleEngine.RuleValidationError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error testing rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test rule'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/rules/{id}:
+ *   get:
+ *     summary: Get an extraction rule
+ *     tags: [Extraction Rules]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ruleId'
+ *     responses:
+ *       200:
+ *         description: The rule
+ *       403:
+ *         description: Admin API key required
+ *       404:
+ *         description: Rule not found
+ *   put:
+ *     summary: Replace an extraction rule
+ *     description: Only rules created through the API can be changed; config file and built-in rules are read-only.
+ *     tags: [Extraction Rules]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ruleId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExtractionRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule
+ *       404:
+ *         description: Rule not found
+ *       409:
+ *         description: Rule is read-only
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete an extraction rule
+ *     description: Only rules created through the API can be deleted.
+ *     tags: [Extraction Rules]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ruleId'
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ *       409:
+ *         description: Rule is read-only
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/rules/:id', requireAdmin, (req, res) => {
+  const rule = ruleEngine.get(req.params.id);
+  
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Rule not found'
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: rule
+  });
+});
+
+// Config file and built-in rules can't be changed through the API
+function findEditableRule(req, res) {
+  const rule = ruleEngine.get(req.params.id);
+  
+  if (!rule) {
+    res.status(404).json({
+      success: false,
+      error: 'Rule not found'
+    });
+    return null;
+  }
+  if (rule.source !== 'api') {
+    res.status(409).json({
+      success: false,
+      error: `Rule ${rule.id} is read-only (source: ${rule.source})`
+    });
+    return null;
+  }
+  
+  return rule;
+}
+
+app.put('/api/rules/:id', requireAdmin, async (req, res) => {
+  if (!findEditableRule(req, res)) return;
+
+  try {
+    RuleEngine.normalizeRule({ ...req.body, id: req.params.id }, 'api');
+    
+    const { id, ...definition } = req.body;
+    await database.saveExtractionRule(req.params.id, definition);
+    await ruleEngine.reload();
+    
+    res.json({
+      success: true,
+      data: ruleEngine.get(req.params.id)
+    });
+  } catch (error) {
+    if (error instanceof RuleEngine.RuleValidationError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error updating rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update rule'
+    });
+  }
+});
+
+app.delete('/api/rules/:id', requireAdmin, async (req, res) => {
+  if (!findEditableRule(req, res)) return;
+
+  try {
+    await database.deleteExtractionRule(req.params.id);
+    await ruleEngine.reload();
+    
+    res.json({
+      success: true,
+      message: 'Rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete rule'
+    });
+  }
+});
+
+// Address glob lists for API key scopes; undefined means unrestricted
+function parseScopeList(value, field) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every((pattern) => typeof pattern === 'string' && pattern.trim())) {
+    const error = new Error(`${field} must be an address pattern or a list of them`);
+    error.status = 400;
+    throw error;
+  }
+  return list.map((pattern) => pattern.trim());
+}
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Creates a key limited to emails whose recipient and sender match the given address patterns ("*" and "?" wildcards, case-insensitive). An empty list leaves that side unrestricted. The key itself is only returned in this response; only its hash is stored. Requires the admin key.
+ *     tags: [API Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ci-signup-tests
+ *               to:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['ci+*@example.com']
+ *               from:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['*@github.com']
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           description: The API key; store it now, it cannot be retrieved again
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Admin API key required
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List API keys
+ *     description: Lists keys without their secret part. Requires the admin key.
+ *     tags: [API Keys]
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Admin API key required
+ *       500:
+ *         description: Server error
+ */
+app.post('/api/keys', requireAdmin, async (req, res) => {
+  const { name, to, from } = req.body || {};
+
+  if (!name || typeof name !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'name is required'
+    });
+  }
+
+  let allowedTo;
+  let allowedFrom;
+  try {
+    allowedTo = parseScopeList(to, 'to');
+    allowedFrom = parseScopeList(from, 'from');
+  } catch (error) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const key = generateApiKey();
+    const apiKey = {
+      id: uuidv4(),
+      name,
+      keyHash: hashApiKey(key),
+      keyPrefix: key.slice(0, 10),
+      allowedTo,
+      allowedFrom
+    };
+    await database.insertApiKey(apiKey);
+
+    const created = (await database.getApiKeys()).find((row) => row.id === apiKey.id);
+    res.status(201).json({
+      success: true,
+      data: { ...created, key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+app.get('/api/keys', requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await database.getApiKeys()
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requires the admin key.
+ *     tags: [API Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       403:
+ *         description: Admin API key required
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+app.delete('/api/keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await database.deleteApiKey(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete API key'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/totp:
+ *   post:
+ *     summary: Import a TOTP/HOTP secret
+ *     description: Stores an authenticator secret from an otpauth:// URI or a QR code image, so codes for accounts using app-based 2FA come from GET /api/totp/{name}. Send JSON with "uri" or "image" (base64 PNG/JPEG), or upload the image itself as image/png or image/jpeg with ?name=. Secrets are stored encrypted and never returned, so encryption at rest (ENCRYPTION_KEY) must be enabled. Requires the admin key.
+ *     tags: [TOTP]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Name for image uploads (JSON bodies carry it in "name")
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name to fetch codes by (letters, digits, . _ @ + -)
+ *                 example: github-qa
+ *               uri:
+ *                 type: string
+ *                 example: otpauth://totp/GitHub:qa@example.com?secret=JBSWY3DPEHPK3PXP&issuer=GitHub
+ *               image:
+ *                 type: string
+ *                 description: Base64 PNG or JPEG with the QR code (a data URL works too)
+ *         image/png:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/jpeg:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Secret imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/TotpSecret'
+ *       400:
+ *         description: Invalid URI or image, or encryption at rest not enabled
+ *       403:
+ *         description: Admin API key required
+ *       409:
+ *         description: A secret with this name already exists
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List TOTP/HOTP secrets
+ *     description: Requires the admin key. Secrets themselves are never returned.
+ *     tags: [TOTP]
+ *     responses:
+ *       200:
+ *         description: Stored entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TotpSecret'
+ *       403:
+ *         description: Admin API key required
  *       500:
  *         description: Server error
  */
-app.get('/api/last-code', async (req, res) => {
+app.post('/api/totp', requireAdmin, express.raw({ type: ['image/png', 'image/jpeg'], limit: '5mb' }), async (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? { name: req.query.name, image: req.body } : (req.body || {});
+
   try {
-    const emailAccount = emailConfig.email;
-    const code = await database.getLastCode(emailAccount);
-    
-    if (!code) {
-      return res.json({
-        success: true,
-        data: null,
-        message: 'No codes found'
+    const image = typeof body.image === 'string'
+      ? Buffer.from(body.image.replace(/^data:[^,]*,/, ''), 'base64')
+      : body.image;
+    const entry = await totpService.import({ name: body.name, uri: body.uri, image });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
       });
     }
-    
+    console.error('Error importing TOTP secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import TOTP secret'
+    });
+  }
+});
+
+app.get('/api/totp', requireAdmin, async (req, res) => {
+  try {
     res.json({
       success: true,
-      data: code
+      data: await database.getTotpSecrets()
     });
   } catch (error) {
-    console.error('Error getting last code:', error);
+    console.error('Error listing TOTP secrets:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get last code'
+      error: 'Failed to list TOTP secrets'
     });
   }
 });
 
 /**
  * @swagger
- * /api/last-code-from/{fromAddress}:
+ * /api/totp/{name}:
  *   get:
- *     summary: Get the most recent unused 2FA code from a specific sender
- *     description: Retrieves the most recent unused 2FA code from a specific sender email address and marks it as used (single-use)
- *     tags: [2FA Codes]
+ *     summary: Get the current TOTP/HOTP code
+ *     description: Generates the current code for a stored secret, in the same envelope as /api/last-code. TOTP codes come with the seconds they stay valid; each HOTP request advances the counter and returns the next code. A scoped API key only sees secrets whose account is inside its "to" patterns.
+ *     tags: [TOTP]
  *     parameters:
  *       - in: path
- *         name: fromAddress
+ *         name: name
  *         required: true
  *         schema:
  *           type: string
- *         description: The sender's email address
- *         example: noreply@github.com
+ *         example: github-qa
  *     responses:
  *       200:
  *         description: Successful response
@@ -203,71 +2889,105 @@ app.get('/api/last-code', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   nullable: true
- *                   properties:
- *                     id:
- *                       type: integer
- *                     code:
- *                       type: string
- *                     subject:
- *                       type: string
- *                     from_address:
- *                       type: string
- *                     used:
- *                       type: boolean
- *                     created_at:
- *                       type: string
- *                 message:
- *                   type: string
+ *                   $ref: '#/components/schemas/TotpCode'
+ *       404:
+ *         description: No secret with this name
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a TOTP/HOTP secret
+ *     description: Requires the admin key.
+ *     tags: [TOTP]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret deleted
+ *       403:
+ *         description: Admin API key required
+ *       404:
+ *         description: No secret with this name
  *       500:
  *         description: Server error
  */
-app.get('/api/last-code-from/:fromAddress', async (req, res) => {
+app.get('/api/totp/:name', async (req, res) => {
   try {
-    const emailAccount = emailConfig.email;
-    const fromAddress = req.params.fromAddress;
-    const code = await database.getLastCodeByFromAddress(emailAccount, fromAddress);
-    
+    const code = await totpService.generate(req.params.name, req.auth.scope);
+
     if (!code) {
-      return res.json({
-        success: true,
-        data: null,
-        message: 'No codes found from this sender'
+      return res.status(404).json({
+        success: false,
+        error: 'TOTP secret not found'
       });
     }
-    
+
     res.json({
       success: true,
       data: code
     });
   } catch (error) {
-    console.error('Error getting last code from sender:', error);
+    console.error('Error generating TOTP code:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate TOTP code'
+    });
+  }
+});
+
+app.delete('/api/totp/:name', requireAdmin, async (req, res) => {
+  try {
+    const deleted = await database.deleteTotpSecret(req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'TOTP secret not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'TOTP secret deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting TOTP secret:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get last code from sender'
+      error: 'Failed to delete TOTP secret'
+    });
+  }
+});
+
+// Resolve :account (name or email address) to its email service
+app.param('account', (req, res, next, account) => {
+  const service = accountManager.get(account);
+
+  if (!service) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown account: ${account}`
     });
   }
+
+  req.emailService = service;
+  req.emailAccount = service.config.email;
+  next();
 });
 
 /**
  * @swagger
- * /api/last-code-to/{toAddress}:
+ * /api/accounts:
  *   get:
- *     summary: Get the most recent unused 2FA code for a specific recipient address
- *     description: Retrieves the most recent unused 2FA code sent to a specific recipient address (useful for forwarded emails). Extracts "To:" addresses from email body text only. Marks code as used (single-use).
- *     tags: [2FA Codes]
- *     parameters:
- *       - in: path
- *         name: toAddress
- *         required: true
- *         schema:
- *           type: string
- *         description: The recipient's email address from forwarded email body
- *         example: user@example.com
+ *     summary: List configured accounts
+ *     description: Returns every configured email account with its connection state
+ *     tags: [Accounts]
  *     responses:
  *       200:
- *         description: Successful response
+ *         description: Configured accounts
  *         content:
  *           application/json:
  *             schema:
@@ -276,53 +2996,115 @@ app.get('/api/last-code-from/:fromAddress', async (req, res) => {
  *                 success:
  *                   type: boolean
  *                 data:
- *                   type: object
- *                   nullable: true
- *                   properties:
- *                     id:
- *                       type: integer
- *                     code:
- *                       type: string
- *                     subject:
- *                       type: string
- *                     from_address:
- *                       type: string
- *                     to_address:
- *                       type: string
- *                     used:
- *                       type: boolean
- *                     created_at:
- *                       type: string
- *                 message:
- *                   type: string
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountStatus'
+ */
+app.get('/api/accounts', (req, res) => {
+  res.json({
+    success: true,
+    data: accountManager.getStatus()
+  });
+});
+
+/**
+ * @swagger
+ * /api/accounts/{account}/last-email:
+ *   get:
+ *     summary: Get the most recent email for an account
+ *     description: Retrieves the most recently processed email from the given account
+ *     tags: [Accounts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/account'
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-email)
+ *       404:
+ *         description: Unknown account
  *       500:
  *         description: Server error
  */
-app.get('/api/last-code-to/:toAddress', async (req, res) => {
-  try {
-    const toAddress = req.params.toAddress;
-    const code = await database.getLastCodeByToAddress(toAddress);
-    
-    if (!code) {
-      return res.json({
-        success: true,
-        data: null,
-        message: 'No codes found for this recipient address'
-      });
-    }
-    
-    res.json({
-      success: true,
-      data: code
-    });
-  } catch (error) {
-    console.error('Error getting last code for recipient:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to get last code for recipient'
-    });
-  }
-});
+app.get('/api/accounts/:account/last-email', sendLastEmail);
+
+/**
+ * @swagger
+ * /api/accounts/{account}/last-code:
+ *   get:
+ *     summary: Get the most recent unused 2FA code for an account
+ *     description: Retrieves the most recent unused 2FA code from the given account and marks it as used (single-use)
+ *     tags: [Accounts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - $ref: '#/components/parameters/account'
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-code)
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/accounts/:account/last-code', parseLease, parseSince, parseAuthenticated, sendLastCode);
+
+/**
+ * @swagger
+ * /api/accounts/{account}/last-code-from/{fromAddress}:
+ *   get:
+ *     summary: Get the most recent unused 2FA code from a specific sender for an account
+ *     description: Retrieves the most recent unused 2FA code from a specific sender in the given account and marks it as used (single-use)
+ *     tags: [Accounts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - $ref: '#/components/parameters/account'
+ *       - in: path
+ *         name: fromAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The sender's email address
+ *         example: noreply@github.com
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-code-from)
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/accounts/:account/last-code-from/:fromAddress', parseLease, parseSince, parseAuthenticated, sendLastCodeFrom);
+
+/**
+ * @swagger
+ * /api/accounts/{account}/last-code-to/{toAddress}:
+ *   get:
+ *     summary: Get the most recent unused 2FA code for a specific recipient address in an account
+ *     description: Same as /api/last-code-to but limited to codes received by the given account. Marks code as used (single-use).
+ *     tags: [Accounts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/codeLease'
+ *       - $ref: '#/components/parameters/codeSince'
+ *       - $ref: '#/components/parameters/codeAuthenticated'
+ *       - $ref: '#/components/parameters/account'
+ *       - in: path
+ *         name: toAddress
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The recipient's email address from forwarded email body
+ *         example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Successful response (same shape as /api/last-code-to)
+ *       404:
+ *         description: Unknown account
+ *       500:
+ *         description: Server error
+ */
+app.get('/api/accounts/:account/last-code-to/:toAddress', parseLease, parseSince, parseAuthenticated, sendLastCodeTo);
 
 /**
  * @swagger
@@ -343,32 +3125,141 @@ app.get('/api/last-code-to/:toAddress', async (req, res) => {
  *                   type: boolean
  *                 status:
  *                   type: string
- *                   example: running
+ *                   enum: [running, degraded]
+ *                   description: degraded while /readyz fails (a mail source has been disconnected past READINESS_MAX_DISCONNECT_SECONDS)
  *                 email_service:
+ *                   description: Status of the default (first) account
+ *                   $ref: '#/components/schemas/AccountStatus'
+ *                 accounts:
+ *                   type: array
+ *                   description: Status of every configured account
+ *                   items:
+ *                     $ref: '#/components/schemas/AccountStatus'
+ *                 storage:
+ *                   type: string
+ *                   enum: [sqlite, memory, postgres]
+ *                   description: Storage backend in use
+ *                 encryption:
  *                   type: object
  *                   properties:
- *                     connected:
+ *                     enabled:
  *                       type: boolean
- *                     email:
- *                       type: string
- *                     reconnectAttempts:
+ *                     key_version:
  *                       type: integer
- *                     isReconnecting:
- *                       type: boolean
+ *                       nullable: true
+ *                       description: Key version new content is encrypted with
  *                 timestamp:
  *                   type: string
  *                   format: date-time
  */
 app.get('/api/status', (req, res) => {
-  const status = emailService.getStatus();
+  const status = accountManager.getDefault().getStatus();
   res.json({
     success: true,
-    status: 'running',
+    status: supervisor.readiness().ok ? 'running' : 'degraded',
     email_service: status,
+    accounts: accountManager.getStatus(),
+    storage: database.backend,
+    encryption: {
+      enabled: cipher.enabled,
+      key_version: cipher.currentVersion
+    },
     timestamp: new Date().toISOString()
   });
 });
 
+// Shared by /healthz and /readyz: 200 when the check passes, 503 otherwise
+function sendProbe(res, result) {
+  res.status(result.ok ? 200 : 503).json({
+    success: result.ok,
+    status: result.ok ? 'ok' : 'unavailable',
+    database: result.database,
+    accounts: result.accounts
+  });
+}
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: 503 once a mail source has been disconnected for longer than LIVENESS_MAX_DISCONNECT_SECONDS (default 900), so the orchestrator restarts the instance. Not authenticated.
+ *     tags: [Service]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProbeResult'
+ *       503:
+ *         description: A mail source has been down too long, or the database is not ready
+ */
+app.get('/healthz', (req, res) => sendProbe(res, supervisor.liveness()));
+
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: 503 while a mail source has been disconnected for longer than READINESS_MAX_DISCONNECT_SECONDS (default 60) or the database is not ready, so traffic is routed to other instances. Not authenticated.
+ *     tags: [Service]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProbeResult'
+ *       503:
+ *         description: Not ready
+ */
+app.get('/readyz', (req, res) => sendProbe(res, supervisor.readiness()));
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text format: emails processed, codes extracted and extraction misses per account,
+ *       mail source connection state and IMAP reconnects, delay from email date to code availability,
+ *       API requests and latency per route, and retention cleanup deletions.
+ *       Not part of /api: when METRICS_TOKEN is set it must be sent as a Bearer token, otherwise the endpoint is open.
+ *     tags: [Service]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or invalid METRICS_TOKEN
+ */
+app.get('/metrics', async (req, res) => {
+  if (metricsToken && !safeEqual(readApiKey(req) || '', metricsToken)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing or invalid metrics token'
+    });
+  }
+
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics'
+    });
+  }
+});
+
 /**
  * @swagger
  * /:
@@ -404,10 +3295,50 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: [
       'GET /api/last-email - Get last email',
+      'GET /api/emails?from=&to=&subject=&q=&since=&until= - Search stored emails',
+      'GET /api/codes?used=&from=&to=&q= - Search extracted codes (does not consume them)',
+      'POST /api/codes/:id/confirm - Confirm a leased code (?lease= on the code endpoints)',
+      'POST /api/codes/:id/release - Return a leased code to the pool',
+      'GET /api/emails/:id - Get a stored email with HTML and headers',
+      'GET /api/emails/:id/html - Get the HTML part of an email',
+      'GET /api/emails/:id/raw - Download the raw RFC822 source',
+      'GET /api/emails/:id/attachments - List attachments of an email',
+      'GET /api/attachments/:id - Download an attachment',
       'GET /api/last-code - Get last 2FA code',
       'GET /api/last-code-from/:fromAddress - Get last code from specific sender',
-      'GET /api/last-code-to/:toAddress - Get last code for specific recipient (forwarded emails)',
-      'GET /api/status - Service status'
+      'GET /api/last-code-to/:toAddress - Get last code for specific recipient',
+      'GET /api/last-link - Get last verification link',
+      'GET /api/last-link-from/:fromAddress - Get last link from specific sender',
+      'GET /api/last-link-to/:toAddress - Get last link for specific recipient',
+      'POST /api/aliases - Generate a disposable alias address',
+      'GET /api/aliases/:alias/code - Get last code sent to an alias',
+      'GET /api/wait-for-code?to=&from=&timeout= - Wait for the next 2FA code (long-poll)',
+      'GET /api/stream?to=&from=&types= - Live event stream (SSE or WebSocket)',
+      'POST /api/webhooks - Register a webhook for extracted codes',
+      'GET /api/webhooks - List webhooks',
+      'DELETE /api/webhooks/:id - Delete a webhook',
+      'GET /api/webhooks/:id/deliveries - Webhook delivery log',
+      'GET /api/rules - List extraction rules (admin)',
+      'POST /api/rules - Create an extraction rule (admin)',
+      'PUT /api/rules/:id - Replace an extraction rule (admin)',
+      'DELETE /api/rules/:id - Delete an extraction rule (admin)',
+      'POST /api/rules/test - Dry-run rules against a sample email (admin)',
+      'POST /api/keys - Create a scoped API key (admin)',
+      'GET /api/keys - List API keys (admin)',
+      'DELETE /api/keys/:id - Revoke an API key (admin)',
+      'POST /api/totp - Import a TOTP/HOTP secret from an otpauth:// URI or QR image (admin)',
+      'GET /api/totp - List TOTP/HOTP secrets (admin)',
+      'GET /api/totp/:name - Get the current TOTP/HOTP code',
+      'DELETE /api/totp/:name - Delete a TOTP/HOTP secret (admin)',
+      'GET /api/accounts - List configured accounts',
+      'GET /api/accounts/:account/last-email - Get last email for an account',
+      'GET /api/accounts/:account/last-code - Get last 2FA code for an account',
+      'GET /api/accounts/:account/last-code-from/:fromAddress - Get last code from sender for an account',
+      'GET /api/accounts/:account/last-code-to/:toAddress - Get last code for recipient in an account',
+      'GET /api/status - Service status',
+      'GET /healthz - Liveness probe',
+      'GET /readyz - Readiness probe',
+      'GET /metrics - Prometheus metrics'
     ],
     swagger_ui: `http://localhost:${port}/api-docs`
   });
@@ -416,15 +3347,37 @@ app.get('/', (req, res) => {
 // Start email service
 async function startService() {
   try {
-    await emailService.connect();
+    await database.ready;
+
+    // Encrypt plaintext left from before encryption was enabled and move
+    // content off retired keys
+    const rewritten = await database.reencrypt();
+    const rewrittenRows = Object.values(rewritten).reduce((sum, count) => sum + count, 0);
+    if (rewrittenRows) {
+      console.log(`Encrypted ${rewrittenRows} stored value(s) with key version ${cipher.currentVersion}`);
+    }
+    
+    // Load rules managed through /api/rules
+    await ruleEngine.reload();
+    
+    // Resume queued webhook deliveries from before a restart
+    webhookService.start();
+
+    // Return codes with expired leases to the pool
+    codeWaiter.start();
+
+    // Force reconnects of IMAP sessions that went silent
+    supervisor.start();
+    
+    await accountManager.startAll();
     
     // Run initial cleanup
-    await database.cleanupOldEmails(7);
+    metrics.recordCleanup(await database.cleanupOldEmails(7));
     
     // Schedule daily cleanup at 2 AM
     setInterval(async () => {
       try {
-        await database.cleanupOldEmails(7);
+        metrics.recordCleanup(await database.cleanupOldEmails(7));
       } catch (error) {
         console.error('Cleanup error:', error);
       }
@@ -435,9 +3388,24 @@ async function startService() {
   }
 }
 
-app.listen(port, () => {
-  console.log(`Simple Email Service running on port ${port}`);
-  startService();
+const server = http.createServer(app);
+
+// Schema migrations finish before the port opens, so no request sees an
+// outdated schema. A failed migration stops the process.
+database.ready.then(() => {
+  server.listen(port, () => {
+    console.log(`Simple Email Service running on port ${port}`);
+    if (!adminApiKey) {
+      console.warn('ADMIN_API_KEY is not set; the API is open to anyone who can reach it');
+    }
+    startService();
+  });
+}, (error) => {
+  console.error('Database startup failed:', error.message);
+  process.exit(1);
 });
 
+// WebSocket clients share the /api/stream path with SSE
+attachWebSocketStream(server, accountManager, { database, adminKey: adminApiKey, metrics });
+
 module.exports = app;
\ No newline at end of file
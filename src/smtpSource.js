@@ -0,0 +1,100 @@
+const { SMTPServer } = require('smtp-server');
+const MailSource = require('./mailSource');
+
+// Largest message the listener accepts
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+
+// Built-in SMTP listener: apps send mail straight to the service. Every
+// recipient is accepted and the envelope recipient becomes to_address.
+class SmtpSource extends MailSource {
+  constructor(config, database, ruleEngine, options = {}) {
+    super(config, database, ruleEngine, options);
+    this.server = null;
+    this.messagesReceived = 0;
+  }
+
+  // Mail arrives here straight from the sender, so there is no receiving
+  // server whose Authentication-Results could be trusted; only the ones
+  // from AUTHSERV_IDS are (e.g. a relay in front of the listener)
+  get trustsAuthenticationResults() {
+    return false;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.server = new SMTPServer({
+        name: this.config.hostname || undefined,
+        banner: 'Simple Email Polling Service',
+        size: MAX_MESSAGE_BYTES,
+        authOptional: true,
+        disabledCommands: ['AUTH', 'STARTTLS'],
+        logger: false,
+        onData: (stream, session, callback) => this.receive(stream, session, callback)
+      });
+
+      this.server.on('error', (err) => {
+        console.error(`SMTP server error for ${this.config.name}:`, err.message);
+        if (!this.isConnected) {
+          reject(err);
+        }
+      });
+
+      this.server.listen(this.config.port, this.config.host, () => {
+        console.log(`SMTP listener for ${this.config.name} on ${this.config.host}:${this.config.port}`);
+        this.isConnected = true;
+        this.emitConnectionState('connected');
+        resolve();
+      });
+    });
+  }
+
+  receive(stream, session, callback) {
+    const chunks = [];
+
+    stream.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    stream.on('end', async () => {
+      if (stream.sizeExceeded) {
+        const error = new Error('Message exceeds fixed maximum message size');
+        error.responseCode = 552;
+        return callback(error);
+      }
+
+      this.messagesReceived++;
+      const stored = await this.processEmail(Buffer.concat(chunks), null, {
+        from: session.envelope.mailFrom ? session.envelope.mailFrom.address : null,
+        to: session.envelope.rcptTo.map((recipient) => recipient.address)
+      });
+      if (!stored) {
+        // Temporary failure: the sending server keeps the message and retries
+        const error = new Error('Message could not be stored, try again later');
+        error.responseCode = 451;
+        return callback(error);
+      }
+      callback();
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => {
+        this.isConnected = false;
+        this.emitConnectionState('disconnected');
+        resolve();
+      });
+    });
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      listen: `${this.config.host}:${this.config.port}`,
+      messagesReceived: this.messagesReceived
+    };
+  }
+}
+
+module.exports = SmtpSource;
@@ -0,0 +1,625 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const FieldCipher = require('../encryption');
+const { createStorage } = require('./index');
+
+// Behaviour every storage backend must share, checked through the public
+// interface only. Each check gets a fresh, migrated storage.
+// Usage: npm run check-storage -- [sqlite|memory|postgres] (default: all
+// but postgres; postgres runs against DATABASE_URL in a throwaway schema)
+
+const HOUR = 60 * 60 * 1000;
+
+function email(overrides = {}) {
+  return {
+    id: uuidv4(),
+    emailAccount: 'inbox@example.com',
+    subject: 'Your code',
+    fromAddress: 'noreply@service.test',
+    toAddress: 'user@example.com',
+    bodyText: 'Your verification code is 123456',
+    bodyHtml: '<p>Your verification code is 123456</p>',
+    headers: { 'message-id': '<1@service.test>' },
+    messageId: '<1@service.test>',
+    rawSource: Buffer.from('Subject: Your code\r\n\r\nYour verification code is 123456'),
+    date: new Date().toISOString(),
+    uid: null,
+    ...overrides
+  };
+}
+
+async function insertEmailWithCode(storage, code, overrides = {}, expiresAt = null) {
+  const row = email(overrides);
+  await storage.insertEmail(row);
+  const codeId = await storage.insertCode(row.id, code, expiresAt);
+  return { email: row, codeId };
+}
+
+const checks = {
+  async 'emails round-trip and duplicate UIDs are ignored'(storage) {
+    const first = email({ uid: 41 });
+    assert.strictEqual(await storage.insertEmail(first), true);
+    assert.strictEqual(await storage.insertEmail(email({ uid: 41 })), false);
+
+    const stored = await storage.getEmailById(first.id);
+    assert.strictEqual(stored.subject, first.subject);
+    assert.strictEqual(stored.body_html, first.bodyHtml);
+    assert.deepStrictEqual(stored.headers, first.headers);
+    assert.strictEqual(stored.uid, 41);
+    assert.strictEqual(stored.raw_source, undefined);
+    assert.match(stored.created_at, /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/);
+
+    assert.ok((await storage.getEmailRawSource(first.id)).equals(first.rawSource));
+    assert.strictEqual((await storage.getLastEmail(first.emailAccount)).id, first.id);
+    assert.strictEqual(await storage.getEmailById('missing'), null);
+  },
+
+  async 'emails stored by a failed attempt are resumed until processed'(storage) {
+    const first = email({ uid: 51, recipients: ['user@example.com'] });
+    await storage.insertEmail(first);
+    await storage.insertCode(first.id, '111111');
+    await storage.insertEmailActions(first.id, { emailAccount: first.emailAccount, mailbox: 'INBOX', uid: 51, uidValidity: 1 }, [{ type: 'seen', target: null }]);
+
+    const retry = email({ uid: 51, recipients: ['user@example.com'] });
+    assert.strictEqual(await storage.insertEmail(retry), false);
+    assert.deepStrictEqual({ ...(await storage.resumeEmail(retry)) }, { id: first.id, codes: 1, links: 0, actions: 1 });
+    assert.deepStrictEqual((await storage.getEmailById(first.id)).recipients, ['user@example.com']);
+    assert.strictEqual(await storage.resumeEmail(email({ uid: 52 })), null);
+    assert.strictEqual(await storage.resumeEmail(email({ emailAccount: 'other@example.com', uid: 51 })), null);
+
+    await storage.markEmailProcessed(first.id);
+    assert.strictEqual(await storage.resumeEmail(retry), null);
+  },
+
+  async 'emails without a UID are recognised by their message hash'(storage) {
+    const first = email({ messageHash: 'a'.repeat(64) });
+    assert.strictEqual(await storage.insertEmail(first), true);
+    assert.strictEqual(await storage.insertEmail(email({ messageHash: 'a'.repeat(64) })), false);
+    assert.strictEqual(await storage.insertEmail(email({ messageHash: 'a'.repeat(64), emailAccount: 'other@example.com' })), true);
+    assert.strictEqual(await storage.insertEmail(email({ messageHash: 'b'.repeat(64) })), true);
+    assert.strictEqual(await storage.insertEmail(email()), true);
+    assert.strictEqual(await storage.insertEmail(email()), true);
+
+    assert.strictEqual((await storage.resumeEmail(email({ messageHash: 'a'.repeat(64) }))).id, first.id);
+    assert.strictEqual(await storage.resumeEmail(email()), null);
+  },
+
+  async 'emails are found under any of their recipients'(storage) {
+    const { email: row, codeId } = await insertEmailWithCode(storage, '121212', {
+      toAddress: 'forwarded@example.com',
+      recipients: ['forwarded@example.com', 'Alias@Example.com', 'inbox@example.com']
+    });
+    await storage.insertLink(row.id, 'https://service.test/alias', null);
+
+    assert.deepStrictEqual((await storage.getEmailById(row.id)).recipients, ['forwarded@example.com', 'alias@example.com', 'inbox@example.com']);
+    assert.deepStrictEqual((await storage.getCodeById(codeId)).recipients, ['forwarded@example.com', 'alias@example.com', 'inbox@example.com']);
+    assert.strictEqual((await storage.searchEmails({ toAddress: 'ALIAS@example.com' })).rows.length, 1);
+    assert.strictEqual((await storage.searchEmails({ toAddress: 'other@example.com' })).rows.length, 0);
+    assert.ok(await storage.getEmailById(row.id, { to: ['alias@*'], from: [] }));
+    assert.strictEqual((await storage.getLastLinkByToAddress('inbox@example.com')).url, 'https://service.test/alias');
+    assert.strictEqual((await storage.claimLastCode({ toAddress: 'alias@example.com' })).code, '121212');
+
+    // Without resolved recipients the to_address is the only one
+    const plain = email({ toAddress: 'Plain@example.com' });
+    await storage.insertEmail(plain);
+    assert.deepStrictEqual((await storage.getEmailById(plain.id)).recipients, ['plain@example.com']);
+  },
+
+  async 'scopes and aliases only match trusted recipients'(storage) {
+    const { email: row, codeId } = await insertEmailWithCode(storage, '131313', {
+      toAddress: 'victim@example.com',
+      recipients: ['victim@example.com', 'qa+run@example.com', 'inbox@example.com'],
+      trustedRecipients: ['Inbox@example.com']
+    });
+    await storage.insertLink(row.id, 'https://service.test/trusted', null);
+    const victimScope = { to: ['victim@*'], from: [] };
+
+    assert.deepStrictEqual((await storage.getEmailById(row.id)).recipients, ['victim@example.com', 'qa+run@example.com', 'inbox@example.com']);
+    assert.deepStrictEqual((await storage.getCodeById(codeId)).trusted_recipients, ['inbox@example.com']);
+    assert.strictEqual(await storage.getEmailById(row.id, victimScope), null);
+    assert.strictEqual(await storage.getCodeById(codeId, victimScope), null);
+    assert.strictEqual(await storage.getLastLinkByToAddress('victim@example.com', victimScope), null);
+    assert.strictEqual((await storage.searchEmails({ scope: victimScope })).rows.length, 0);
+    assert.strictEqual(await storage.claimLastCode({ toAddress: 'victim@example.com', scope: victimScope }), null);
+    assert.strictEqual(await storage.claimLastCode({ alias: 'qa@example.com' }), null);
+    assert.ok(await storage.getEmailById(row.id, { to: ['inbox@*'], from: [] }));
+
+    // Lookups by address still find the forwarded recipients
+    assert.strictEqual((await storage.claimLastCode({ toAddress: 'victim@example.com' })).code, '131313');
+  },
+
+  async 'sender authenticity verdicts and flagged codes'(storage) {
+    const auth = { result: 'fail', reason: 'dmarc=fail', from_domain: 'service.test', dmarc: 'fail' };
+    const row = email({ auth });
+    await storage.insertEmail(row);
+    const flaggedId = await storage.insertCode(row.id, '454545', null, { flagged: true });
+
+    const stored = await storage.getEmailById(row.id);
+    assert.strictEqual(stored.auth_result, 'fail');
+    assert.deepStrictEqual(stored.auth_details, auth);
+    assert.strictEqual((await storage.searchEmails({})).rows[0].auth_result, 'fail');
+
+    const code = await storage.getCodeById(flaggedId);
+    assert.strictEqual(code.flagged, 1);
+    assert.strictEqual(code.auth_result, 'fail');
+    assert.deepStrictEqual(code.auth_details, auth);
+
+    // Emails without a verdict (older rows) and unflagged codes
+    const { codeId } = await insertEmailWithCode(storage, '464646');
+    const plain = await storage.claimCode(codeId);
+    assert.strictEqual(plain.flagged, 0);
+    assert.strictEqual(plain.auth_result, null);
+    assert.strictEqual(plain.auth_details, null);
+  },
+
+  async 'authenticated claims skip codes and links from unauthenticated senders'(storage) {
+    const passed = email({ auth: { result: 'pass', reason: 'dmarc=pass' } });
+    await storage.insertEmail(passed);
+    await storage.insertCode(passed.id, '111111');
+    await storage.insertLink(passed.id, 'https://service.test/passed', null);
+
+    const spoofed = email({ auth: { result: 'fail', reason: 'dmarc=fail' } });
+    await storage.insertEmail(spoofed);
+    await storage.insertCode(spoofed.id, '999999', null, { flagged: true });
+    await storage.insertLink(spoofed.id, 'https://attacker.test/', null, { flagged: true });
+    await insertEmailWithCode(storage, '888888');
+
+    assert.strictEqual((await storage.claimLastCode({ authenticated: true })).code, '111111');
+    assert.strictEqual(await storage.claimLastCode({ authenticated: true }), null);
+    assert.strictEqual((await storage.claimLastCode({})).code, '888888');
+
+    const link = await storage.getLastLink('inbox@example.com', null, { authenticated: true });
+    assert.strictEqual(link.url, 'https://service.test/passed');
+    assert.strictEqual(link.flagged, 0);
+    assert.strictEqual(await storage.getLastLinkByToAddress('user@example.com', null, { authenticated: true }), null);
+    const flagged = await storage.getLastLinkByFromAddress('inbox@example.com', 'noreply@service.test');
+    assert.strictEqual(flagged.url, 'https://attacker.test/');
+    assert.strictEqual(flagged.flagged, 1);
+  },
+
+  async 'API key scope limits what can be read'(storage) {
+    const row = email({ toAddress: 'team+signup@example.com' });
+    await storage.insertEmail(row);
+
+    assert.ok(await storage.getEmailById(row.id, { to: ['team+*@example.com'], from: [] }));
+    assert.strictEqual(await storage.getEmailById(row.id, { to: ['other@example.com'], from: [] }), null);
+    assert.strictEqual(await storage.getEmailById(row.id, { to: [], from: ['%'] }), null);
+    assert.strictEqual(await storage.getEmailRawSource(row.id, { to: ['other@example.com'], from: [] }), null);
+  },
+
+  async 'attachments keep their content'(storage) {
+    const row = email();
+    await storage.insertEmail(row);
+    const content = Buffer.from([0, 1, 2, 255]);
+    await storage.insertAttachment({ id: uuidv4(), emailId: row.id, filename: 'a.bin', contentType: 'application/octet-stream', size: 4, checksum: 'x', content });
+
+    const [listed] = await storage.getAttachmentsByEmailId(row.id);
+    assert.strictEqual(listed.filename, 'a.bin');
+    assert.strictEqual(listed.content, undefined);
+
+    const attachment = await storage.getAttachment(listed.id);
+    assert.ok(attachment.content.equals(content));
+    assert.strictEqual(await storage.getAttachment(listed.id, { to: ['other@example.com'], from: [] }), null);
+  },
+
+  async 'codes are handed out once, newest first'(storage) {
+    await insertEmailWithCode(storage, '111111', { date: new Date(Date.now() - 1000).toISOString() });
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    await insertEmailWithCode(storage, '222222');
+
+    const first = await storage.claimLastCode({ emailAccount: 'inbox@example.com' });
+    assert.strictEqual(first.code, '222222');
+    assert.strictEqual(first.used, 1);
+    assert.ok(first.age_seconds >= 0);
+    assert.strictEqual((await storage.claimLastCode({ emailAccount: 'inbox@example.com' })).code, '111111');
+    assert.strictEqual(await storage.claimLastCode({ emailAccount: 'inbox@example.com' }), null);
+  },
+
+  async 'concurrent claims never share a code'(storage) {
+    for (let i = 0; i < 3; i++) {
+      await insertEmailWithCode(storage, `00000${i}`);
+    }
+
+    const claims = await Promise.all(Array.from({ length: 10 }, () => storage.claimLastCode({ toAddress: 'user@example.com' })));
+    const codes = claims.filter(Boolean).map((claim) => claim.code);
+    assert.strictEqual(codes.length, 3);
+    assert.strictEqual(new Set(codes).size, 3);
+  },
+
+  async 'leases are confirmed, released and reclaimed'(storage) {
+    const { codeId } = await insertEmailWithCode(storage, '333333');
+
+    const lease = await storage.claimCode(codeId, { leaseSeconds: 60 });
+    assert.strictEqual(lease.used, 0);
+    assert.ok(lease.claim_token);
+    // Only the claim itself hands out the token
+    assert.strictEqual((await storage.getCodeById(codeId)).claim_token, undefined);
+    assert.strictEqual((await storage.searchCodes({})).rows[0].claim_token, undefined);
+    assert.strictEqual(await storage.claimCode(codeId), null);
+    assert.strictEqual(await storage.confirmCode(codeId, 'wrong'), 'token_mismatch');
+    assert.strictEqual(await storage.releaseCode(codeId, lease.claim_token), 'released');
+
+    const again = await storage.claimCode(codeId, { leaseSeconds: 60 });
+    assert.strictEqual(await storage.confirmCode(codeId, again.claim_token), 'confirmed');
+    assert.strictEqual(await storage.releaseCode(codeId, again.claim_token), 'confirmed');
+    assert.strictEqual(await storage.confirmCode(-1, 'x'), 'not_found');
+
+    const { codeId: expiringId } = await insertEmailWithCode(storage, '444444');
+    const short = await storage.claimCode(expiringId, { leaseSeconds: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    assert.strictEqual(await storage.confirmCode(expiringId, short.claim_token), 'expired');
+    const reclaimed = await storage.reclaimExpiredLeases();
+    assert.deepStrictEqual(reclaimed.map((row) => row.id), [expiringId]);
+    assert.strictEqual((await storage.claimCode(expiringId)).code, '444444');
+  },
+
+  async 'expired and older codes are skipped'(storage) {
+    await insertEmailWithCode(storage, '555555', {}, new Date(Date.now() - 1000).toISOString());
+    assert.strictEqual(await storage.claimLastCode({}), null);
+
+    // Receipt counts, not the sender's Date header
+    await insertEmailWithCode(storage, '666666', {
+      date: new Date(Date.now() + HOUR).toISOString(),
+      receivedAt: new Date(Date.now() - HOUR).toISOString()
+    });
+    assert.strictEqual(await storage.claimLastCode({ since: new Date(Date.now() - 60000).toISOString() }), null);
+    const older = await storage.claimLastCode({});
+    assert.strictEqual(older.code, '666666');
+    assert.ok(older.age_seconds >= 3599 && older.age_seconds <= 3601, `age_seconds ${older.age_seconds}`);
+
+    await insertEmailWithCode(storage, '676767', { date: new Date(Date.now() - HOUR).toISOString() });
+    const fresh = await storage.claimLastCode({ since: new Date(Date.now() - 60000).toISOString() });
+    assert.strictEqual(fresh.code, '676767');
+    assert.ok(fresh.age_seconds <= 1);
+    assert.match(fresh.received_at, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/);
+  },
+
+  async 'links are handed out once'(storage) {
+    const row = email({ fromAddress: 'links@service.test' });
+    await storage.insertEmail(row);
+    await storage.insertLink(row.id, 'https://service.test/verify?t=1', 'Verify');
+
+    const link = await storage.getLastLinkByFromAddress(row.emailAccount, 'links@service.test');
+    assert.strictEqual(link.url, 'https://service.test/verify?t=1');
+    assert.strictEqual(link.text, 'Verify');
+    assert.strictEqual(link.subject, row.subject);
+    assert.strictEqual(await storage.getLastLink(row.emailAccount), null);
+
+    await storage.insertLink(row.id, 'https://service.test/verify?t=2', null);
+    assert.strictEqual(await storage.getLastLinkByToAddress(row.toAddress, { to: ['other@example.com'], from: [] }), null);
+    assert.strictEqual((await storage.getLastLinkByToAddress(row.toAddress)).to_address, row.toAddress);
+  },
+
+  async 'concurrent requests never share a link'(storage) {
+    const row = email();
+    await storage.insertEmail(row);
+    for (let i = 0; i < 3; i++) {
+      await storage.insertLink(row.id, `https://service.test/verify?t=${i}`, null);
+    }
+
+    const links = await Promise.all(Array.from({ length: 10 }, () => storage.getLastLink(row.emailAccount)));
+    const urls = links.filter(Boolean).map((link) => link.url);
+    assert.strictEqual(urls.length, 3);
+    assert.strictEqual(new Set(urls).size, 3);
+  },
+
+  async 'history filters, sorting and cursors'(storage) {
+    const base = Date.parse('2030-01-01T00:00:00Z');
+    for (let i = 0; i < 5; i++) {
+      await insertEmailWithCode(storage, `70000${i}`, {
+        date: new Date(base + i * 1000).toISOString(),
+        receivedAt: new Date(base + i * 1000).toISOString(),
+        fromAddress: i % 2 ? 'Odd@Service.test' : 'even@service.test',
+        subject: `Login code ${i}`,
+        bodyText: i === 3 ? 'special verification body' : 'plain body'
+      });
+    }
+
+    const page1 = await storage.searchEmails({ limit: 2, order: 'asc' });
+    assert.deepStrictEqual(page1.rows.map((row) => row.subject), ['Login code 0', 'Login code 1']);
+    assert.strictEqual(page1.hasMore, true);
+    const last = page1.rows[1];
+    const page2 = await storage.searchEmails({ limit: 2, order: 'asc', after: { value: last.date, id: last.id } });
+    assert.deepStrictEqual(page2.rows.map((row) => row.subject), ['Login code 2', 'Login code 3']);
+
+    assert.strictEqual((await storage.searchEmails({ fromAddress: 'odd@service.test' })).rows.length, 2);
+    assert.strictEqual((await storage.searchEmails({ subject: 'code 4' })).rows.length, 1);
+    assert.strictEqual((await storage.searchEmails({ query: 'verification' })).rows[0].subject, 'Login code 3');
+    assert.strictEqual((await storage.searchEmails({ query: '"special verification"' })).rows.length, 1);
+    assert.strictEqual((await storage.searchEmails({ until: new Date(base + 1000).toISOString() })).rows.length, 2);
+    assert.strictEqual((await storage.searchCodes({ since: new Date(base + 3000).toISOString() })).rows.length, 2);
+
+    await storage.claimLastCode({});
+    const unused = await storage.searchCodes({ used: false, order: 'desc' });
+    assert.strictEqual(unused.rows.length, 4);
+    assert.strictEqual(unused.rows[0].code, '700003');
+    assert.strictEqual((await storage.searchCodes({ used: true })).rows[0].code, '700004');
+  },
+
+  async 'API keys'(storage) {
+    const apiKey = { id: uuidv4(), name: 'ci', keyHash: 'hash', keyPrefix: 'sk_1', allowedTo: ['*@example.com'], allowedFrom: [] };
+    await storage.insertApiKey(apiKey);
+
+    const [listed] = await storage.getApiKeys();
+    assert.deepStrictEqual(listed.allowed_to, ['*@example.com']);
+    assert.strictEqual(listed.key_hash, undefined);
+    assert.strictEqual((await storage.getApiKeyByHash('hash')).id, apiKey.id);
+    assert.strictEqual(await storage.getApiKeyByHash('other'), null);
+    assert.strictEqual(await storage.deleteApiKey(apiKey.id), true);
+    assert.strictEqual(await storage.deleteApiKey(apiKey.id), false);
+  },
+
+  async 'webhooks and their delivery queue'(storage) {
+    const webhook = { id: uuidv4(), url: 'https://hooks.test/', secret: 's', emailAccount: null, fromAddress: 'noreply@service.test', toAddress: null };
+    await storage.insertWebhook(webhook);
+
+    assert.strictEqual((await storage.getMatchingWebhooks('any', 'noreply@service.test', ['x@example.com'])).length, 1);
+    assert.strictEqual((await storage.getMatchingWebhooks('any', 'other@service.test', ['x@example.com'])).length, 0);
+
+    await storage.insertWebhook({ ...webhook, id: uuidv4(), fromAddress: null, toAddress: 'Alias@example.com' });
+    assert.strictEqual((await storage.getMatchingWebhooks('any', 'other@service.test', ['user@example.com', 'alias@example.com'])).length, 1);
+    assert.strictEqual((await storage.getMatchingWebhooks('any', 'other@service.test', [])).length, 0);
+
+    const deliveryId = await storage.insertWebhookDelivery(webhook.id, 'email.received', '{"a":1}');
+    const [due] = await storage.getDueWebhookDeliveries();
+    assert.strictEqual(due.id, deliveryId);
+    assert.strictEqual(due.payload, '{"a":1}');
+    assert.strictEqual(due.url, webhook.url);
+
+    await storage.updateWebhookDelivery(deliveryId, { status: 'delivered', attempts: 1, nextAttemptAt: null, responseStatus: 200, lastError: null, deliveredAt: new Date().toISOString() });
+    assert.strictEqual((await storage.getDueWebhookDeliveries()).length, 0);
+    assert.strictEqual((await storage.getWebhookDeliveries(webhook.id, { status: 'delivered' }))[0].response_status, 200);
+
+    await storage.insertWebhookDelivery(webhook.id, 'email.received', '{}');
+    assert.strictEqual(await storage.deleteWebhook(webhook.id), true);
+    assert.strictEqual(await storage.getWebhook(webhook.id), null);
+    assert.deepStrictEqual((await storage.getWebhookDeliveries(webhook.id)).map((row) => row.id), [deliveryId]);
+  },
+
+  async 'sync state and UID reset'(storage) {
+    assert.strictEqual(await storage.getSyncState('inbox@example.com', 'INBOX'), null);
+    await storage.saveSyncState('inbox@example.com', 'INBOX', 4000000000, 10);
+    await storage.saveSyncState('inbox@example.com', 'INBOX', 4000000000, 12);
+    const state = await storage.getSyncState('inbox@example.com', 'INBOX');
+    assert.strictEqual(state.uid_validity, 4000000000);
+    assert.strictEqual(state.last_uid, 12);
+
+    await storage.insertEmail(email({ uid: 12 }));
+    assert.strictEqual(await storage.clearEmailUids('inbox@example.com'), 1);
+    assert.strictEqual(await storage.insertEmail(email({ uid: 12 })), true);
+  },
+
+  async 'message actions and their retry queue'(storage) {
+    const row = email({ uid: 7 });
+    await storage.insertEmail(row);
+    const message = { emailAccount: 'inbox@example.com', mailbox: 'INBOX', uid: 7, uidValidity: 4000000000 };
+    await storage.insertEmailActions(row.id, message, [{ type: 'seen', target: null }, { type: 'move', target: 'Archive/OTP' }]);
+    await storage.insertEmailActions(row.id, { ...message, mailbox: 'Other' }, [{ type: 'flag', target: null }]);
+
+    const pending = await storage.getPendingEmailActions('inbox@example.com', 'INBOX');
+    assert.deepStrictEqual(pending.map((action) => [action.action, action.target]), [['seen', null], ['move', 'Archive/OTP']]);
+    assert.strictEqual(pending[0].uid, 7);
+    assert.strictEqual(pending[0].uid_validity, 4000000000);
+    assert.strictEqual(pending[0].attempts, 0);
+
+    const retryAt = new Date(Date.now() + HOUR).toISOString();
+    await storage.updateEmailAction(pending[0].id, { status: 'done', attempts: 1, nextAttemptAt: null, lastError: null, completedAt: new Date().toISOString() });
+    await storage.updateEmailAction(pending[1].id, { status: 'pending', attempts: 1, nextAttemptAt: retryAt, lastError: 'NO [TRYCREATE]', completedAt: null });
+    const [retry] = await storage.getPendingEmailActions('inbox@example.com', 'INBOX');
+    assert.strictEqual(retry.next_attempt_at, retryAt);
+    assert.strictEqual(retry.last_error, 'NO [TRYCREATE]');
+
+    const recorded = await storage.getEmailActions(row.id);
+    assert.deepStrictEqual(recorded.map((action) => action.status), ['done', 'pending', 'pending']);
+    assert.ok(recorded[0].completed_at);
+    assert.deepStrictEqual(await storage.getEmailActions('missing'), []);
+  },
+
+  async 'extraction rules'(storage) {
+    await storage.saveExtractionRule('r1', { id: 'r1', pattern: 'a' });
+    await storage.saveExtractionRule('r1', { id: 'r1', pattern: 'b' });
+    const rules = await storage.getExtractionRules();
+    assert.strictEqual(rules.length, 1);
+    assert.deepStrictEqual(JSON.parse(rules[0].definition), { id: 'r1', pattern: 'b' });
+    assert.strictEqual(await storage.deleteExtractionRule('r1'), true);
+    assert.strictEqual(await storage.deleteExtractionRule('r1'), false);
+  },
+
+  async 'aliases match their sub-addresses and expire'(storage) {
+    const expiresAt = new Date(Date.now() + HOUR).toISOString();
+    assert.strictEqual(await storage.insertAlias({ address: 'qa+k3x9@example.com', template: 'qa', expiresAt }), true);
+    assert.strictEqual(await storage.insertAlias({ address: 'qa+k3x9@example.com', template: 'qa', expiresAt }), false);
+    assert.strictEqual((await storage.getAlias('qa+k3x9@example.com')).expires_at, expiresAt);
+    assert.strictEqual(await storage.getAlias('qa+other@example.com'), null);
+
+    await insertEmailWithCode(storage, '313131', { toAddress: 'qa+k3x9+signup@Example.com' });
+    await insertEmailWithCode(storage, '323232', { toAddress: 'qa+k3x99@example.com' });
+    await insertEmailWithCode(storage, '333333', { toAddress: 'QA+K3X9@example.com' });
+    assert.strictEqual((await storage.claimLastCode({ alias: 'qa+k3x9@example.com' })).code, '333333');
+    assert.strictEqual((await storage.claimLastCode({ alias: 'qa+k3x9@example.com' })).code, '313131');
+    assert.strictEqual(await storage.claimLastCode({ alias: 'qa+k3x9@example.com' }), null);
+
+    // LIKE wildcards in the alias are literal
+    await insertEmailWithCode(storage, '343434', { toAddress: 'qa+k3x9+a@example.com' });
+    assert.strictEqual(await storage.claimLastCode({ alias: 'qa+k3x_@example.com' }), null);
+
+    await storage.insertAlias({ address: 'old@example.com', template: 'qa', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.strictEqual((await storage.cleanupOldEmails(1)).aliases, 1);
+    assert.strictEqual(await storage.getAlias('old@example.com'), null);
+    assert.ok(await storage.getAlias('qa+k3x9@example.com'));
+  },
+
+  async 'TOTP secrets are encrypted and HOTP counters advance'(storage) {
+    storage.cipher = FieldCipher.fromKeyList(`1:${'a'.repeat(64)}`);
+    const entry = { name: 'github', type: 'hotp', secret: 'JBSWY3DPEHPK3PXP', issuer: 'GitHub', account: 'qa@example.com', algorithm: 'SHA1', digits: 6, period: null, counter: 5 };
+    assert.strictEqual(await storage.insertTotpSecret({ id: uuidv4(), ...entry }), true);
+    assert.strictEqual(await storage.insertTotpSecret({ id: uuidv4(), ...entry }), false);
+    await storage.insertTotpSecret({ id: uuidv4(), ...entry, name: 'aws', type: 'totp', period: 30, counter: null });
+
+    const listed = await storage.getTotpSecrets();
+    assert.deepStrictEqual(listed.map((row) => row.name), ['aws', 'github']);
+    assert.strictEqual(listed[0].secret, undefined);
+    assert.strictEqual((await storage.getTotpSecret('github')).secret, 'JBSWY3DPEHPK3PXP');
+    assert.strictEqual(await storage.getTotpSecret('missing'), null);
+
+    const counters = await Promise.all([storage.advanceHotpCounter('github'), storage.advanceHotpCounter('github')]);
+    assert.deepStrictEqual(counters.sort(), [5, 6]);
+    assert.strictEqual((await storage.getTotpSecret('github')).counter, 7);
+    assert.strictEqual(await storage.advanceHotpCounter('aws'), null);
+
+    storage.cipher = FieldCipher.fromKeyList(`1:${'a'.repeat(64)}\n2:${'b'.repeat(64)}`);
+    assert.strictEqual((await storage.reencrypt()).totp_secrets, 2);
+    storage.cipher = FieldCipher.fromKeyList(`2:${'b'.repeat(64)}`);
+    assert.strictEqual((await storage.getTotpSecret('aws')).secret, 'JBSWY3DPEHPK3PXP');
+
+    assert.strictEqual(await storage.deleteTotpSecret('aws'), true);
+    assert.strictEqual(await storage.deleteTotpSecret('aws'), false);
+  },
+
+  async 'cleanup removes old emails with their rows'(storage) {
+    const { email: row } = await insertEmailWithCode(storage, '888888');
+    await storage.insertLink(row.id, 'https://service.test/', null);
+    await storage.insertAttachment({ id: uuidv4(), emailId: row.id, filename: 'a', contentType: 'text/plain', size: 1, checksum: 'x', content: Buffer.from('a') });
+    await storage.insertEmailActions(row.id, { emailAccount: row.emailAccount, mailbox: 'INBOX', uid: 1, uidValidity: 1 }, [{ type: 'seen', target: null }]);
+
+    assert.deepStrictEqual(await storage.cleanupOldEmails(1), { attachments: 0, links: 0, codes: 0, webhook_deliveries: 0, emails: 0, aliases: 0 });
+    assert.deepStrictEqual(await storage.cleanupOldEmails(-1), { attachments: 1, links: 1, codes: 1, webhook_deliveries: 0, emails: 1, aliases: 0 });
+    assert.strictEqual(await storage.getEmailById(row.id), null);
+    assert.deepStrictEqual(await storage.getEmailActions(row.id), []);
+  },
+
+  async 'encryption at rest and key rotation'(storage) {
+    // Plaintext from before encryption was enabled
+    const { email: row, codeId } = await insertEmailWithCode(storage, '999999');
+
+    storage.cipher = FieldCipher.fromKeyList(`1:${'a'.repeat(64)}`);
+    assert.deepStrictEqual(await storage.reencrypt(), { emails: 5, codes: 1, links: 0, attachments: 0, webhook_deliveries: 0, totp_secrets: 0 });
+    assert.deepStrictEqual((await storage.reencrypt()).emails, 0);
+
+    storage.cipher = FieldCipher.fromKeyList(`1:${'a'.repeat(64)}\n2:${'b'.repeat(64)}`);
+    assert.strictEqual((await storage.getCodeById(codeId)).code, '999999');
+    assert.strictEqual((await storage.reencrypt()).codes, 1);
+
+    storage.cipher = FieldCipher.fromKeyList(`2:${'b'.repeat(64)}`);
+    assert.strictEqual((await storage.getEmailById(row.id)).subject, row.subject);
+    assert.ok((await storage.getEmailRawSource(row.id)).equals(row.rawSource));
+    assert.strictEqual((await storage.claimCode(codeId)).code, '999999');
+  },
+
+  async 'plaintext that looks encrypted is stored as plaintext'(storage) {
+    const { email: row } = await insertEmailWithCode(storage, '424242', { subject: 'enc:v1:hello', rawSource: Buffer.from('enc:v1:raw') });
+    assert.strictEqual((await storage.getLastEmail(row.emailAccount)).subject, 'enc:v1:hello');
+    assert.strictEqual((await storage.claimLastCode()).subject, 'enc:v1:hello');
+
+    storage.cipher = FieldCipher.fromKeyList(`1:${'a'.repeat(64)}`);
+    assert.strictEqual((await storage.getEmailById(row.id)).subject, 'enc:v1:hello');
+    assert.strictEqual((await storage.reencrypt()).emails, 5);
+    assert.strictEqual((await storage.getEmailById(row.id)).subject, 'enc:v1:hello');
+    assert.ok((await storage.getEmailRawSource(row.id)).equals(row.rawSource));
+  }
+};
+
+// Fresh storage per check, and a teardown for it
+const factories = {
+  memory() {
+    return { storage: createStorage({ backend: 'memory' }), teardown: async () => {} };
+  },
+
+  sqlite() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-check-'));
+    const storage = createStorage({ backend: 'sqlite', path: path.join(directory, 'check.db') });
+    return {
+      storage,
+      teardown: async () => {
+        await storage.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    };
+  },
+
+  postgres() {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL is required to check the postgres backend');
+    }
+
+    const { Client } = require('pg');
+    const schema = `storage_check_${uuidv4().replace(/-/g, '')}`;
+    const admin = () => new Client({ connectionString: process.env.DATABASE_URL });
+    const created = (async () => {
+      const client = admin();
+      await client.connect();
+      await client.query(`CREATE SCHEMA ${schema}`);
+      await client.end();
+    })();
+
+    const storage = createStorage({ backend: 'postgres', connectionString: process.env.DATABASE_URL, schema, migrate: false });
+    storage.ready = Promise.all([created, storage.ready]).then(() => storage.migrate());
+    return {
+      storage,
+      teardown: async () => {
+        await storage.close();
+        const client = admin();
+        await client.connect();
+        await client.query(`DROP SCHEMA ${schema} CASCADE`);
+        await client.end();
+      }
+    };
+  }
+};
+
+// Run every check against one backend. Resolves with the number of failures.
+async function checkBackend(backend) {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(checks)) {
+    const { storage, teardown } = factories[backend]();
+    try {
+      await storage.ready;
+      await check(storage);
+      console.log(`  ok   ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`  FAIL ${name}\n       ${error.message.split('\n').join('\n       ')}`);
+    } finally {
+      await teardown();
+    }
+  }
+
+  return failures;
+}
+
+async function main() {
+  const requested = process.argv.slice(2);
+  const backends = requested.length ? requested : ['sqlite', 'memory'];
+  let failures = 0;
+
+  for (const backend of backends) {
+    if (!factories[backend]) {
+      throw new Error(`Unknown storage backend "${backend}" (expected ${Object.keys(factories).join(', ')})`);
+    }
+    console.log(`${backend}:`);
+    failures += await checkBackend(backend);
+  }
+
+  console.log(failures ? `${failures} check(s) failed` : 'All checks passed');
+  process.exit(failures ? 1 : 0);
+}
+
+if (require.main === module) {
+  // Keep the output readable; backends log connects and migrations
+  const log = console.log;
+  console.log = (...args) => {
+    if (typeof args[0] === 'string' && /^(Database connected|Applied migration|Cleaned up)/.test(args[0])) return;
+    log(...args);
+  };
+
+  main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { checks, factories, checkBackend };
@@ -0,0 +1,21 @@
+// Backends by STORAGE_BACKEND name. Loaded on demand so the pg driver is
+// only needed when PostgreSQL is used.
+const BACKENDS = {
+  sqlite: () => require('./sqlite'),
+  memory: () => require('./memory'),
+  postgres: () => require('./postgres')
+};
+
+// Storage for the configured backend (config.loadStorageOptions). The
+// remaining options go to the backend: cipher, migrate, and its path or
+// connectionString.
+function createStorage({ backend = 'sqlite', ...options } = {}) {
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend "${backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  const Backend = BACKENDS[backend]();
+  return new Backend(options);
+}
+
+module.exports = { createStorage, BACKENDS };
@@ -0,0 +1,804 @@
+const { v4: uuidv4 } = require('uuid');
+const Storage = require('./storage');
+const { matchesScope } = require('../auth');
+
+const { EMAIL_FIELDS, LINK_FIELDS, parseEmailRow, parseApiKeyRow, sqlTimestamp, recipientsOf, trustedRecipientsOf, authColumnsOf, messageKey, receivedAtOf } = Storage;
+
+// Columns of the email rows the read methods return (no raw source)
+const EMAIL_COLUMNS = ['id', 'email_account', 'subject', 'from_address', 'to_address', 'body_text', 'body_html', 'headers', 'message_id', 'date', 'received_at', 'uid', 'created_at', 'auth_result', 'auth_details', 'recipients'];
+const SEARCH_EMAIL_COLUMNS = ['id', 'email_account', 'subject', 'from_address', 'to_address', 'body_text', 'message_id', 'date', 'received_at', 'uid', 'created_at', 'auth_result', 'auth_details', 'recipients'];
+const API_KEY_COLUMNS = ['id', 'name', 'key_prefix', 'allowed_to', 'allowed_from', 'created_at', 'last_used_at'];
+const TOTP_COLUMNS = ['id', 'name', 'type', 'issuer', 'account', 'algorithm', 'digits', 'period', 'counter', 'created_at'];
+
+// Copy of the listed columns; arrays (recipients) are copied too
+function pick(row, columns) {
+  const picked = {};
+  for (const column of columns) {
+    picked[column] = Array.isArray(row[column]) ? [...row[column]] : row[column];
+  }
+  return picked;
+}
+
+// Email was sent to the address (any of its recipients)
+function hasRecipient(email, address) {
+  return email.recipients.includes(address.toLowerCase());
+}
+
+// Email was sent to the alias or a plus sub-address of it (a trusted
+// recipient)
+function hasAliasRecipient(email, alias) {
+  const at = alias.lastIndexOf('@');
+  const local = alias.slice(0, at) + '+';
+  const domain = alias.slice(at);
+  return email.trusted_recipients.some((recipient) => recipient === alias ||
+    (recipient.startsWith(local) && recipient.endsWith(domain) && recipient.length > local.length + domain.length));
+}
+
+function equalsIgnoreCase(a, b) {
+  return typeof a === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+// Newest first by created_at, then by insertion order, as the SQL backends
+// sort by created_at and then id
+function newestFirst(rows) {
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => (a.row.created_at < b.row.created_at ? 1 : a.row.created_at > b.row.created_at ? -1 : b.index - a.index))
+    .map(({ row }) => row);
+}
+
+// SQL-style comparison for sorting: NULL sorts first
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+}
+
+// A subset of the FTS5 query syntax: every word must appear in the text, a
+// trailing "*" matches word prefixes, "quoted phrases" must appear as
+// written, and AND is implied
+function matchesQuery(text, query) {
+  const haystack = (text || '').toLowerCase();
+  const words = haystack.match(/[\p{L}\p{N}]+/gu) || [];
+
+  return (query.match(/"[^"]*"|\S+/g) || []).every((term) => {
+    if (term === 'AND') return true;
+    if (term.startsWith('"')) {
+      return haystack.includes(term.replace(/"/g, '').toLowerCase());
+    }
+
+    const word = term.toLowerCase().replace(/[^\p{L}\p{N}*]/gu, '');
+    if (word.endsWith('*')) {
+      return words.some((candidate) => candidate.startsWith(word.slice(0, -1)));
+    }
+    return words.includes(word);
+  });
+}
+
+// Keeps everything in process memory: nothing survives a restart and
+// instances can't share it. Meant for tests and throwaway setups.
+class MemoryStorage extends Storage {
+  constructor(options = {}) {
+    super(options);
+    this.emails = new Map();
+    this.codes = new Map();
+    this.links = new Map();
+    this.attachments = new Map();
+    this.apiKeys = new Map();
+    this.webhooks = new Map();
+    this.webhookDeliveries = new Map();
+    this.syncState = new Map();
+    this.extractionRules = new Map();
+    this.aliases = new Map();
+    this.totpSecrets = new Map();
+    this.emailActions = new Map();
+    this.lastIds = { codes: 0, links: 0, webhookDeliveries: 0, emailActions: 0 };
+  }
+
+  get backend() {
+    return 'memory';
+  }
+
+  nextId(table) {
+    this.lastIds[table] += 1;
+    return this.lastIds[table];
+  }
+
+  inScope(email, scope) {
+    return matchesScope(scope, { trustedRecipients: email.trusted_recipients, fromAddress: email.from_address });
+  }
+
+  async insertEmail(email) {
+    const duplicate = this.emails.has(email.id) || this.findByMessageKey(email, () => true);
+    if (duplicate) return false;
+
+    const [authResult, authDetails] = authColumnsOf(email);
+    this.emails.set(email.id, {
+      id: email.id,
+      email_account: email.emailAccount,
+      subject: this.encrypt(email.subject ?? null),
+      from_address: email.fromAddress ?? null,
+      to_address: email.toAddress ?? null,
+      body_text: this.encrypt(email.bodyText ?? null),
+      body_html: this.encrypt(email.bodyHtml ?? null),
+      headers: this.encrypt(email.headers ? JSON.stringify(email.headers) : null),
+      message_id: email.messageId ?? null,
+      raw_source: this.encrypt(email.rawSource ?? null),
+      date: email.date ?? null,
+      received_at: receivedAtOf(email),
+      uid: email.uid ?? null,
+      message_hash: email.messageHash || null,
+      created_at: sqlTimestamp(),
+      auth_result: authResult,
+      auth_details: authDetails,
+      recipients: recipientsOf(email),
+      trusted_recipients: trustedRecipientsOf(email),
+      processed_at: null
+    });
+    return true;
+  }
+
+  // Stored email of the same account with the same UID or message hash
+  // (see Storage.messageKey) that passes the filter
+  findByMessageKey(email, filter) {
+    const key = messageKey(email);
+    if (!key) return null;
+    return [...this.emails.values()].find((row) =>
+      row.email_account === email.emailAccount && row[key.column] === key.value && filter(row)) || null;
+  }
+
+  async resumeEmail(email) {
+    const stored = this.findByMessageKey(email, (row) => row.processed_at === null);
+    if (!stored) return null;
+
+    const count = (rows) => [...rows.values()].filter((row) => row.email_id === stored.id).length;
+    return { id: stored.id, codes: count(this.codes), links: count(this.links), actions: count(this.emailActions) };
+  }
+
+  async markEmailProcessed(emailId) {
+    const email = this.emails.get(emailId);
+    if (email) email.processed_at = sqlTimestamp();
+  }
+
+  async insertCode(emailId, code, expiresAt = null, options = {}) {
+    const id = this.nextId('codes');
+    this.codes.set(id, {
+      id,
+      email_id: emailId,
+      code: this.encrypt(code),
+      used: 0,
+      flagged: options.flagged ? 1 : 0,
+      claim_token: null,
+      claimed_at: null,
+      lease_expires_at: null,
+      expires_at: expiresAt,
+      created_at: sqlTimestamp()
+    });
+    return id;
+  }
+
+  async insertLink(emailId, url, text, options = {}) {
+    const id = this.nextId('links');
+    this.links.set(id, {
+      id,
+      email_id: emailId,
+      url: this.encrypt(url),
+      text: this.encrypt(text ?? null),
+      used: 0,
+      flagged: options.flagged ? 1 : 0,
+      created_at: sqlTimestamp()
+    });
+    return id;
+  }
+
+  async insertAttachment(attachment) {
+    this.attachments.set(attachment.id, {
+      id: attachment.id,
+      email_id: attachment.emailId,
+      filename: attachment.filename ?? null,
+      content_type: attachment.contentType ?? null,
+      size: attachment.size ?? null,
+      checksum: attachment.checksum ?? null,
+      content: this.encrypt(attachment.content ?? null),
+      created_at: sqlTimestamp()
+    });
+  }
+
+  // Attachment metadata for an email, without the content
+  async getAttachmentsByEmailId(emailId) {
+    return [...this.attachments.values()]
+      .filter((row) => row.email_id === emailId)
+      .sort((a, b) => compareValues(a.created_at, b.created_at))
+      .map(({ content, ...row }) => row);
+  }
+
+  async getAttachment(attachmentId, scope = null) {
+    const row = this.attachments.get(attachmentId);
+    const email = row && this.emails.get(row.email_id);
+    if (!email || !this.inScope(email, scope)) return null;
+    return this.decryptRow({ ...row }, ['content']);
+  }
+
+  async getLastEmail(emailAccount, scope = null) {
+    const [row] = newestFirst([...this.emails.values()])
+      .filter((email) => email.email_account === emailAccount && this.inScope(email, scope));
+    return row ? parseEmailRow(this.decryptRow(pick(row, EMAIL_COLUMNS), EMAIL_FIELDS)) : undefined;
+  }
+
+  async getEmailById(emailId, scope = null) {
+    const row = this.emails.get(emailId);
+    if (!row || !this.inScope(row, scope)) return null;
+    return parseEmailRow(this.decryptRow(pick(row, EMAIL_COLUMNS), EMAIL_FIELDS));
+  }
+
+  // Raw RFC822 source as a Buffer; null when the email or its source is missing
+  async getEmailRawSource(emailId, scope = null) {
+    const row = this.emails.get(emailId);
+    if (!row || !this.inScope(row, scope) || !row.raw_source) return null;
+    return this.cipher.decrypt(row.raw_source);
+  }
+
+  // Newest unused link matching `accepts`, marked as used
+  takeLastLink(accepts, emailColumns, options = {}) {
+    const candidates = [...this.links.values()]
+      .filter((link) => !link.used)
+      .map((link) => ({ link, email: this.emails.get(link.email_id) }))
+      .filter(({ email }) => email && accepts(email) && (!options.authenticated || email.auth_result === 'pass'));
+    const newest = candidates.sort((a, b) => compareValues(b.link.created_at, a.link.created_at) || b.link.id - a.link.id)[0];
+    if (!newest) return null;
+
+    const row = { ...newest.link, ...pick(newest.email, emailColumns) };
+    newest.link.used = 1;
+    return this.decryptRow(row, LINK_FIELDS);
+  }
+
+  async getLastLink(emailAccount, scope = null, options = {}) {
+    return this.takeLastLink(
+      (email) => email.email_account === emailAccount && this.inScope(email, scope),
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  async getLastLinkByFromAddress(emailAccount, fromAddress, scope = null, options = {}) {
+    return this.takeLastLink(
+      (email) => email.email_account === emailAccount && email.from_address === fromAddress && this.inScope(email, scope),
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  async getLastLinkByToAddress(toAddress, scope = null, options = {}) {
+    return this.takeLastLink(
+      (email) => hasRecipient(email, toAddress) && this.inScope(email, scope),
+      ['subject', 'from_address', 'to_address'],
+      options
+    );
+  }
+
+  // The conditions of the SQL backends' buildHistoryFilter, for one email
+  // (and code, when listing codes)
+  matchesHistory(email, code, filters) {
+    if (filters.emailAccount && email.email_account !== filters.emailAccount) return false;
+    if (filters.fromAddress && !equalsIgnoreCase(email.from_address, filters.fromAddress)) return false;
+    if (filters.toAddress && !hasRecipient(email, filters.toAddress)) return false;
+    if (filters.subject && !(typeof email.subject === 'string' && email.subject.toLowerCase().includes(filters.subject.toLowerCase()))) return false;
+    if (filters.since && email.received_at < filters.since) return false;
+    if (filters.until && email.received_at > filters.until) return false;
+    if (filters.query && !matchesQuery(email.body_text, filters.query)) return false;
+    if (filters.used !== undefined && filters.used !== null && code && code.used !== (filters.used ? 1 : 0)) return false;
+    return this.inScope(email, filters.scope);
+  }
+
+  // Sort, apply the cursor and cut a page from history rows
+  page(rows, filters) {
+    const sort = filters.sort === 'created_at' ? 'created_at' : 'date';
+    const direction = filters.order === 'asc' ? 1 : -1;
+    const limit = filters.limit || 50;
+    const after = filters.after;
+
+    const sorted = rows
+      .filter((row) => {
+        if (!after) return true;
+        const order = direction * compareValues(row[sort], after.value);
+        return row[sort] !== null && (order > 0 || (order === 0 && direction * compareValues(row.id, after.id) > 0));
+      })
+      .sort((a, b) => direction * (compareValues(a[sort], b[sort]) || compareValues(a.id, b.id)));
+
+    return { rows: sorted.slice(0, limit), hasMore: sorted.length > limit };
+  }
+
+  // History listing for GET /api/emails. Bodies are included, HTML and
+  // headers are not. Resolves with { rows, hasMore }.
+  async searchEmails(filters = {}) {
+    const matching = [...this.emails.values()]
+      .filter((email) => this.matchesHistory(email, null, filters))
+      .map((email) => pick(email, SEARCH_EMAIL_COLUMNS));
+    const { rows, hasMore } = this.page(matching, filters);
+    return { rows: rows.map((row) => parseEmailRow(this.decryptRow(row, EMAIL_FIELDS))), hasMore };
+  }
+
+  // Code row joined with its email, as the SQL backends' CODE_SELECT
+  joinCode(code) {
+    const email = this.emails.get(code.email_id);
+    if (!email) return null;
+    return {
+      ...code,
+      subject: email.subject,
+      from_address: email.from_address,
+      to_address: email.to_address,
+      email_account: email.email_account,
+      date: email.date,
+      received_at: email.received_at,
+      auth_result: email.auth_result,
+      auth_details: email.auth_details,
+      recipients: [...email.recipients],
+      trusted_recipients: [...email.trusted_recipients]
+    };
+  }
+
+  // History listing for GET /api/codes; never marks codes as used
+  async searchCodes(filters = {}) {
+    const matching = [...this.codes.values()]
+      .map((code) => ({ code, email: this.emails.get(code.email_id) }))
+      .filter(({ code, email }) => email && this.matchesHistory(email, code, filters))
+      .map(({ code }) => this.joinCode(code));
+    const { rows, hasMore } = this.page(matching, filters);
+    return { rows: rows.map((row) => this.codeRow(row)), hasMore };
+  }
+
+  // Unused, not expired and not under an active lease
+  isAvailable(code, now) {
+    return !code.used &&
+      (code.expires_at === null || code.expires_at > now) &&
+      (code.lease_expires_at === null || code.lease_expires_at <= now);
+  }
+
+  // Hand out the newest available code matching the filters. Without a
+  // lease the code is used up at once; with one it stays reserved for
+  // leaseSeconds under the returned claim_token. Claims run synchronously,
+  // so two of them can never win the same code.
+  async claimLastCode({ emailAccount, fromAddress, toAddress, alias, since, authenticated, scope } = {}, options = {}) {
+    const now = new Date().toISOString();
+    const candidates = [...this.codes.values()]
+      .filter((code) => this.isAvailable(code, now))
+      .map((code) => ({ code, email: this.emails.get(code.email_id) }))
+      .filter(({ email }) => email &&
+        (!emailAccount || email.email_account === emailAccount) &&
+        (!fromAddress || email.from_address === fromAddress) &&
+        (!toAddress || hasRecipient(email, toAddress)) &&
+        (!alias || hasAliasRecipient(email, alias)) &&
+        (!since || email.received_at >= since) &&
+        (!authenticated || email.auth_result === 'pass') &&
+        this.inScope(email, scope))
+      .sort((a, b) => compareValues(b.code.created_at, a.code.created_at) || b.code.id - a.code.id);
+
+    return candidates.length ? this.claim(candidates[0].code, options.leaseSeconds) : null;
+  }
+
+  // Claim one specific code if it is still available
+  async claimCode(codeId, options = {}) {
+    const code = this.codes.get(Number(codeId));
+    if (!code || !this.isAvailable(code, new Date().toISOString())) return null;
+    return this.claim(code, options.leaseSeconds);
+  }
+
+  claim(code, leaseSeconds = 0) {
+    const leaseExpiresAt = leaseSeconds > 0 ? new Date(Date.now() + leaseSeconds * 1000).toISOString() : null;
+    Object.assign(code, {
+      used: leaseExpiresAt ? 0 : 1,
+      claim_token: uuidv4(),
+      claimed_at: new Date().toISOString(),
+      lease_expires_at: leaseExpiresAt
+    });
+    return this.codeRow(this.joinCode(code), { claimToken: true });
+  }
+
+  // options.claimToken includes the current claim token (see codeRow)
+  async getCodeById(codeId, scope = null, options = {}) {
+    const code = this.codes.get(Number(codeId));
+    const row = code && this.joinCode(code);
+    if (!row || !this.inScope(row, scope)) return null;
+    return this.codeRow(row, options);
+  }
+
+  // Finalize a leased claim. Resolves with 'confirmed' or why it failed
+  // (see Storage#describeClaim).
+  async confirmCode(codeId, claimToken) {
+    const code = this.codes.get(Number(codeId));
+    if (code && code.claim_token === claimToken && !code.used && code.lease_expires_at > new Date().toISOString()) {
+      code.used = 1;
+      code.lease_expires_at = null;
+    }
+
+    const state = await this.describeClaim(codeId, claimToken);
+    return state === 'leased' ? 'expired' : state;
+  }
+
+  // Return a leased code to the pool. Without a claim token (internal use)
+  // any claim is undone, including one that already used the code up.
+  async releaseCode(codeId, claimToken = null) {
+    const code = this.codes.get(Number(codeId));
+    if (code && (!claimToken || (code.claim_token === claimToken && !code.used))) {
+      Object.assign(code, { used: 0, claim_token: null, claimed_at: null, lease_expires_at: null });
+      return 'released';
+    }
+    return claimToken ? this.describeClaim(codeId, claimToken) : 'released';
+  }
+
+  // Clear leases that ran out. Resolves with the reclaimed code rows.
+  async reclaimExpiredLeases() {
+    const now = new Date().toISOString();
+    const reclaimed = [];
+
+    for (const code of this.codes.values()) {
+      if (!code.used && code.lease_expires_at !== null && code.lease_expires_at <= now) {
+        Object.assign(code, { claim_token: null, claimed_at: null, lease_expires_at: null });
+        const row = await this.getCodeById(code.id);
+        if (row) reclaimed.push(row);
+      }
+    }
+    return reclaimed;
+  }
+
+  async insertApiKey(apiKey) {
+    this.apiKeys.set(apiKey.id, {
+      id: apiKey.id,
+      name: apiKey.name,
+      key_hash: apiKey.keyHash,
+      key_prefix: apiKey.keyPrefix,
+      allowed_to: JSON.stringify(apiKey.allowedTo),
+      allowed_from: JSON.stringify(apiKey.allowedFrom),
+      created_at: sqlTimestamp(),
+      last_used_at: null
+    });
+  }
+
+  async getApiKeys() {
+    return [...this.apiKeys.values()].map((row) => parseApiKeyRow(pick(row, API_KEY_COLUMNS)));
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const row = [...this.apiKeys.values()].find((apiKey) => apiKey.key_hash === keyHash);
+    return row ? parseApiKeyRow(pick(row, API_KEY_COLUMNS)) : null;
+  }
+
+  touchApiKey(keyId) {
+    const row = this.apiKeys.get(keyId);
+    if (row) row.last_used_at = new Date().toISOString();
+  }
+
+  async deleteApiKey(keyId) {
+    return this.apiKeys.delete(keyId);
+  }
+
+  async insertWebhook(webhook) {
+    this.webhooks.set(webhook.id, {
+      id: webhook.id,
+      url: webhook.url,
+      secret: webhook.secret,
+      email_account: webhook.emailAccount ?? null,
+      from_address: webhook.fromAddress ?? null,
+      to_address: webhook.toAddress ?? null,
+      created_at: sqlTimestamp()
+    });
+  }
+
+  async getWebhooks() {
+    return [...this.webhooks.values()].map((row) => ({ ...row }));
+  }
+
+  async getWebhook(webhookId) {
+    const row = this.webhooks.get(webhookId);
+    return row ? { ...row } : null;
+  }
+
+  // Webhooks whose filters accept an email; null filters match everything.
+  // A "to" filter matches any of the email's recipients.
+  async getMatchingWebhooks(emailAccount, fromAddress, recipients = []) {
+    return [...this.webhooks.values()]
+      .filter((webhook) =>
+        (webhook.email_account === null || webhook.email_account === emailAccount) &&
+        (webhook.from_address === null || webhook.from_address === fromAddress) &&
+        (webhook.to_address === null || recipients.includes(webhook.to_address.toLowerCase())))
+      .map((row) => ({ ...row }));
+  }
+
+  async deleteWebhook(webhookId) {
+    // Drop queued deliveries with it; the delivered/failed log is kept
+    for (const [id, delivery] of this.webhookDeliveries) {
+      if (delivery.webhook_id === webhookId && delivery.status === 'pending') {
+        this.webhookDeliveries.delete(id);
+      }
+    }
+    return this.webhooks.delete(webhookId);
+  }
+
+  async insertWebhookDelivery(webhookId, event, payload) {
+    const id = this.nextId('webhookDeliveries');
+    this.webhookDeliveries.set(id, {
+      id,
+      webhook_id: webhookId,
+      event,
+      payload: this.encrypt(payload),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      response_status: null,
+      last_error: null,
+      created_at: sqlTimestamp(),
+      delivered_at: null
+    });
+    return id;
+  }
+
+  // Pending deliveries whose next attempt is due, joined with their webhook
+  async getDueWebhookDeliveries(limit = 20) {
+    const now = new Date().toISOString();
+    return [...this.webhookDeliveries.values()]
+      .filter((delivery) => delivery.status === 'pending' && delivery.next_attempt_at <= now && this.webhooks.has(delivery.webhook_id))
+      .sort((a, b) => compareValues(a.next_attempt_at, b.next_attempt_at))
+      .slice(0, limit)
+      .map((delivery) => {
+        const { url, secret } = this.webhooks.get(delivery.webhook_id);
+        return this.decryptRow({ ...delivery, url, secret }, ['payload']);
+      });
+  }
+
+  async updateWebhookDelivery(deliveryId, update) {
+    const delivery = this.webhookDeliveries.get(deliveryId);
+    if (!delivery) return;
+    Object.assign(delivery, {
+      status: update.status,
+      attempts: update.attempts,
+      next_attempt_at: update.nextAttemptAt ?? null,
+      response_status: update.responseStatus ?? null,
+      last_error: update.lastError ?? null,
+      delivered_at: update.deliveredAt ?? null
+    });
+  }
+
+  async getWebhookDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    return [...this.webhookDeliveries.values()]
+      .filter((delivery) => delivery.webhook_id === webhookId && (!status || delivery.status === status))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map((delivery) => this.decryptRow({ ...delivery }, ['payload']));
+  }
+
+  // One pending row per action; `message` locates it on the IMAP server
+  // ({ emailAccount, mailbox, uid, uidValidity })
+  async insertEmailActions(emailId, message, actions) {
+    const now = new Date().toISOString();
+    for (const action of actions) {
+      const id = this.nextId('emailActions');
+      this.emailActions.set(id, {
+        id,
+        email_id: emailId,
+        email_account: message.emailAccount,
+        mailbox: message.mailbox,
+        uid: message.uid,
+        uid_validity: message.uidValidity,
+        action: action.type,
+        target: action.target,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null,
+        created_at: sqlTimestamp(),
+        completed_at: null
+      });
+    }
+  }
+
+  // Pending actions of one mailbox, per message in the order they run
+  async getPendingEmailActions(emailAccount, mailbox) {
+    return [...this.emailActions.values()]
+      .filter((action) => action.email_account === emailAccount && action.mailbox === mailbox && action.status === 'pending')
+      .sort((a, b) => a.uid - b.uid || a.id - b.id)
+      .map((action) => ({ ...action }));
+  }
+
+  async updateEmailAction(actionId, update) {
+    const action = this.emailActions.get(actionId);
+    if (!action) return;
+    Object.assign(action, {
+      status: update.status,
+      attempts: update.attempts,
+      next_attempt_at: update.nextAttemptAt ?? null,
+      last_error: update.lastError ?? null,
+      completed_at: update.completedAt ?? null
+    });
+  }
+
+  async getEmailActions(emailId) {
+    return [...this.emailActions.values()]
+      .filter((action) => action.email_id === emailId)
+      .sort((a, b) => a.id - b.id)
+      .map((action) => ({ ...action }));
+  }
+
+  async getSyncState(emailAccount, mailbox) {
+    const row = this.syncState.get(`${emailAccount}\n${mailbox}`);
+    return row ? { ...row } : null;
+  }
+
+  async saveSyncState(emailAccount, mailbox, uidValidity, lastUid) {
+    this.syncState.set(`${emailAccount}\n${mailbox}`, {
+      email_account: emailAccount,
+      mailbox,
+      uid_validity: uidValidity,
+      last_uid: lastUid,
+      updated_at: sqlTimestamp()
+    });
+  }
+
+  // UIDs from an old UIDVALIDITY no longer identify messages
+  async clearEmailUids(emailAccount) {
+    let changes = 0;
+    for (const email of this.emails.values()) {
+      if (email.email_account === emailAccount) {
+        email.uid = null;
+        changes++;
+      }
+    }
+    return changes;
+  }
+
+  async getExtractionRules() {
+    return [...this.extractionRules.values()].map((row) => ({ ...row }));
+  }
+
+  async saveExtractionRule(ruleId, definition) {
+    const existing = this.extractionRules.get(ruleId);
+    this.extractionRules.set(ruleId, {
+      id: ruleId,
+      definition: JSON.stringify(definition),
+      created_at: existing ? existing.created_at : sqlTimestamp(),
+      updated_at: sqlTimestamp()
+    });
+  }
+
+  async deleteExtractionRule(ruleId) {
+    return this.extractionRules.delete(ruleId);
+  }
+
+  // Resolves with false when the address is already taken
+  async insertAlias(alias) {
+    if (this.aliases.has(alias.address)) return false;
+    this.aliases.set(alias.address, {
+      address: alias.address,
+      template: alias.template,
+      created_at: sqlTimestamp(),
+      expires_at: alias.expiresAt
+    });
+    return true;
+  }
+
+  async getAlias(address) {
+    const alias = this.aliases.get(address);
+    return alias ? { ...alias } : null;
+  }
+
+  // Resolves with false when the name is already taken
+  async insertTotpSecret(entry) {
+    if (this.totpSecrets.has(entry.name)) return false;
+    this.totpSecrets.set(entry.name, {
+      id: entry.id,
+      name: entry.name,
+      type: entry.type,
+      secret: this.cipher.encrypt(entry.secret),
+      issuer: entry.issuer ?? null,
+      account: entry.account ?? null,
+      algorithm: entry.algorithm,
+      digits: entry.digits,
+      period: entry.period ?? null,
+      counter: entry.counter ?? null,
+      created_at: sqlTimestamp()
+    });
+    return true;
+  }
+
+  // Without the secrets
+  async getTotpSecrets() {
+    return [...this.totpSecrets.values()]
+      .sort((a, b) => compareValues(a.name, b.name))
+      .map((row) => pick(row, TOTP_COLUMNS));
+  }
+
+  // The entry with its decrypted secret, or null
+  async getTotpSecret(name) {
+    const row = this.totpSecrets.get(name);
+    return row ? this.decryptRow({ ...row }, ['secret']) : null;
+  }
+
+  async deleteTotpSecret(name) {
+    return this.totpSecrets.delete(name);
+  }
+
+  // Take the next counter value of an HOTP entry, or null
+  async advanceHotpCounter(name) {
+    const row = this.totpSecrets.get(name);
+    if (!row || row.type !== 'hotp') return null;
+    return row.counter++;
+  }
+
+  async reencryptColumn(table, column) {
+    const rows = {
+      emails: this.emails,
+      codes: this.codes,
+      links: this.links,
+      attachments: this.attachments,
+      webhook_deliveries: this.webhookDeliveries,
+      totp_secrets: this.totpSecrets
+    }[table];
+    let rewritten = 0;
+
+    for (const row of rows.values()) {
+      if (row[column] === null || this.cipher.versionOf(row[column]) === this.cipher.currentVersion) continue;
+      row[column] = this.cipher.encrypt(this.cipher.decrypt(row[column]));
+      rewritten++;
+    }
+    return rewritten;
+  }
+
+  // Resolves with the number of rows deleted per table
+  async cleanupOldEmails(olderThanDays = 7) {
+    const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    const deleted = { attachments: 0, links: 0, codes: 0, webhook_deliveries: 0, emails: 0, aliases: 0 };
+
+    // Aliases go when they expire rather than with the retention period
+    const now = new Date().toISOString();
+    for (const [address, alias] of this.aliases) {
+      if (alias.expires_at <= now) {
+        this.aliases.delete(address);
+        deleted.aliases++;
+      }
+    }
+
+    const oldEmails = new Set([...this.emails.values()].filter((email) => email.created_at < cutoffDate).map((email) => email.id));
+
+    for (const [table, rows] of [['attachments', this.attachments], ['links', this.links], ['codes', this.codes]]) {
+      for (const [id, row] of rows) {
+        if (oldEmails.has(row.email_id)) {
+          rows.delete(id);
+          deleted[table]++;
+        }
+      }
+    }
+
+    for (const [id, action] of this.emailActions) {
+      if (oldEmails.has(action.email_id)) this.emailActions.delete(id);
+    }
+
+    // Finished webhook deliveries share the retention period
+    for (const [id, delivery] of this.webhookDeliveries) {
+      if (delivery.status !== 'pending' && delivery.created_at < cutoffDate) {
+        this.webhookDeliveries.delete(id);
+        deleted.webhook_deliveries++;
+      }
+    }
+
+    for (const id of oldEmails) {
+      this.emails.delete(id);
+    }
+    deleted.emails = oldEmails.size;
+    console.log(`Cleaned up ${oldEmails.size} old emails`);
+
+    return deleted;
+  }
+
+  // Nothing to migrate: the schema is the shape of the objects above
+  async migrate() {
+    return [];
+  }
+
+  async migrationStatus() {
+    return { migrations: [], unknown: [] };
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryStorage;
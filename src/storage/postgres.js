@@ -0,0 +1,883 @@
+const path = require('path');
+const { Pool, types } = require('pg');
+const { v4: uuidv4 } = require('uuid');
+const Storage = require('./storage');
+const Migrator = require('../migrator');
+
+const { EMAIL_FIELDS, LINK_FIELDS, parseEmailRow, parseApiKeyRow, recipientsOf, trustedRecipientsOf, subAddressPattern, authColumnsOf, messageKey, receivedAtOf } = Storage;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+
+// Every email column except the raw source, which is only served by /raw
+const EMAIL_COLUMNS = 'id, email_account, subject, from_address, to_address, body_text, body_html, headers, message_id, date, received_at, uid, created_at, auth_result, auth_details';
+
+// The recipients of email `e` as an array, in resolution order
+const RECIPIENTS = `(
+  SELECT coalesce(json_agg(r.address ORDER BY r.position), '[]') FROM email_recipients r WHERE r.email_id = e.id
+) AS recipients`;
+
+// Its trusted recipients, which scopes and aliases match (see recipients.js)
+const TRUSTED_RECIPIENTS = `(
+  SELECT coalesce(json_agg(r.address ORDER BY r.position), '[]') FROM email_recipients r WHERE r.email_id = e.id AND r.trusted = 1
+) AS trusted_recipients`;
+
+// Email `e` was sent to the bound address (any of its recipients)
+const HAS_RECIPIENT = 'EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = e.id AND r.address = lower(?))';
+
+// Email `e` was sent to an alias or a sub-address of it (a trusted
+// recipient)
+const HAS_ALIAS_RECIPIENT = `EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = e.id AND r.trusted = 1 AND (r.address = ? OR r.address LIKE ? ESCAPE '\\'))`;
+
+// CURRENT_TIMESTAMP in SQLite's format, which created_at columns share
+const NOW = `to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')`;
+
+// Columns of totp_secrets except the secret itself
+const TOTP_COLUMNS = 'id, name, type, issuer, account, algorithm, digits, period, counter, created_at';
+
+// Held while migrating, so instances starting together don't race
+const MIGRATION_LOCK_ID = 4815162342;
+
+// Rows re-encrypted per transaction by reencryptColumn()
+const REENCRYPT_BATCH_SIZE = 100;
+
+// Columns stored as BYTEA rather than TEXT
+const BINARY_COLUMNS = ['raw_source', 'content'];
+
+// UIDs and UIDVALIDITY are BIGINT; they fit in a JS number
+const INT8_OID = 20;
+function getTypeParser(oid, format) {
+  return oid === INT8_OID ? (value) => parseInt(value, 10) : types.getTypeParser(oid, format);
+}
+
+// Queries are written with "?" placeholders like the SQLite backend;
+// they become $1, $2, ... here. None of the SQL in this file uses "?" for
+// anything else.
+function numberPlaceholders(sql) {
+  let index = 0;
+  return sql.replace(/\?/g, () => `$${++index}`);
+}
+
+// "*"/"?" glob to a LIKE pattern, escaping LIKE's own wildcards
+function globToLike(pattern) {
+  return pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%').replace(/\?/g, '_');
+}
+
+// Condition limiting rows to an API key's address scope (see auth.js); the
+// "to" patterns match any trusted recipient. ILIKE matches
+// case-insensitively, as SQLite's LIKE does.
+function buildScopeFilter(scope, alias = 'e') {
+  if (!scope) {
+    return { sql: '', params: [] };
+  }
+
+  const clauses = [];
+  const params = [];
+  if (scope.to && scope.to.length) {
+    const matches = scope.to.map(() => `r.address ILIKE ? ESCAPE '\\'`).join(' OR ');
+    clauses.push(`EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = ${alias}.id AND r.trusted = 1 AND (${matches}))`);
+    params.push(...scope.to.map(globToLike));
+  }
+  if (scope.from && scope.from.length) {
+    clauses.push('(' + scope.from.map(() => `${alias}.from_address ILIKE ? ESCAPE '\\'`).join(' OR ') + ')');
+    params.push(...scope.from.map(globToLike));
+  }
+
+  return {
+    sql: clauses.length ? 'AND ' + clauses.join(' AND ') : '',
+    params
+  };
+}
+
+// Columns the history endpoints can sort by, per list
+const HISTORY_SORTS = {
+  emails: { date: 'e.date', created_at: 'e.created_at' },
+  codes: { date: 'e.date', created_at: 'c.created_at' }
+};
+
+// Conditions shared by searchEmails and searchCodes. Body search (`query`)
+// uses web search syntax: words, "quoted phrases", OR and -exclusions.
+function buildHistoryFilter(filters, sortColumn, idColumn) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.emailAccount) {
+    conditions.push('e.email_account = ?');
+    params.push(filters.emailAccount);
+  }
+  if (filters.fromAddress) {
+    conditions.push('lower(e.from_address) = lower(?)');
+    params.push(filters.fromAddress);
+  }
+  if (filters.toAddress) {
+    conditions.push(HAS_RECIPIENT);
+    params.push(filters.toAddress);
+  }
+  if (filters.subject) {
+    conditions.push(`e.subject ILIKE ? ESCAPE '\\'`);
+    params.push(`%${filters.subject.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (filters.since) {
+    conditions.push('e.received_at >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    conditions.push('e.received_at <= ?');
+    params.push(filters.until);
+  }
+  if (filters.query) {
+    conditions.push(`e.body_search @@ websearch_to_tsquery('simple', ?)`);
+    params.push(filters.query);
+  }
+  if (filters.used !== undefined && filters.used !== null) {
+    conditions.push('c.used = ?');
+    params.push(filters.used ? 1 : 0);
+  }
+
+  const scopeFilter = buildScopeFilter(filters.scope);
+  if (scopeFilter.sql) {
+    conditions.push(scopeFilter.sql.replace(/^AND /, ''));
+    params.push(...scopeFilter.params);
+  }
+
+  if (filters.after) {
+    const op = filters.order === 'asc' ? '>' : '<';
+    conditions.push(`(${sortColumn} ${op} ? OR (${sortColumn} = ? AND ${idColumn} ${op} ?))`);
+    params.push(filters.after.value, filters.after.value, filters.after.id);
+  }
+
+  return {
+    where: conditions.length ? 'WHERE ' + conditions.join(' AND ') : '',
+    params
+  };
+}
+
+const CODE_SELECT = `
+  SELECT c.*, e.subject, e.from_address, e.to_address, e.email_account, e.date, e.received_at, e.auth_result, e.auth_details, ${RECIPIENTS}, ${TRUSTED_RECIPIENTS}
+  FROM codes c
+  JOIN emails e ON c.email_id = e.id
+`;
+
+// Unused, not expired and not under an active lease; expired leases count
+// as available. Takes the current time as both of its parameters.
+const AVAILABLE_CODE = `c.used = 0 AND (c.expires_at IS NULL OR c.expires_at > ?) AND (c.lease_expires_at IS NULL OR c.lease_expires_at <= ?)`;
+
+// PostgreSQL backend (DATABASE_URL). Several instances can share one
+// database: codes and links are handed out under row locks, so each is
+// returned to exactly one caller across all of them.
+class PostgresStorage extends Storage {
+  // options.connectionString: postgres:// URL. options.schema: schema to
+  // work in instead of the default search_path. options.migrate: false
+  // leaves the schema alone (the migrate CLI runs them itself).
+  constructor(options = {}) {
+    super(options);
+
+    this.pool = new Pool({
+      connectionString: options.connectionString,
+      types: { getTypeParser },
+      ...(options.schema && { options: `-c search_path=${options.schema}` })
+    });
+    this.pool.on('error', (err) => {
+      console.error('Database error:', err.message);
+    });
+
+    // Resolves once pending schema migrations are applied (unless
+    // options.migrate is false); await before the first query. Rejects when
+    // the database is unreachable or a migration fails.
+    this.ready = this.query('SELECT 1').then(() => {
+      console.log('Database connected');
+      if (options.migrate !== false) {
+        return this.migrate();
+      }
+    });
+  }
+
+  get backend() {
+    return 'postgres';
+  }
+
+  // Resolves with the pg result ({ rows, rowCount })
+  query(sql, params = [], client = this.pool) {
+    return client.query(numberPlaceholders(sql), params);
+  }
+
+  async transaction(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Run work(migrator) on one connection; migrations need their
+  // transactions on a single client
+  async withMigrator(work) {
+    const client = await this.pool.connect();
+    try {
+      const migrator = new Migrator({
+        run: (sql, params) => this.query(sql, params, client).then(() => {}),
+        all: (sql, params) => this.query(sql, params, client).then((result) => result.rows),
+        exec: (sql) => client.query(sql).then(() => {}),
+        columns: async (table) => (await this.query(
+          'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?',
+          [table],
+          client
+        )).rows.map((row) => row.column_name)
+      }, MIGRATIONS_DIR);
+      return await work(migrator, client);
+    } finally {
+      client.release();
+    }
+  }
+
+  migrate(options) {
+    return this.withMigrator(async (migrator, client) => {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      try {
+        return await migrator.migrate(options);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    });
+  }
+
+  migrationStatus() {
+    return this.withMigrator((migrator) => migrator.status());
+  }
+
+  close() {
+    return this.pool.end();
+  }
+
+  insertEmail(email) {
+    const sql = `
+      INSERT INTO emails (id, email_account, subject, from_address, to_address, body_text, body_html, headers, message_id, raw_source, date, received_at, uid, message_hash, auth_result, auth_details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `;
+    const headers = email.headers ? JSON.stringify(email.headers) : null;
+    const recipients = recipientsOf(email);
+    const trusted = trustedRecipientsOf(email);
+
+    return this.transaction(async (client) => {
+      const result = await this.query(sql, [
+        email.id, email.emailAccount, this.encrypt(email.subject), email.fromAddress, email.toAddress,
+        this.encrypt(email.bodyText), this.encrypt(email.bodyHtml), this.encrypt(headers), email.messageId,
+        this.encrypt(email.rawSource), email.date, receivedAtOf(email), email.uid, email.messageHash || null, ...authColumnsOf(email)
+      ], client);
+      if (result.rowCount === 0) return false;
+
+      if (recipients.length) {
+        await this.query(
+          `INSERT INTO email_recipients (email_id, address, position, trusted) VALUES ${recipients.map(() => '(?, ?, ?, ?)').join(', ')}`,
+          recipients.flatMap((address, position) => [email.id, address, position, trusted.includes(address) ? 1 : 0]),
+          client
+        );
+      }
+      return true;
+    });
+  }
+
+  // The email an earlier attempt at the same message stored without
+  // finishing it (see markEmailProcessed), with how many codes, links and
+  // actions that attempt saved; null when there is none
+  async resumeEmail(email) {
+    const key = messageKey(email);
+    if (!key) return null;
+
+    const sql = `
+      SELECT e.id,
+        (SELECT COUNT(*)::int FROM codes WHERE email_id = e.id) AS codes,
+        (SELECT COUNT(*)::int FROM links WHERE email_id = e.id) AS links,
+        (SELECT COUNT(*)::int FROM email_actions WHERE email_id = e.id) AS actions
+      FROM emails e
+      WHERE e.email_account = ? AND e.${key.column} = ? AND e.processed_at IS NULL
+    `;
+    const result = await this.query(sql, [email.emailAccount, key.value]);
+    return result.rows[0] || null;
+  }
+
+  async markEmailProcessed(emailId) {
+    await this.query(`UPDATE emails SET processed_at = ${NOW} WHERE id = ?`, [emailId]);
+  }
+
+  // expiresAt: ISO timestamp after which the code is no longer handed out;
+  // options.flagged marks a code from an unauthenticated sender
+  async insertCode(emailId, code, expiresAt = null, options = {}) {
+    const sql = `INSERT INTO codes (email_id, code, expires_at, flagged) VALUES (?, ?, ?, ?) RETURNING id`;
+    const result = await this.query(sql, [emailId, this.encrypt(code), expiresAt, options.flagged ? 1 : 0]);
+    return result.rows[0].id;
+  }
+
+  // options.flagged marks a link from an unauthenticated sender
+  async insertLink(emailId, url, text, options = {}) {
+    const sql = `INSERT INTO links (email_id, url, text, flagged) VALUES (?, ?, ?, ?) RETURNING id`;
+    const result = await this.query(sql, [emailId, this.encrypt(url), this.encrypt(text), options.flagged ? 1 : 0]);
+    return result.rows[0].id;
+  }
+
+  async insertAttachment(attachment) {
+    const sql = `INSERT INTO attachments (id, email_id, filename, content_type, size, checksum, content) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+    await this.query(sql, [
+      attachment.id, attachment.emailId, attachment.filename, attachment.contentType,
+      attachment.size, attachment.checksum, this.encrypt(attachment.content)
+    ]);
+  }
+
+  // Attachment metadata for an email, without the content
+  async getAttachmentsByEmailId(emailId) {
+    const sql = `SELECT id, email_id, filename, content_type, size, checksum, created_at FROM attachments WHERE email_id = ? ORDER BY created_at ASC`;
+    return (await this.query(sql, [emailId])).rows;
+  }
+
+  async getAttachment(attachmentId, scope = null) {
+    const scopeFilter = buildScopeFilter(scope);
+    const sql = `
+      SELECT a.* FROM attachments a
+      JOIN emails e ON a.email_id = e.id
+      WHERE a.id = ? ${scopeFilter.sql}
+    `;
+    const row = (await this.query(sql, [attachmentId, ...scopeFilter.params])).rows[0];
+    return row ? this.decryptRow(row, ['content']) : null;
+  }
+
+  async getLastEmail(emailAccount, scope = null) {
+    const scopeFilter = buildScopeFilter(scope);
+    const sql = `SELECT ${EMAIL_COLUMNS}, ${RECIPIENTS} FROM emails e WHERE email_account = ? ${scopeFilter.sql} ORDER BY created_at DESC LIMIT 1`;
+    const row = (await this.query(sql, [emailAccount, ...scopeFilter.params])).rows[0];
+    return parseEmailRow(this.decryptRow(row, EMAIL_FIELDS));
+  }
+
+  async getEmailById(emailId, scope = null) {
+    const scopeFilter = buildScopeFilter(scope);
+    const sql = `SELECT ${EMAIL_COLUMNS}, ${RECIPIENTS} FROM emails e WHERE id = ? ${scopeFilter.sql}`;
+    const row = (await this.query(sql, [emailId, ...scopeFilter.params])).rows[0];
+    return parseEmailRow(this.decryptRow(row, EMAIL_FIELDS)) || null;
+  }
+
+  // Raw RFC822 source as a Buffer; null when the email or its source is missing
+  async getEmailRawSource(emailId, scope = null) {
+    const scopeFilter = buildScopeFilter(scope);
+    const sql = `SELECT raw_source FROM emails e WHERE id = ? ${scopeFilter.sql}`;
+    const row = (await this.query(sql, [emailId, ...scopeFilter.params])).rows[0];
+    return row && row.raw_source ? this.cipher.decrypt(row.raw_source) : null;
+  }
+
+  // Mark the newest unused link matching `conditions` as used and return
+  // it with the listed email columns. The link row is locked while taken,
+  // so concurrent requests (on any instance) never get the same link.
+  async takeLastLink(conditions, params, emailColumns, options = {}) {
+    const authenticated = options.authenticated ? `AND e.auth_result = 'pass'` : '';
+    const sql = `
+      WITH taken AS (
+        UPDATE links SET used = 1
+        WHERE id = (
+          SELECT l.id FROM links l
+          JOIN emails e ON l.email_id = e.id
+          WHERE l.used = 0 AND ${conditions} ${authenticated}
+          ORDER BY l.created_at DESC, l.id DESC
+          LIMIT 1
+          FOR UPDATE OF l SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT t.id, t.email_id, t.url, t.text, 0 AS used, t.flagged, t.created_at, ${emailColumns.map((column) => `e.${column}`).join(', ')}
+      FROM taken t
+      JOIN emails e ON t.email_id = e.id
+    `;
+    const row = (await this.query(sql, params)).rows[0];
+    return row ? this.decryptRow(row, LINK_FIELDS) : null;
+  }
+
+  getLastLink(emailAccount, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `e.email_account = ? ${scopeFilter.sql}`,
+      [emailAccount, ...scopeFilter.params],
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  getLastLinkByFromAddress(emailAccount, fromAddress, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `e.email_account = ? AND e.from_address = ? ${scopeFilter.sql}`,
+      [emailAccount, fromAddress, ...scopeFilter.params],
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  getLastLinkByToAddress(toAddress, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `${HAS_RECIPIENT} ${scopeFilter.sql}`,
+      [toAddress, ...scopeFilter.params],
+      ['subject', 'from_address', 'to_address'],
+      options
+    );
+  }
+
+  // History listing for GET /api/emails. Bodies are included, HTML and
+  // headers are not. Resolves with { rows, hasMore }.
+  async searchEmails(filters = {}) {
+    const sort = HISTORY_SORTS.emails[filters.sort] || HISTORY_SORTS.emails.date;
+    const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = filters.limit || 50;
+    const { where, params } = buildHistoryFilter(filters, sort, 'e.id');
+
+    const sql = `
+      SELECT e.id, e.email_account, e.subject, e.from_address, e.to_address, e.body_text, e.message_id, e.date, e.received_at, e.uid, e.created_at, e.auth_result, e.auth_details, ${RECIPIENTS}
+      FROM emails e
+      ${where}
+      ORDER BY ${sort} ${order}, e.id ${order}
+      LIMIT ?
+    `;
+
+    const { rows } = await this.query(sql, [...params, limit + 1]);
+    return {
+      rows: rows.slice(0, limit).map((row) => parseEmailRow(this.decryptRow(row, EMAIL_FIELDS))),
+      hasMore: rows.length > limit
+    };
+  }
+
+  // History listing for GET /api/codes; never marks codes as used
+  async searchCodes(filters = {}) {
+    const sort = HISTORY_SORTS.codes[filters.sort] || HISTORY_SORTS.codes.date;
+    const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = filters.limit || 50;
+    const { where, params } = buildHistoryFilter(filters, sort, 'c.id');
+
+    const sql = `
+      ${CODE_SELECT}
+      ${where}
+      ORDER BY ${sort} ${order}, c.id ${order}
+      LIMIT ?
+    `;
+
+    const { rows } = await this.query(sql, [...params, limit + 1]);
+    return {
+      rows: rows.slice(0, limit).map((row) => this.codeRow(row)),
+      hasMore: rows.length > limit
+    };
+  }
+
+  // Atomically hand out the newest available code matching the filters;
+  // see the SQLite backend for the lease semantics
+  claimLastCode({ emailAccount, fromAddress, toAddress, alias, since, authenticated, scope } = {}, options = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (emailAccount) {
+      conditions.push('e.email_account = ?');
+      params.push(emailAccount);
+    }
+    if (fromAddress) {
+      conditions.push('e.from_address = ?');
+      params.push(fromAddress);
+    }
+    if (toAddress) {
+      conditions.push(HAS_RECIPIENT);
+      params.push(toAddress);
+    }
+    if (alias) {
+      conditions.push(HAS_ALIAS_RECIPIENT);
+      params.push(alias, subAddressPattern(alias));
+    }
+    if (since) {
+      conditions.push('e.received_at >= ?');
+      params.push(since);
+    }
+    if (authenticated) {
+      conditions.push(`e.auth_result = 'pass'`);
+    }
+
+    const scopeFilter = buildScopeFilter(scope);
+    if (scopeFilter.sql) {
+      conditions.push(scopeFilter.sql.replace(/^AND /, ''));
+      params.push(...scopeFilter.params);
+    }
+
+    return this.claim(conditions, params, options.leaseSeconds);
+  }
+
+  // Claim one specific code if it is still available
+  claimCode(codeId, options = {}) {
+    return this.claim(['c.id = ?'], [codeId], options.leaseSeconds);
+  }
+
+  // The candidate is locked with SKIP LOCKED, so concurrent claims on any
+  // instance move on to the next code instead of both winning this one
+  async claim(conditions, params, leaseSeconds = 0) {
+    const claimToken = uuidv4();
+    const now = new Date().toISOString();
+    const leaseExpiresAt = leaseSeconds > 0 ? new Date(Date.now() + leaseSeconds * 1000).toISOString() : null;
+    const where = [AVAILABLE_CODE, ...conditions].join(' AND ');
+
+    const sql = `
+      UPDATE codes SET used = ?, claim_token = ?, claimed_at = ?, lease_expires_at = ?
+      WHERE id = (
+        SELECT c.id FROM codes c
+        JOIN emails e ON c.email_id = e.id
+        WHERE ${where}
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT 1
+        FOR UPDATE OF c SKIP LOCKED
+      )
+    `;
+
+    const result = await this.query(sql, [leaseExpiresAt ? 0 : 1, claimToken, now, leaseExpiresAt, now, now, ...params]);
+    if (result.rowCount !== 1) return null;
+
+    const row = (await this.query(`${CODE_SELECT} WHERE c.claim_token = ?`, [claimToken])).rows[0];
+    return this.codeRow(row, { claimToken: true });
+  }
+
+  // options.claimToken includes the current claim token (see codeRow)
+  async getCodeById(codeId, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    const sql = `${CODE_SELECT} WHERE c.id = ? ${scopeFilter.sql}`;
+    const row = (await this.query(sql, [codeId, ...scopeFilter.params])).rows[0];
+    return this.codeRow(row, options);
+  }
+
+  // Finalize a leased claim. Resolves with 'confirmed' or why it failed
+  // (see Storage#describeClaim).
+  async confirmCode(codeId, claimToken) {
+    const sql = `
+      UPDATE codes SET used = 1, lease_expires_at = NULL
+      WHERE id = ? AND claim_token = ? AND used = 0 AND lease_expires_at > ?
+    `;
+    await this.query(sql, [codeId, claimToken, new Date().toISOString()]);
+
+    const state = await this.describeClaim(codeId, claimToken);
+    return state === 'leased' ? 'expired' : state;
+  }
+
+  // Return a leased code to the pool. Without a claim token (internal use)
+  // any claim is undone, including one that already used the code up.
+  async releaseCode(codeId, claimToken = null) {
+    const tokenFilter = claimToken ? 'AND claim_token = ? AND used = 0' : '';
+    const sql = `
+      UPDATE codes SET used = 0, claim_token = NULL, claimed_at = NULL, lease_expires_at = NULL
+      WHERE id = ? ${tokenFilter}
+    `;
+    const result = await this.query(sql, claimToken ? [codeId, claimToken] : [codeId]);
+
+    if (!claimToken || result.rowCount === 1) return 'released';
+    // Nothing changed; work out why
+    return this.describeClaim(codeId, claimToken);
+  }
+
+  // Clear leases that ran out so their codes can be handed out again.
+  // Resolves with the reclaimed code rows.
+  async reclaimExpiredLeases() {
+    const sql = `
+      UPDATE codes SET claim_token = NULL, claimed_at = NULL, lease_expires_at = NULL
+      WHERE used = 0 AND lease_expires_at IS NOT NULL AND lease_expires_at <= ?
+      RETURNING id
+    `;
+    const { rows } = await this.query(sql, [new Date().toISOString()]);
+    const codes = await Promise.all(rows.map((row) => this.getCodeById(row.id)));
+    return codes.filter(Boolean);
+  }
+
+  async insertApiKey(apiKey) {
+    const sql = `INSERT INTO api_keys (id, name, key_hash, key_prefix, allowed_to, allowed_from) VALUES (?, ?, ?, ?, ?, ?)`;
+    await this.query(sql, [apiKey.id, apiKey.name, apiKey.keyHash, apiKey.keyPrefix, JSON.stringify(apiKey.allowedTo), JSON.stringify(apiKey.allowedFrom)]);
+  }
+
+  async getApiKeys() {
+    const sql = `SELECT id, name, key_prefix, allowed_to, allowed_from, created_at, last_used_at FROM api_keys ORDER BY created_at ASC`;
+    return (await this.query(sql)).rows.map(parseApiKeyRow);
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const sql = `SELECT id, name, key_prefix, allowed_to, allowed_from, created_at, last_used_at FROM api_keys WHERE key_hash = ?`;
+    const row = (await this.query(sql, [keyHash])).rows[0];
+    return row ? parseApiKeyRow(row) : null;
+  }
+
+  touchApiKey(keyId) {
+    const sql = `UPDATE api_keys SET last_used_at = ? WHERE id = ?`;
+    this.query(sql, [new Date().toISOString(), keyId]).catch((err) => {
+      console.error('Error updating API key usage:', err);
+    });
+  }
+
+  async deleteApiKey(keyId) {
+    const result = await this.query(`DELETE FROM api_keys WHERE id = ?`, [keyId]);
+    return result.rowCount > 0;
+  }
+
+  async insertWebhook(webhook) {
+    const sql = `INSERT INTO webhooks (id, url, secret, email_account, from_address, to_address) VALUES (?, ?, ?, ?, ?, ?)`;
+    await this.query(sql, [webhook.id, webhook.url, webhook.secret, webhook.emailAccount, webhook.fromAddress, webhook.toAddress]);
+  }
+
+  async getWebhooks() {
+    return (await this.query(`SELECT * FROM webhooks ORDER BY created_at ASC`)).rows;
+  }
+
+  async getWebhook(webhookId) {
+    return (await this.query(`SELECT * FROM webhooks WHERE id = ?`, [webhookId])).rows[0] || null;
+  }
+
+  // Webhooks whose filters accept an email; NULL filters match everything.
+  // A "to" filter matches any of the email's recipients.
+  async getMatchingWebhooks(emailAccount, fromAddress, recipients = []) {
+    const sql = `
+      SELECT * FROM webhooks
+      WHERE (email_account IS NULL OR email_account = ?)
+        AND (from_address IS NULL OR from_address = ?)
+        AND (to_address IS NULL OR lower(to_address) = ANY(?))
+    `;
+    return (await this.query(sql, [emailAccount, fromAddress, recipients])).rows;
+  }
+
+  deleteWebhook(webhookId) {
+    return this.transaction(async (client) => {
+      // Drop queued deliveries with it; the delivered/failed log is kept
+      await this.query(`DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'`, [webhookId], client);
+      const result = await this.query(`DELETE FROM webhooks WHERE id = ?`, [webhookId], client);
+      return result.rowCount > 0;
+    });
+  }
+
+  async insertWebhookDelivery(webhookId, event, payload) {
+    const sql = `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?) RETURNING id`;
+    const result = await this.query(sql, [webhookId, event, this.encrypt(payload), new Date().toISOString()]);
+    return result.rows[0].id;
+  }
+
+  // Pending deliveries whose next attempt is due, joined with their webhook
+  async getDueWebhookDeliveries(limit = 20) {
+    const sql = `
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON d.webhook_id = w.id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+      ORDER BY d.next_attempt_at ASC
+      LIMIT ?
+    `;
+    const { rows } = await this.query(sql, [new Date().toISOString(), limit]);
+    return rows.map((row) => this.decryptRow(row, ['payload']));
+  }
+
+  async updateWebhookDelivery(deliveryId, update) {
+    const sql = `
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?, delivered_at = ?
+      WHERE id = ?
+    `;
+    await this.query(sql, [update.status, update.attempts, update.nextAttemptAt, update.responseStatus, update.lastError, update.deliveredAt, deliveryId]);
+  }
+
+  async getWebhookDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    const statusFilter = status ? 'AND status = ?' : '';
+    const sql = `
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ? ${statusFilter}
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+    const { rows } = await this.query(sql, status ? [webhookId, status, limit] : [webhookId, limit]);
+    return rows.map((row) => this.decryptRow(row, ['payload']));
+  }
+
+  // One pending row per action; `message` locates it on the IMAP server
+  // ({ emailAccount, mailbox, uid, uidValidity })
+  async insertEmailActions(emailId, message, actions) {
+    const sql = `
+      INSERT INTO email_actions (email_id, email_account, mailbox, uid, uid_validity, action, target, next_attempt_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const now = new Date().toISOString();
+
+    await this.transaction(async (client) => {
+      for (const action of actions) {
+        await this.query(sql, [emailId, message.emailAccount, message.mailbox, message.uid, message.uidValidity, action.type, action.target, now], client);
+      }
+    });
+  }
+
+  // Pending actions of one mailbox, per message in the order they run
+  async getPendingEmailActions(emailAccount, mailbox) {
+    const sql = `
+      SELECT * FROM email_actions
+      WHERE email_account = ? AND mailbox = ? AND status = 'pending'
+      ORDER BY uid ASC, id ASC
+    `;
+    return (await this.query(sql, [emailAccount, mailbox])).rows;
+  }
+
+  async updateEmailAction(actionId, update) {
+    const sql = `
+      UPDATE email_actions
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, completed_at = ?
+      WHERE id = ?
+    `;
+    await this.query(sql, [update.status, update.attempts, update.nextAttemptAt, update.lastError, update.completedAt, actionId]);
+  }
+
+  async getEmailActions(emailId) {
+    return (await this.query(`SELECT * FROM email_actions WHERE email_id = ? ORDER BY id ASC`, [emailId])).rows;
+  }
+
+  async getSyncState(emailAccount, mailbox) {
+    const sql = `SELECT * FROM sync_state WHERE email_account = ? AND mailbox = ?`;
+    return (await this.query(sql, [emailAccount, mailbox])).rows[0] || null;
+  }
+
+  async saveSyncState(emailAccount, mailbox, uidValidity, lastUid) {
+    const sql = `
+      INSERT INTO sync_state (email_account, mailbox, uid_validity, last_uid, updated_at)
+      VALUES (?, ?, ?, ?, ${NOW})
+      ON CONFLICT (email_account, mailbox) DO UPDATE SET
+        uid_validity = excluded.uid_validity,
+        last_uid = excluded.last_uid,
+        updated_at = excluded.updated_at
+    `;
+    await this.query(sql, [emailAccount, mailbox, uidValidity, lastUid]);
+  }
+
+  // UIDs from an old UIDVALIDITY no longer identify messages and would
+  // collide with the new ones on UNIQUE (email_account, uid)
+  async clearEmailUids(emailAccount) {
+    const result = await this.query(`UPDATE emails SET uid = NULL WHERE email_account = ?`, [emailAccount]);
+    return result.rowCount;
+  }
+
+  async getExtractionRules() {
+    return (await this.query(`SELECT * FROM extraction_rules ORDER BY created_at ASC`)).rows;
+  }
+
+  async saveExtractionRule(ruleId, definition) {
+    const sql = `
+      INSERT INTO extraction_rules (id, definition) VALUES (?, ?)
+      ON CONFLICT (id) DO UPDATE SET definition = excluded.definition, updated_at = ${NOW}
+    `;
+    await this.query(sql, [ruleId, JSON.stringify(definition)]);
+  }
+
+  async deleteExtractionRule(ruleId) {
+    const result = await this.query(`DELETE FROM extraction_rules WHERE id = ?`, [ruleId]);
+    return result.rowCount > 0;
+  }
+
+  // Resolves with false when the address is already taken
+  async insertAlias(alias) {
+    const sql = `INSERT INTO aliases (address, template, expires_at) VALUES (?, ?, ?) ON CONFLICT (address) DO NOTHING`;
+    const result = await this.query(sql, [alias.address, alias.template, alias.expiresAt]);
+    return result.rowCount > 0;
+  }
+
+  async getAlias(address) {
+    return (await this.query(`SELECT * FROM aliases WHERE address = ?`, [address])).rows[0] || null;
+  }
+
+  // Resolves with false when the name is already taken
+  async insertTotpSecret(entry) {
+    const sql = `
+      INSERT INTO totp_secrets (id, name, type, secret, issuer, account, algorithm, digits, period, counter)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (name) DO NOTHING
+    `;
+    const params = [entry.id, entry.name, entry.type, this.cipher.encrypt(entry.secret), entry.issuer, entry.account, entry.algorithm, entry.digits, entry.period, entry.counter];
+    return (await this.query(sql, params)).rowCount > 0;
+  }
+
+  // Without the secrets
+  async getTotpSecrets() {
+    return (await this.query(`SELECT ${TOTP_COLUMNS} FROM totp_secrets ORDER BY name ASC`)).rows;
+  }
+
+  // The entry with its decrypted secret, or null
+  async getTotpSecret(name) {
+    const { rows } = await this.query(`SELECT * FROM totp_secrets WHERE name = ?`, [name]);
+    return this.decryptRow(rows[0] || null, ['secret']);
+  }
+
+  async deleteTotpSecret(name) {
+    return (await this.query(`DELETE FROM totp_secrets WHERE name = ?`, [name])).rowCount > 0;
+  }
+
+  // Take the next counter value of an HOTP entry; the row lock makes
+  // concurrent calls on any instance get different values
+  async advanceHotpCounter(name) {
+    const sql = `UPDATE totp_secrets SET counter = counter + 1 WHERE name = ? AND type = 'hotp' RETURNING counter - 1 AS counter`;
+    const { rows } = await this.query(sql, [name]);
+    return rows.length ? rows[0].counter : null;
+  }
+
+  // Rewrite the values of one column that aren't on the current key, in
+  // batches. Resolves with the number of values rewritten. The body search
+  // column is generated, so it follows body_text by itself.
+  async reencryptColumn(table, column) {
+    const prefix = this.cipher.prefix();
+    const outdated = BINARY_COLUMNS.includes(column)
+      ? `substring(${column} from 1 for ${prefix.length}) <> ?`
+      : `left(${column}, ${prefix.length}) <> ?`;
+    const prefixParam = BINARY_COLUMNS.includes(column) ? Buffer.from(prefix, 'latin1') : prefix;
+    let rewritten = 0;
+
+    for (;;) {
+      const count = await this.transaction(async (client) => {
+        const { rows } = await this.query(
+          `SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${outdated} LIMIT ? FOR UPDATE SKIP LOCKED`,
+          [prefixParam, REENCRYPT_BATCH_SIZE],
+          client
+        );
+        for (const row of rows) {
+          const value = this.cipher.encrypt(this.cipher.decrypt(row.value));
+          await this.query(`UPDATE ${table} SET ${column} = ? WHERE id = ?`, [value, row.id], client);
+        }
+        return rows.length;
+      });
+
+      if (!count) return rewritten;
+      rewritten += count;
+    }
+  }
+
+  // Resolves with the number of rows deleted per table
+  cleanupOldEmails(olderThanDays = 7) {
+    const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    const oldEmails = 'SELECT id FROM emails WHERE created_at < ?';
+
+    return this.transaction(async (client) => {
+      const deleted = { attachments: 0, links: 0, codes: 0, webhook_deliveries: 0, emails: 0, aliases: 0 };
+
+      // Aliases go when they expire rather than with the retention period
+      const aliases = await this.query(`DELETE FROM aliases WHERE expires_at <= ?`, [new Date().toISOString()], client);
+      deleted.aliases = aliases.rowCount;
+
+      // Codes, links and attachments first (foreign keys)
+      for (const table of ['attachments', 'links', 'codes']) {
+        const result = await this.query(`DELETE FROM ${table} WHERE email_id IN (${oldEmails})`, [cutoffDate], client);
+        deleted[table] = result.rowCount;
+      }
+      await this.query(`DELETE FROM email_recipients WHERE email_id IN (${oldEmails})`, [cutoffDate], client);
+      await this.query(`DELETE FROM email_actions WHERE email_id IN (${oldEmails})`, [cutoffDate], client);
+
+      // Finished webhook deliveries share the retention period
+      const deliveries = await this.query(`DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`, [cutoffDate], client);
+      deleted.webhook_deliveries = deliveries.rowCount;
+
+      const emails = await this.query(`DELETE FROM emails WHERE created_at < ?`, [cutoffDate], client);
+      deleted.emails = emails.rowCount;
+      console.log(`Cleaned up ${emails.rowCount} old emails`);
+
+      return deleted;
+    });
+  }
+}
+
+module.exports = PostgresStorage;
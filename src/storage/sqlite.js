@@ -0,0 +1,1193 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const Storage = require('./storage');
+const Migrator = require('../migrator');
+
+const { EMAIL_FIELDS, LINK_FIELDS, parseEmailRow, parseApiKeyRow, recipientsOf, trustedRecipientsOf, subAddressPattern, authColumnsOf, messageKey, receivedAtOf } = Storage;
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'sqlite');
+
+// Every email column except the raw source, which is only served by /raw
+const EMAIL_COLUMNS = 'id, email_account, subject, from_address, to_address, body_text, body_html, headers, message_id, date, received_at, uid, created_at, auth_result, auth_details';
+
+// The recipients of email `e` as a JSON array, in resolution order
+const RECIPIENTS = `(
+  SELECT json_group_array(address) FROM (
+    SELECT address FROM email_recipients r WHERE r.email_id = e.id ORDER BY position
+  )
+) AS recipients`;
+
+// Its trusted recipients, which scopes and aliases match (see recipients.js)
+const TRUSTED_RECIPIENTS = `(
+  SELECT json_group_array(address) FROM (
+    SELECT address FROM email_recipients r WHERE r.email_id = e.id AND r.trusted = 1 ORDER BY position
+  )
+) AS trusted_recipients`;
+
+// Email `e` was sent to the bound address (any of its recipients)
+const HAS_RECIPIENT = 'EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = e.id AND r.address = lower(?))';
+
+// Email `e` was sent to an alias or a sub-address of it (a trusted
+// recipient); binds the alias and its subAddressPattern
+const HAS_ALIAS_RECIPIENT = `EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = e.id AND r.trusted = 1 AND (r.address = ? OR r.address LIKE ? ESCAPE '\\'))`;
+
+// "*"/"?" glob to a LIKE pattern, escaping LIKE's own wildcards
+function globToLike(pattern) {
+  return pattern.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%').replace(/\?/g, '_');
+}
+
+// SQL condition limiting rows to an API key's address scope ({ to, from }
+// glob lists, see auth.js). `alias` is the emails table alias. The "to"
+// patterns match any of the email's trusted recipients.
+function buildScopeFilter(scope, alias = 'e') {
+  if (!scope) {
+    return { sql: '', params: [] };
+  }
+
+  const clauses = [];
+  const params = [];
+  if (scope.to && scope.to.length) {
+    const matches = scope.to.map(() => `r.address LIKE ? ESCAPE '\\'`).join(' OR ');
+    clauses.push(`EXISTS (SELECT 1 FROM email_recipients r WHERE r.email_id = ${alias}.id AND r.trusted = 1 AND (${matches}))`);
+    params.push(...scope.to.map(globToLike));
+  }
+  if (scope.from && scope.from.length) {
+    clauses.push('(' + scope.from.map(() => `${alias}.from_address LIKE ? ESCAPE '\\'`).join(' OR ') + ')');
+    params.push(...scope.from.map(globToLike));
+  }
+
+  return {
+    sql: clauses.length ? 'AND ' + clauses.join(' AND ') : '',
+    params
+  };
+}
+
+// Columns of totp_secrets except the secret itself
+const TOTP_COLUMNS = 'id, name, type, issuer, account, algorithm, digits, period, counter, created_at';
+
+// Rows re-encrypted per transaction by reencryptColumn()
+const REENCRYPT_BATCH_SIZE = 100;
+
+// sqlite callback resolving with transform(result). Errors thrown by the
+// transform, such as a value encrypted with an unknown key, reject.
+function settle(resolve, reject, transform) {
+  return (err, result) => {
+    if (err) return reject(err);
+    try {
+      resolve(transform(result));
+    } catch (error) {
+      reject(error);
+    }
+  };
+}
+
+// Columns the history endpoints can sort by, per list
+const HISTORY_SORTS = {
+  emails: { date: 'e.date', created_at: 'e.created_at' },
+  codes: { date: 'e.date', created_at: 'c.created_at' }
+};
+
+// Conditions shared by searchEmails and searchCodes. `after` is the decoded
+// pagination cursor ({ value, id }) of the last row of the previous page.
+function buildHistoryFilter(filters, sortColumn, idColumn) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.emailAccount) {
+    conditions.push('e.email_account = ?');
+    params.push(filters.emailAccount);
+  }
+  if (filters.fromAddress) {
+    conditions.push('e.from_address = ? COLLATE NOCASE');
+    params.push(filters.fromAddress);
+  }
+  if (filters.toAddress) {
+    conditions.push(HAS_RECIPIENT);
+    params.push(filters.toAddress);
+  }
+  if (filters.subject) {
+    conditions.push(`e.subject LIKE ? ESCAPE '\\'`);
+    params.push(`%${filters.subject.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (filters.since) {
+    conditions.push('e.received_at >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    conditions.push('e.received_at <= ?');
+    params.push(filters.until);
+  }
+  if (filters.query) {
+    conditions.push('e.rowid IN (SELECT rowid FROM emails_fts WHERE emails_fts MATCH ?)');
+    params.push(filters.query);
+  }
+  if (filters.used !== undefined && filters.used !== null) {
+    conditions.push('c.used = ?');
+    params.push(filters.used ? 1 : 0);
+  }
+
+  const scopeFilter = buildScopeFilter(filters.scope);
+  if (scopeFilter.sql) {
+    conditions.push(scopeFilter.sql.replace(/^AND /, ''));
+    params.push(...scopeFilter.params);
+  }
+
+  if (filters.after) {
+    const op = filters.order === 'asc' ? '>' : '<';
+    conditions.push(`(${sortColumn} ${op} ? OR (${sortColumn} = ? AND ${idColumn} ${op} ?))`);
+    params.push(filters.after.value, filters.after.value, filters.after.id);
+  }
+
+  return {
+    where: conditions.length ? 'WHERE ' + conditions.join(' AND ') : '',
+    params
+  };
+}
+
+const CODE_SELECT = `
+  SELECT c.*, e.subject, e.from_address, e.to_address, e.email_account, e.date, e.received_at, e.auth_result, e.auth_details, ${RECIPIENTS}, ${TRUSTED_RECIPIENTS}
+  FROM codes c
+  JOIN emails e ON c.email_id = e.id
+`;
+
+// Unused, not expired and not under an active lease; expired leases count
+// as available. Takes the current time as both of its parameters.
+const AVAILABLE_CODE = `c.used = FALSE AND (c.expires_at IS NULL OR c.expires_at > ?) AND (c.lease_expires_at IS NULL OR c.lease_expires_at <= ?)`;
+
+// The default backend: a single SQLite file, ./data/simple.db unless
+// options.path says otherwise
+class SqliteStorage extends Storage {
+  // options.migrate: false leaves the schema alone (the migrate CLI runs
+  // them itself)
+  constructor(options = {}) {
+    super(options);
+
+    const dbPath = options.path || './data/simple.db';
+    const dbDir = path.dirname(dbPath);
+    if (!fs.existsSync(dbDir)) {
+      fs.mkdirSync(dbDir, { recursive: true });
+    }
+    
+    // Resolves once pending schema migrations are applied (unless
+    // options.migrate is false); await before the first query. Rejects when
+    // a migration fails.
+    this.ready = new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+          console.error('Database error:', err);
+          reject(err);
+        } else {
+          console.log('Database connected');
+          // Overwrite deleted and re-encrypted content instead of leaving
+          // plaintext behind in free pages
+          if (this.cipher.enabled) {
+            this.db.run('PRAGMA secure_delete = ON');
+          }
+          resolve();
+        }
+      });
+    }).then(() => {
+      if (options.migrate !== false) {
+        return this.migrate();
+      }
+    });
+  }
+
+  get backend() {
+    return 'sqlite';
+  }
+
+  migrator() {
+    return new Migrator({
+      run: (sql, params) => this.run(sql, params),
+      all: (sql, params) => this.all(sql, params),
+      exec: (sql) => this.exec(sql),
+      columns: async (table) => (await this.all(`PRAGMA table_info(${table})`)).map((column) => column.name)
+    }, MIGRATIONS_DIR);
+  }
+
+  migrate(options) {
+    return this.migrator().migrate(options);
+  }
+
+  migrationStatus() {
+    return this.migrator().status();
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  insertEmail(email) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT OR IGNORE INTO emails (id, email_account, subject, from_address, to_address, body_text, body_html, headers, message_id, raw_source, date, received_at, uid, message_hash, auth_result, auth_details) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+      const headers = email.headers ? JSON.stringify(email.headers) : null;
+      const encrypt = (value) => this.cipher.encrypt(value);
+      
+      const storage = this;
+      this.db.run(sql, [email.id, email.emailAccount, encrypt(email.subject), email.fromAddress, email.toAddress, encrypt(email.bodyText), encrypt(email.bodyHtml), encrypt(headers), email.messageId, encrypt(email.rawSource), email.date, receivedAtOf(email), email.uid, email.messageHash || null, ...authColumnsOf(email)], function(err) {
+        if (err) return reject(err);
+        if (this.changes === 0) return resolve(false);
+
+        storage.insertRecipients(email.id, email).then(() => resolve(true), reject);
+      });
+    });
+  }
+
+  // Store the recipients of `email` under emailId, marking the trusted ones
+  insertRecipients(emailId, email) {
+    return new Promise((resolve, reject) => {
+      const recipients = recipientsOf(email);
+      const trusted = trustedRecipientsOf(email);
+      if (!recipients.length) return resolve();
+
+      const sql = `INSERT OR IGNORE INTO email_recipients (email_id, address, position, trusted) VALUES ${recipients.map(() => '(?, ?, ?, ?)').join(', ')}`;
+      const params = recipients.flatMap((address, position) => [emailId, address, position, trusted.includes(address) ? 1 : 0]);
+      this.db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // The email an earlier attempt at the same message stored without
+  // finishing it (see markEmailProcessed), with how many codes, links and
+  // actions that attempt saved; null when there is none. Its recipients
+  // are written again, as they aren't stored together with the email row.
+  resumeEmail(email) {
+    return new Promise((resolve, reject) => {
+      const key = messageKey(email);
+      if (!key) return resolve(null);
+
+      const sql = `
+        SELECT e.id,
+          (SELECT COUNT(*) FROM codes WHERE email_id = e.id) AS codes,
+          (SELECT COUNT(*) FROM links WHERE email_id = e.id) AS links,
+          (SELECT COUNT(*) FROM email_actions WHERE email_id = e.id) AS actions
+        FROM emails e
+        WHERE e.email_account = ? AND e.${key.column} = ? AND e.processed_at IS NULL
+      `;
+
+      this.db.get(sql, [email.emailAccount, key.value], (err, row) => {
+        if (err) return reject(err);
+        if (!row) return resolve(null);
+        this.insertRecipients(row.id, email).then(() => resolve(row), reject);
+      });
+    });
+  }
+
+  markEmailProcessed(emailId) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`UPDATE emails SET processed_at = CURRENT_TIMESTAMP WHERE id = ?`, [emailId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // expiresAt: ISO timestamp after which the code is no longer handed out;
+  // options.flagged marks a code from an unauthenticated sender
+  insertCode(emailId, code, expiresAt = null, options = {}) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO codes (email_id, code, expires_at, flagged) VALUES (?, ?, ?, ?)`;
+      
+      this.db.run(sql, [emailId, this.cipher.encrypt(code), expiresAt, options.flagged ? 1 : 0], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  // options.flagged marks a link from an unauthenticated sender
+  insertLink(emailId, url, text, options = {}) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO links (email_id, url, text, flagged) VALUES (?, ?, ?, ?)`;
+      
+      this.db.run(sql, [emailId, this.cipher.encrypt(url), this.cipher.encrypt(text), options.flagged ? 1 : 0], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  insertAttachment(attachment) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO attachments (id, email_id, filename, content_type, size, checksum, content) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+      
+      this.db.run(sql, [attachment.id, attachment.emailId, attachment.filename, attachment.contentType, attachment.size, attachment.checksum, this.cipher.encrypt(attachment.content)], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Attachment metadata for an email, without the content
+  getAttachmentsByEmailId(emailId) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT id, email_id, filename, content_type, size, checksum, created_at FROM attachments WHERE email_id = ? ORDER BY created_at ASC, rowid ASC`;
+      
+      this.db.all(sql, [emailId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  getAttachment(attachmentId, scope = null) {
+    return new Promise((resolve, reject) => {
+      const scopeFilter = buildScopeFilter(scope);
+      const sql = `
+        SELECT a.* FROM attachments a 
+        JOIN emails e ON a.email_id = e.id 
+        WHERE a.id = ? ${scopeFilter.sql}
+      `;
+      
+      this.db.get(sql, [attachmentId, ...scopeFilter.params], settle(resolve, reject, (row) =>
+        row ? this.decryptRow(row, ['content']) : null
+      ));
+    });
+  }
+
+  getLastEmail(emailAccount, scope = null) {
+    return new Promise((resolve, reject) => {
+      const scopeFilter = buildScopeFilter(scope);
+      const sql = `SELECT ${EMAIL_COLUMNS}, ${RECIPIENTS} FROM emails e WHERE email_account = ? ${scopeFilter.sql} ORDER BY created_at DESC LIMIT 1`;
+      
+      this.db.get(sql, [emailAccount, ...scopeFilter.params], settle(resolve, reject, (row) =>
+        parseEmailRow(this.decryptRow(row, EMAIL_FIELDS))
+      ));
+    });
+  }
+
+  getEmailById(emailId, scope = null) {
+    return new Promise((resolve, reject) => {
+      const scopeFilter = buildScopeFilter(scope);
+      const sql = `SELECT ${EMAIL_COLUMNS}, ${RECIPIENTS} FROM emails e WHERE id = ? ${scopeFilter.sql}`;
+      
+      this.db.get(sql, [emailId, ...scopeFilter.params], settle(resolve, reject, (row) =>
+        parseEmailRow(this.decryptRow(row, EMAIL_FIELDS)) || null
+      ));
+    });
+  }
+
+  // Raw RFC822 source as a Buffer; null when the email or its source is missing
+  getEmailRawSource(emailId, scope = null) {
+    return new Promise((resolve, reject) => {
+      const scopeFilter = buildScopeFilter(scope);
+      const sql = `SELECT raw_source FROM emails e WHERE id = ? ${scopeFilter.sql}`;
+      
+      this.db.get(sql, [emailId, ...scopeFilter.params], settle(resolve, reject, (row) =>
+        row && row.raw_source ? this.cipher.decrypt(row.raw_source) : null
+      ));
+    });
+  }
+
+  // Mark the newest unused link matching `conditions` as used and return
+  // it with the listed email columns. The link is picked and updated in a
+  // single statement, so two concurrent requests never get the same link.
+  // options.authenticated skips links from emails whose sender didn't
+  // authenticate.
+  takeLastLink(conditions, params, emailColumns, options = {}) {
+    return new Promise((resolve, reject) => {
+      const authenticated = options.authenticated ? `AND e.auth_result = 'pass'` : '';
+      const sql = `
+        UPDATE links SET used = TRUE
+        WHERE id = (
+          SELECT l.id FROM links l
+          JOIN emails e ON l.email_id = e.id
+          WHERE l.used = FALSE AND ${conditions} ${authenticated}
+          ORDER BY l.created_at DESC, l.id DESC
+          LIMIT 1
+        )
+        RETURNING id
+      `;
+
+      this.db.get(sql, params, (err, taken) => {
+        if (err) return reject(err);
+        if (!taken) return resolve(null);
+
+        const select = `
+          SELECT l.id, l.email_id, l.url, l.text, 0 AS used, l.flagged, l.created_at, ${emailColumns.map((column) => `e.${column}`).join(', ')}
+          FROM links l
+          JOIN emails e ON l.email_id = e.id
+          WHERE l.id = ?
+        `;
+        this.db.get(select, [taken.id], settle(resolve, reject, (link) => this.decryptRow(link, LINK_FIELDS)));
+      });
+    });
+  }
+
+  getLastLink(emailAccount, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `e.email_account = ? ${scopeFilter.sql}`,
+      [emailAccount, ...scopeFilter.params],
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  getLastLinkByFromAddress(emailAccount, fromAddress, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `e.email_account = ? AND e.from_address = ? ${scopeFilter.sql}`,
+      [emailAccount, fromAddress, ...scopeFilter.params],
+      ['subject', 'from_address'],
+      options
+    );
+  }
+
+  getLastLinkByToAddress(toAddress, scope = null, options = {}) {
+    const scopeFilter = buildScopeFilter(scope);
+    return this.takeLastLink(
+      `${HAS_RECIPIENT} ${scopeFilter.sql}`,
+      [toAddress, ...scopeFilter.params],
+      ['subject', 'from_address', 'to_address'],
+      options
+    );
+  }
+
+  // History listing for GET /api/emails. Bodies are included, HTML and
+  // headers are not. Resolves with { rows, hasMore }.
+  searchEmails(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const sort = HISTORY_SORTS.emails[filters.sort] || HISTORY_SORTS.emails.date;
+      const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+      const limit = filters.limit || 50;
+      const { where, params } = buildHistoryFilter(filters, sort, 'e.id');
+
+      const sql = `
+        SELECT e.id, e.email_account, e.subject, e.from_address, e.to_address, e.body_text, e.message_id, e.date, e.received_at, e.uid, e.created_at, e.auth_result, e.auth_details, ${RECIPIENTS}
+        FROM emails e
+        ${where}
+        ORDER BY ${sort} ${order}, e.id ${order}
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [...params, limit + 1], settle(resolve, reject, (rows) => ({
+        rows: rows.slice(0, limit).map((row) => parseEmailRow(this.decryptRow(row, EMAIL_FIELDS))),
+        hasMore: rows.length > limit
+      })));
+    });
+  }
+
+  // History listing for GET /api/codes; never marks codes as used
+  searchCodes(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const sort = HISTORY_SORTS.codes[filters.sort] || HISTORY_SORTS.codes.date;
+      const order = filters.order === 'asc' ? 'ASC' : 'DESC';
+      const limit = filters.limit || 50;
+      const { where, params } = buildHistoryFilter(filters, sort, 'c.id');
+
+      const sql = `
+        ${CODE_SELECT}
+        ${where}
+        ORDER BY ${sort} ${order}, c.id ${order}
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [...params, limit + 1], settle(resolve, reject, (rows) => ({
+        rows: rows.slice(0, limit).map((row) => this.codeRow(row)),
+        hasMore: rows.length > limit
+      })));
+    });
+  }
+
+  // Atomically hand out the newest available code matching the filters.
+  // Without a lease the code is used up at once; with one it stays reserved
+  // for leaseSeconds under the returned claim_token until it is confirmed,
+  // released, or the lease runs out. Expired codes are never handed out;
+  // `since` (ISO timestamp) skips codes from emails received before it;
+  // `alias` matches the alias and its plus sub-addresses; `authenticated`
+  // skips codes from emails whose sender didn't authenticate (auth_result
+  // other than 'pass'). Resolves with the code row or null.
+  claimLastCode({ emailAccount, fromAddress, toAddress, alias, since, authenticated, scope } = {}, options = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (emailAccount) {
+      conditions.push('e.email_account = ?');
+      params.push(emailAccount);
+    }
+    if (fromAddress) {
+      conditions.push('e.from_address = ?');
+      params.push(fromAddress);
+    }
+    if (toAddress) {
+      conditions.push(HAS_RECIPIENT);
+      params.push(toAddress);
+    }
+    if (alias) {
+      conditions.push(HAS_ALIAS_RECIPIENT);
+      params.push(alias, subAddressPattern(alias));
+    }
+    if (since) {
+      conditions.push('e.received_at >= ?');
+      params.push(since);
+    }
+    if (authenticated) {
+      conditions.push(`e.auth_result = 'pass'`);
+    }
+
+    const scopeFilter = buildScopeFilter(scope);
+    if (scopeFilter.sql) {
+      conditions.push(scopeFilter.sql.replace(/^AND /, ''));
+      params.push(...scopeFilter.params);
+    }
+
+    return this.claim(conditions, params, options.leaseSeconds);
+  }
+
+  // Claim one specific code if it is still available
+  claimCode(codeId, options = {}) {
+    return this.claim(['c.id = ?'], [codeId], options.leaseSeconds);
+  }
+
+  // The candidate is picked and updated in a single statement, so two
+  // concurrent claims can never both win the same code
+  claim(conditions, params, leaseSeconds = 0) {
+    return new Promise((resolve, reject) => {
+      const claimToken = uuidv4();
+      const now = new Date().toISOString();
+      const leaseExpiresAt = leaseSeconds > 0 ? new Date(Date.now() + leaseSeconds * 1000).toISOString() : null;
+      const where = [AVAILABLE_CODE, ...conditions].join(' AND ');
+
+      const sql = `
+        UPDATE codes SET used = ?, claim_token = ?, claimed_at = ?, lease_expires_at = ?
+        WHERE id = (
+          SELECT c.id FROM codes c
+          JOIN emails e ON c.email_id = e.id
+          WHERE ${where}
+          ORDER BY c.created_at DESC, c.id DESC
+          LIMIT 1
+        )
+      `;
+      const database = this;
+
+      this.db.run(sql, [leaseExpiresAt ? 0 : 1, claimToken, now, leaseExpiresAt, now, now, ...params], function(err) {
+        if (err) return reject(err);
+        if (this.changes !== 1) return resolve(null);
+
+        database.db.get(`${CODE_SELECT} WHERE c.claim_token = ?`, [claimToken], settle(resolve, reject, (row) =>
+          database.codeRow(row, { claimToken: true })
+        ));
+      });
+    });
+  }
+
+  // options.claimToken includes the current claim token (see codeRow)
+  getCodeById(codeId, scope = null, options = {}) {
+    return new Promise((resolve, reject) => {
+      const scopeFilter = buildScopeFilter(scope);
+      const sql = `${CODE_SELECT} WHERE c.id = ? ${scopeFilter.sql}`;
+
+      this.db.get(sql, [codeId, ...scopeFilter.params], settle(resolve, reject, (row) => this.codeRow(row, options)));
+    });
+  }
+
+  // Finalize a leased claim. Resolves with 'confirmed', or with why it
+  // failed: 'not_found', 'not_claimed', 'token_mismatch' or 'expired'.
+  // Confirming the same claim twice succeeds both times.
+  confirmCode(codeId, claimToken) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE codes SET used = TRUE, lease_expires_at = NULL
+        WHERE id = ? AND claim_token = ? AND used = FALSE AND lease_expires_at > ?
+      `;
+
+      this.db.run(sql, [codeId, claimToken, new Date().toISOString()], (err) => {
+        if (err) return reject(err);
+        this.describeClaim(codeId, claimToken).then(
+          (state) => resolve(state === 'leased' ? 'expired' : state),
+          reject
+        );
+      });
+    });
+  }
+
+  // Return a leased code to the pool. Resolves with 'released' or the
+  // reason it failed, as confirmCode does. Without a claim token (internal
+  // use) any claim is undone, including one that already used the code up.
+  releaseCode(codeId, claimToken = null) {
+    return new Promise((resolve, reject) => {
+      const tokenFilter = claimToken ? 'AND claim_token = ? AND used = FALSE' : '';
+      const sql = `
+        UPDATE codes SET used = FALSE, claim_token = NULL, claimed_at = NULL, lease_expires_at = NULL
+        WHERE id = ? ${tokenFilter}
+      `;
+      const params = claimToken ? [codeId, claimToken] : [codeId];
+      const database = this;
+
+      this.db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        if (!claimToken || this.changes === 1) return resolve('released');
+        // Nothing changed; work out why
+        database.describeClaim(codeId, claimToken).then(resolve, reject);
+      });
+    });
+  }
+
+  // Clear leases that ran out so their codes can be handed out again.
+  // Resolves with the reclaimed code rows.
+  reclaimExpiredLeases() {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE codes SET claim_token = NULL, claimed_at = NULL, lease_expires_at = NULL
+        WHERE used = FALSE AND lease_expires_at IS NOT NULL AND lease_expires_at <= ?
+        RETURNING id
+      `;
+
+      this.db.all(sql, [new Date().toISOString()], (err, rows) => {
+        if (err) return reject(err);
+        Promise.all(rows.map((row) => this.getCodeById(row.id))).then(
+          (codes) => resolve(codes.filter(Boolean)),
+          reject
+        );
+      });
+    });
+  }
+
+  insertApiKey(apiKey) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO api_keys (id, name, key_hash, key_prefix, allowed_to, allowed_from) VALUES (?, ?, ?, ?, ?, ?)`;
+
+      this.db.run(sql, [apiKey.id, apiKey.name, apiKey.keyHash, apiKey.keyPrefix, JSON.stringify(apiKey.allowedTo), JSON.stringify(apiKey.allowedFrom)], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  getApiKeys() {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT id, name, key_prefix, allowed_to, allowed_from, created_at, last_used_at FROM api_keys ORDER BY created_at ASC`;
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(parseApiKeyRow));
+      });
+    });
+  }
+
+  getApiKeyByHash(keyHash) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT id, name, key_prefix, allowed_to, allowed_from, created_at, last_used_at FROM api_keys WHERE key_hash = ?`;
+
+      this.db.get(sql, [keyHash], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? parseApiKeyRow(row) : null);
+      });
+    });
+  }
+
+  touchApiKey(keyId) {
+    const sql = `UPDATE api_keys SET last_used_at = ? WHERE id = ?`;
+    this.db.run(sql, [new Date().toISOString(), keyId], (err) => {
+      if (err) {
+        console.error('Error updating API key usage:', err);
+      }
+    });
+  }
+
+  deleteApiKey(keyId) {
+    return new Promise((resolve, reject) => {
+      const sql = `DELETE FROM api_keys WHERE id = ?`;
+
+      this.db.run(sql, [keyId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  insertWebhook(webhook) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO webhooks (id, url, secret, email_account, from_address, to_address) VALUES (?, ?, ?, ?, ?, ?)`;
+
+      this.db.run(sql, [webhook.id, webhook.url, webhook.secret, webhook.emailAccount, webhook.fromAddress, webhook.toAddress], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  getWebhooks() {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM webhooks ORDER BY created_at ASC`;
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  getWebhook(webhookId) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM webhooks WHERE id = ?`;
+
+      this.db.get(sql, [webhookId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  // Webhooks whose filters accept an email; NULL filters match everything.
+  // A "to" filter matches any of the email's recipients.
+  getMatchingWebhooks(emailAccount, fromAddress, recipients = []) {
+    return new Promise((resolve, reject) => {
+      const toFilter = recipients.length ? `OR lower(to_address) IN (${recipients.map(() => '?').join(', ')})` : '';
+      const sql = `
+        SELECT * FROM webhooks
+        WHERE (email_account IS NULL OR email_account = ?)
+          AND (from_address IS NULL OR from_address = ?)
+          AND (to_address IS NULL ${toFilter})
+      `;
+
+      this.db.all(sql, [emailAccount, fromAddress, ...recipients], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  deleteWebhook(webhookId) {
+    return new Promise((resolve, reject) => {
+      // Drop queued deliveries with it; the delivered/failed log is kept
+      const deleteQueuedSQL = `DELETE FROM webhook_deliveries WHERE webhook_id = ? AND status = 'pending'`;
+
+      this.db.run(deleteQueuedSQL, [webhookId], (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        this.db.run(`DELETE FROM webhooks WHERE id = ?`, [webhookId], function(err) {
+          if (err) reject(err);
+          else resolve(this.changes > 0);
+        });
+      });
+    });
+  }
+
+  insertWebhookDelivery(webhookId, event, payload) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) VALUES (?, ?, ?, ?)`;
+
+      this.db.run(sql, [webhookId, event, this.cipher.encrypt(payload), new Date().toISOString()], function(err) {
+        if (err) reject(err);
+        else resolve(this.lastID);
+      });
+    });
+  }
+
+  // Pending deliveries whose next attempt is due, joined with their webhook
+  getDueWebhookDeliveries(limit = 20) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT d.*, w.url, w.secret
+        FROM webhook_deliveries d
+        JOIN webhooks w ON d.webhook_id = w.id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ?
+        ORDER BY d.next_attempt_at ASC
+        LIMIT ?
+      `;
+
+      this.db.all(sql, [new Date().toISOString(), limit], settle(resolve, reject, (rows) =>
+        rows.map((row) => this.decryptRow(row, ['payload']))
+      ));
+    });
+  }
+
+  updateWebhookDelivery(deliveryId, update) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE webhook_deliveries
+        SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, last_error = ?, delivered_at = ?
+        WHERE id = ?
+      `;
+
+      this.db.run(sql, [update.status, update.attempts, update.nextAttemptAt, update.responseStatus, update.lastError, update.deliveredAt, deliveryId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  getWebhookDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    return new Promise((resolve, reject) => {
+      const statusFilter = status ? 'AND status = ?' : '';
+      const sql = `
+        SELECT * FROM webhook_deliveries
+        WHERE webhook_id = ? ${statusFilter}
+        ORDER BY id DESC
+        LIMIT ?
+      `;
+      const params = status ? [webhookId, status, limit] : [webhookId, limit];
+
+      this.db.all(sql, params, settle(resolve, reject, (rows) =>
+        rows.map((row) => this.decryptRow(row, ['payload']))
+      ));
+    });
+  }
+
+  // One pending row per action; `message` locates it on the IMAP server
+  // ({ emailAccount, mailbox, uid, uidValidity })
+  insertEmailActions(emailId, message, actions) {
+    return new Promise((resolve, reject) => {
+      if (!actions.length) return resolve();
+
+      const sql = `
+        INSERT INTO email_actions (email_id, email_account, mailbox, uid, uid_validity, action, target, next_attempt_at)
+        VALUES ${actions.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      `;
+      const now = new Date().toISOString();
+      const params = actions.flatMap((action) => [emailId, message.emailAccount, message.mailbox, message.uid, message.uidValidity, action.type, action.target, now]);
+
+      this.db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Pending actions of one mailbox, per message in the order they run
+  getPendingEmailActions(emailAccount, mailbox) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT * FROM email_actions
+        WHERE email_account = ? AND mailbox = ? AND status = 'pending'
+        ORDER BY uid ASC, id ASC
+      `;
+
+      this.db.all(sql, [emailAccount, mailbox], settle(resolve, reject, (rows) => rows));
+    });
+  }
+
+  updateEmailAction(actionId, update) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        UPDATE email_actions
+        SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?, completed_at = ?
+        WHERE id = ?
+      `;
+
+      this.db.run(sql, [update.status, update.attempts, update.nextAttemptAt, update.lastError, update.completedAt, actionId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  getEmailActions(emailId) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM email_actions WHERE email_id = ? ORDER BY id ASC`;
+
+      this.db.all(sql, [emailId], settle(resolve, reject, (rows) => rows));
+    });
+  }
+
+  getSyncState(emailAccount, mailbox) {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM sync_state WHERE email_account = ? AND mailbox = ?`;
+
+      this.db.get(sql, [emailAccount, mailbox], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  saveSyncState(emailAccount, mailbox, uidValidity, lastUid) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO sync_state (email_account, mailbox, uid_validity, last_uid, updated_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(email_account, mailbox) DO UPDATE SET
+          uid_validity = excluded.uid_validity,
+          last_uid = excluded.last_uid,
+          updated_at = excluded.updated_at
+      `;
+
+      this.db.run(sql, [emailAccount, mailbox, uidValidity, lastUid], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // UIDs from an old UIDVALIDITY no longer identify messages and would
+  // collide with the new ones on UNIQUE(email_account, uid)
+  clearEmailUids(emailAccount) {
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE emails SET uid = NULL WHERE email_account = ?`;
+
+      this.db.run(sql, [emailAccount], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+  }
+
+  getExtractionRules() {
+    return new Promise((resolve, reject) => {
+      const sql = `SELECT * FROM extraction_rules ORDER BY created_at ASC`;
+
+      this.db.all(sql, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  saveExtractionRule(ruleId, definition) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO extraction_rules (id, definition) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET definition = excluded.definition, updated_at = CURRENT_TIMESTAMP
+      `;
+
+      this.db.run(sql, [ruleId, JSON.stringify(definition)], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  deleteExtractionRule(ruleId) {
+    return new Promise((resolve, reject) => {
+      const sql = `DELETE FROM extraction_rules WHERE id = ?`;
+
+      this.db.run(sql, [ruleId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Resolves with false when the address is already taken
+  insertAlias(alias) {
+    return new Promise((resolve, reject) => {
+      const sql = `INSERT OR IGNORE INTO aliases (address, template, expires_at) VALUES (?, ?, ?)`;
+
+      this.db.run(sql, [alias.address, alias.template, alias.expiresAt], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  getAlias(address) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM aliases WHERE address = ?`, [address], (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      });
+    });
+  }
+
+  // Resolves with false when the name is already taken
+  insertTotpSecret(entry) {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT OR IGNORE INTO totp_secrets (id, name, type, secret, issuer, account, algorithm, digits, period, counter)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+      const params = [entry.id, entry.name, entry.type, this.cipher.encrypt(entry.secret), entry.issuer, entry.account, entry.algorithm, entry.digits, entry.period, entry.counter];
+
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Without the secrets
+  getTotpSecrets() {
+    return this.all(`SELECT ${TOTP_COLUMNS} FROM totp_secrets ORDER BY name ASC`);
+  }
+
+  // The entry with its decrypted secret, or null
+  getTotpSecret(name) {
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT * FROM totp_secrets WHERE name = ?`, [name], settle(resolve, reject, (row) => this.decryptRow(row || null, ['secret'])));
+    });
+  }
+
+  deleteTotpSecret(name) {
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM totp_secrets WHERE name = ?`, [name], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes > 0);
+      });
+    });
+  }
+
+  // Take the next counter value of an HOTP entry; resolves with the value
+  // to generate the code from, or null when there is no such entry
+  advanceHotpCounter(name) {
+    return new Promise((resolve, reject) => {
+      const sql = `UPDATE totp_secrets SET counter = counter + 1 WHERE name = ? AND type = 'hotp' RETURNING counter - 1 AS counter`;
+
+      this.db.get(sql, [name], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? row.counter : null);
+      });
+    });
+  }
+
+  // Rewrite the values of one column that aren't on the current key, in
+  // batches; every rewritten row drops out of the selection. Resolves with
+  // the number of values rewritten.
+  async reencryptColumn(table, column) {
+    const prefix = Buffer.from(this.cipher.prefix(), 'latin1');
+    const outdated = `hex(substr(${column}, 1, ${prefix.length})) != '${prefix.toString('hex').toUpperCase()}'`;
+    let rewritten = 0;
+
+    for (;;) {
+      const rows = await this.all(
+        `SELECT rowid AS row_id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL AND ${outdated} LIMIT ?`,
+        [REENCRYPT_BATCH_SIZE]
+      );
+      if (!rows.length) return rewritten;
+
+      await this.run('BEGIN');
+      try {
+        for (const row of rows) {
+          const value = this.cipher.encrypt(this.cipher.decrypt(row.value));
+          await this.run(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, [value, row.row_id]);
+        }
+        await this.run('COMMIT');
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+      rewritten += rows.length;
+    }
+  }
+
+  rebuildSearchIndex() {
+    return this.run(`INSERT INTO emails_fts(emails_fts) VALUES ('rebuild')`);
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Resolves with the number of rows deleted per table
+  cleanupOldEmails(olderThanDays = 7) {
+    return new Promise((resolve, reject) => {
+      const cutoffDate = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+      const deleted = { attachments: 0, links: 0, codes: 0, webhook_deliveries: 0, emails: 0, aliases: 0 };
+
+      // Delete old codes, links and attachments first (foreign key constraint)
+      const deleteAttachmentsSQL = `
+        DELETE FROM attachments 
+        WHERE email_id IN (
+          SELECT id FROM emails WHERE created_at < ?
+        )
+      `;
+      this.db.run(deleteAttachmentsSQL, [cutoffDate], function(err) {
+        if (err) console.error('Error cleaning up attachments:', err);
+        else deleted.attachments = this.changes;
+      });
+
+      const deleteRecipientsSQL = `DELETE FROM email_recipients WHERE email_id IN (SELECT id FROM emails WHERE created_at < ?)`;
+      this.db.run(deleteRecipientsSQL, [cutoffDate], (err) => {
+        if (err) console.error('Error cleaning up email recipients:', err);
+      });
+
+      const deleteActionsSQL = `DELETE FROM email_actions WHERE email_id IN (SELECT id FROM emails WHERE created_at < ?)`;
+      this.db.run(deleteActionsSQL, [cutoffDate], (err) => {
+        if (err) console.error('Error cleaning up email actions:', err);
+      });
+
+      const deleteLinksSQL = `
+        DELETE FROM links 
+        WHERE email_id IN (
+          SELECT id FROM emails WHERE created_at < ?
+        )
+      `;
+      this.db.run(deleteLinksSQL, [cutoffDate], function(err) {
+        if (err) console.error('Error cleaning up links:', err);
+        else deleted.links = this.changes;
+      });
+
+      const deleteCodesSQL = `
+        DELETE FROM codes 
+        WHERE email_id IN (
+          SELECT id FROM emails WHERE created_at < ?
+        )
+      `;
+      
+      const db = this.db;
+      db.run(deleteCodesSQL, [cutoffDate], function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        deleted.codes = this.changes;
+
+        // Finished webhook deliveries share the retention period
+        const deleteDeliveriesSQL = `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?`;
+        db.run(deleteDeliveriesSQL, [cutoffDate], function(err) {
+          if (err) console.error('Error cleaning up webhook deliveries:', err);
+          else deleted.webhook_deliveries = this.changes;
+        });
+        
+        // Then delete old emails
+        const deleteEmailsSQL = `DELETE FROM emails WHERE created_at < ?`;
+        
+        db.run(deleteEmailsSQL, [cutoffDate], function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          deleted.emails = this.changes;
+          console.log(`Cleaned up ${this.changes} old emails`);
+
+          // Aliases go when they expire rather than with the retention
+          // period; counted before resolving
+          db.run(`DELETE FROM aliases WHERE expires_at <= ?`, [new Date().toISOString()], function(err) {
+            if (err) console.error('Error cleaning up aliases:', err);
+            else deleted.aliases = this.changes;
+            resolve(deleted);
+          });
+        });
+      });
+    });
+  }
+}
+
+module.exports = SqliteStorage;
\ No newline at end of file
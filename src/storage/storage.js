@@ -0,0 +1,244 @@
+const FieldCipher = require('../encryption');
+
+// Columns stored encrypted when encryption at rest is enabled (see
+// encryption.js). Addresses, dates and ids stay plaintext so the filters
+// and the API key scope keep working in queries.
+const ENCRYPTED_COLUMNS = {
+  emails: ['subject', 'body_text', 'body_html', 'headers', 'raw_source'],
+  codes: ['code'],
+  links: ['url', 'text'],
+  attachments: ['content'],
+  webhook_deliveries: ['payload'],
+  totp_secrets: ['secret']
+};
+
+// Encrypted fields of the rows each kind of read returns
+const EMAIL_FIELDS = ['subject', 'body_text', 'body_html', 'headers'];
+const CODE_FIELDS = ['code', 'subject'];
+const LINK_FIELDS = ['url', 'text', 'subject'];
+
+// Everything the service stores goes through these methods. Rows use the
+// column names of the original SQLite schema (snake_case, `used` as 0/1,
+// created_at as "YYYY-MM-DD HH:MM:SS" UTC) whatever the backend. Email and
+// code rows carry the email's `recipients`; recipient lookups match any of
+// them, API key scopes and aliases only its trusted ones, which code rows
+// also carry as `trusted_recipients` (see recipients.js). They also carry its sender authenticity
+// verdict as `auth_result` and `auth_details`; code rows add `flagged`.
+// Emails are inserted with `auth` set to the verdict of senderAuth.js.
+const INTERFACE = [
+  // Emails and their parts
+  'insertEmail', 'resumeEmail', 'markEmailProcessed', 'getLastEmail', 'getEmailById', 'getEmailRawSource', 'searchEmails',
+  'insertAttachment', 'getAttachmentsByEmailId', 'getAttachment',
+  // Codes
+  'insertCode', 'searchCodes', 'claimLastCode', 'claimCode', 'getCodeById',
+  'confirmCode', 'releaseCode', 'reclaimExpiredLeases',
+  // Links
+  'insertLink', 'getLastLink', 'getLastLinkByFromAddress', 'getLastLinkByToAddress',
+  // API keys
+  'insertApiKey', 'getApiKeys', 'getApiKeyByHash', 'touchApiKey', 'deleteApiKey',
+  // Webhooks and their delivery queue
+  'insertWebhook', 'getWebhooks', 'getWebhook', 'getMatchingWebhooks', 'deleteWebhook',
+  'insertWebhookDelivery', 'getDueWebhookDeliveries', 'updateWebhookDelivery', 'getWebhookDeliveries',
+  // Post-processing actions on IMAP messages and their retry queue
+  'insertEmailActions', 'getPendingEmailActions', 'updateEmailAction', 'getEmailActions',
+  // IMAP sync state
+  'getSyncState', 'saveSyncState', 'clearEmailUids',
+  // Extraction rules managed through /api/rules
+  'getExtractionRules', 'saveExtractionRule', 'deleteExtractionRule',
+  // Disposable aliases
+  'insertAlias', 'getAlias',
+  // Authenticator secrets (TOTP/HOTP)
+  'insertTotpSecret', 'getTotpSecrets', 'getTotpSecret', 'deleteTotpSecret', 'advanceHotpCounter',
+  // Maintenance
+  'cleanupOldEmails', 'reencryptColumn', 'migrate', 'migrationStatus', 'close'
+];
+
+// Seconds since the code's email was received, added to every code row
+// returned. The sender's Date header isn't used, so a sender can't make a
+// code look fresher or older than it is.
+function withCodeAge(row) {
+  if (!row) return null;
+  const receivedAt = Date.parse(row.received_at);
+  return {
+    ...row,
+    age_seconds: Number.isNaN(receivedAt) ? null : Math.max(0, Math.floor((Date.now() - receivedAt) / 1000))
+  };
+}
+
+// Recipients are selected as JSON arrays (SQLite returns them as text)
+function parseRecipients(row) {
+  if (row && typeof row.recipients === 'string') {
+    row.recipients = JSON.parse(row.recipients);
+  }
+  if (row && typeof row.trusted_recipients === 'string') {
+    row.trusted_recipients = JSON.parse(row.trusted_recipients);
+  }
+  return row;
+}
+
+// Sender authenticity verdict (senderAuth.js) is stored as JSON
+function parseAuthDetails(row) {
+  if (row && typeof row.auth_details === 'string') {
+    row.auth_details = JSON.parse(row.auth_details);
+  }
+  return row;
+}
+
+function parseEmailRow(row) {
+  if (row && typeof row.headers === 'string') {
+    row.headers = JSON.parse(row.headers);
+  }
+  return parseAuthDetails(parseRecipients(row));
+}
+
+// Addresses to store for a new email: its resolved recipients (see
+// recipients.js), or just its to_address, lowercased and deduplicated
+function recipientsOf(email) {
+  const addresses = email.recipients || (email.toAddress ? [email.toAddress] : []);
+  return [...new Set(addresses.map((address) => address.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Which of recipientsOf(email) are trusted: all of them unless the email
+// says which (MailSource.processEmail leaves out forwarded content)
+function trustedRecipientsOf(email) {
+  return email.trustedRecipients ? recipientsOf({ recipients: email.trustedRecipients }) : recipientsOf(email);
+}
+
+function parseApiKeyRow(row) {
+  return {
+    ...row,
+    allowed_to: JSON.parse(row.allowed_to),
+    allowed_from: JSON.parse(row.allowed_from)
+  };
+}
+
+// LIKE pattern for sub-addresses of an alias: mail for "qa+x@example.com"
+// may arrive as "qa+x+anything@example.com"
+function subAddressPattern(address) {
+  const at = address.lastIndexOf('@');
+  const escape = (value) => value.replace(/[\\%_]/g, '\\$&');
+  return `${escape(address.slice(0, at))}+%@${escape(address.slice(at + 1))}`;
+}
+
+// auth_result and auth_details columns of a new email
+function authColumnsOf(email) {
+  return email.auth
+    ? [email.auth.result, JSON.stringify(email.auth)]
+    : [null, null];
+}
+
+// Column identifying a new email's message at its source: the IMAP UID, or
+// for sources without one the hash of the message (mailSource.js). Null
+// when it has neither.
+function messageKey(email) {
+  if (email.uid !== null && email.uid !== undefined) return { column: 'uid', value: email.uid };
+  if (email.messageHash) return { column: 'message_hash', value: email.messageHash };
+  return null;
+}
+
+// received_at of a new email: when the source says it was received
+// (MailSource.processEmail), otherwise now
+function receivedAtOf(email) {
+  return email.receivedAt || new Date().toISOString();
+}
+
+// "YYYY-MM-DD HH:MM:SS" in UTC, the format of SQLite's CURRENT_TIMESTAMP
+function sqlTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Base class of the storage backends (sqlite.js, memory.js, postgres.js).
+// It owns what every backend shares: field encryption and the row helpers.
+// Backends implement the methods in INTERFACE and resolve `ready` once
+// they can take queries; see createStorage in index.js.
+class Storage {
+  // options.cipher: FieldCipher for encryption at rest (config.loadCipher);
+  // without one everything is stored as plaintext
+  constructor(options = {}) {
+    this.cipher = options.cipher || new FieldCipher();
+    this.ready = Promise.resolve();
+  }
+
+  encrypt(value) {
+    return this.cipher.encrypt(value);
+  }
+
+  // Decrypt the named fields of a result row in place
+  decryptRow(row, fields) {
+    if (!row) return row;
+    for (const field of fields) {
+      if (row[field] !== undefined) {
+        row[field] = this.cipher.decrypt(row[field]);
+      }
+    }
+    return row;
+  }
+
+  // Decrypted code row with its age. The claim token is left out unless
+  // options.claimToken is set: only the claim that created it gets it, so
+  // nobody else can confirm or release that lease.
+  codeRow(row, options = {}) {
+    if (row && !options.claimToken) delete row.claim_token;
+    return withCodeAge(parseAuthDetails(parseRecipients(this.decryptRow(row, CODE_FIELDS))));
+  }
+
+  // Why a claim can't be confirmed or released: 'not_found',
+  // 'not_claimed', 'token_mismatch', 'confirmed', 'leased' or 'expired'
+  async describeClaim(codeId, claimToken) {
+    const row = await this.getCodeById(codeId, null, { claimToken: true });
+    if (!row) return 'not_found';
+    if (!row.claim_token) return 'not_claimed';
+    if (row.claim_token !== claimToken) return 'token_mismatch';
+    if (row.used) return 'confirmed';
+    return row.lease_expires_at > new Date().toISOString() ? 'leased' : 'expired';
+  }
+
+  // Bring every encrypted column up to the current key: plaintext from
+  // before encryption was enabled and values under older key versions are
+  // rewritten by the backend's reencryptColumn. Safe to re-run; values
+  // already on the current key are skipped. Resolves with the values
+  // rewritten per table.
+  async reencrypt() {
+    const rewritten = {};
+    if (!this.cipher.enabled) return rewritten;
+
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      rewritten[table] = 0;
+      for (const column of columns) {
+        rewritten[table] += await this.reencryptColumn(table, column);
+      }
+    }
+
+    await this.rebuildSearchIndex();
+    return rewritten;
+  }
+
+  // Called after reencrypt so no plaintext tokens stay in a search index
+  async rebuildSearchIndex() {}
+}
+
+for (const method of INTERFACE) {
+  Storage.prototype[method] = function () {
+    return Promise.reject(new Error(`${this.constructor.name} does not implement ${method}()`));
+  };
+}
+
+Storage.INTERFACE = INTERFACE;
+Storage.ENCRYPTED_COLUMNS = ENCRYPTED_COLUMNS;
+Storage.EMAIL_FIELDS = EMAIL_FIELDS;
+Storage.CODE_FIELDS = CODE_FIELDS;
+Storage.LINK_FIELDS = LINK_FIELDS;
+Storage.withCodeAge = withCodeAge;
+Storage.parseEmailRow = parseEmailRow;
+Storage.parseRecipients = parseRecipients;
+Storage.parseAuthDetails = parseAuthDetails;
+Storage.recipientsOf = recipientsOf;
+Storage.trustedRecipientsOf = trustedRecipientsOf;
+Storage.parseApiKeyRow = parseApiKeyRow;
+Storage.sqlTimestamp = sqlTimestamp;
+Storage.authColumnsOf = authColumnsOf;
+Storage.messageKey = messageKey;
+Storage.receivedAtOf = receivedAtOf;
+Storage.subAddressPattern = subAddressPattern;
+
+module.exports = Storage;
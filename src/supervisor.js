@@ -0,0 +1,93 @@
+const eventBus = require('./eventBus');
+
+// How often connections are checked for a stale IDLE session
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+// Watches every mail source: forces a reconnect when an IMAP session has
+// gone silent, and answers the /healthz and /readyz probes from how long
+// each source has been disconnected. Reconnecting itself (with backoff) is
+// done by the sources.
+class Supervisor {
+  constructor(accountManager, database, options = {}) {
+    this.accountManager = accountManager;
+    this.staleIdleMs = options.staleIdleMs || 15 * 60 * 1000;
+    this.readinessThresholdMs = options.readinessThresholdMs || 60 * 1000;
+    this.livenessThresholdMs = options.livenessThresholdMs || 15 * 60 * 1000;
+    this.startedAt = Date.now();
+    // Source name -> when it last went down; sources that never connected
+    // count from startup
+    this.disconnectedSince = new Map();
+    this.databaseReady = false;
+    this.timer = null;
+
+    database.ready.then(() => {
+      this.databaseReady = true;
+    }, () => {});
+
+    eventBus.on('connection.state', (event) => {
+      if (event.state === 'connected') {
+        this.disconnectedSince.delete(event.name);
+      } else if (!this.disconnectedSince.has(event.name)) {
+        this.disconnectedSince.set(event.name, Date.now());
+      }
+    });
+  }
+
+  start() {
+    this.timer = setInterval(() => this.checkStale(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  checkStale() {
+    for (const service of this.accountManager.list()) {
+      if (service.isStale && service.isStale(this.staleIdleMs)) {
+        service.forceReconnect(`no server activity for ${Math.round(this.staleIdleMs / 60000)} minutes`);
+      }
+    }
+  }
+
+  disconnectedFor(service) {
+    if (service.isConnected) return 0;
+
+    const name = service.config.name || service.config.email;
+    const since = this.disconnectedSince.has(name) ? this.disconnectedSince.get(name) : this.startedAt;
+    return Date.now() - since;
+  }
+
+  // { ok, database, accounts } where ok means the database is up and no
+  // source has been disconnected for longer than thresholdMs
+  check(thresholdMs) {
+    const accounts = this.accountManager.list().map((service) => {
+      const downMs = this.disconnectedFor(service);
+      return {
+        name: service.config.name || service.config.email,
+        type: service.type,
+        connected: service.isConnected,
+        disconnected_seconds: Math.floor(downMs / 1000),
+        ok: downMs <= thresholdMs
+      };
+    });
+
+    return {
+      ok: this.databaseReady && accounts.every((account) => account.ok),
+      database: this.databaseReady,
+      accounts
+    };
+  }
+
+  // Failing liveness asks the orchestrator to restart the instance
+  liveness() {
+    return this.check(this.livenessThresholdMs);
+  }
+
+  // Failing readiness takes the instance out of rotation until it recovers
+  readiness() {
+    return this.check(this.readinessThresholdMs);
+  }
+}
+
+module.exports = Supervisor;
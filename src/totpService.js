@@ -0,0 +1,88 @@
+const { v4: uuidv4 } = require('uuid');
+const { parseOtpauthUri, decodeQrImage, hotp, totp } = require('./otpauth');
+const { matchesScope } = require('./auth');
+
+// Names are used in URLs (/api/totp/:name)
+const NAME_PATTERN = /^[A-Za-z0-9._@+-]{1,64}$/;
+
+function totpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Authenticator-app secrets (TOTP and HOTP) imported from otpauth:// URIs or
+// QR code images. Secrets are only stored encrypted (encryption at rest must
+// be enabled) and are never returned by the API; only codes are.
+class TotpService {
+  constructor(database) {
+    this.database = database;
+  }
+
+  // Store a secret under `name`, from `uri` or from a QR code `image`
+  // (Buffer). Throws with a `status` for invalid requests.
+  async import({ name, uri, image }) {
+    if (!this.database.cipher.enabled) {
+      throw totpError(400, 'TOTP secrets are only stored encrypted; configure ENCRYPTION_KEY first');
+    }
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw totpError(400, 'name must be 1-64 letters, digits or . _ @ + -');
+    }
+    if (!uri && !image) {
+      throw totpError(400, 'uri or a QR code image is required');
+    }
+
+    const entry = parseOtpauthUri(uri || decodeQrImage(image));
+    const inserted = await this.database.insertTotpSecret({ id: uuidv4(), name, ...entry });
+    if (!inserted) {
+      throw totpError(409, `A TOTP secret named "${name}" already exists`);
+    }
+
+    console.log(`TOTP secret imported: ${name} (${entry.type}${entry.issuer ? `, ${entry.issuer}` : ''})`);
+    const { secret, ...stored } = await this.database.getTotpSecret(name);
+    return stored;
+  }
+
+  // Current code for the named secret, or null when there is none. A scoped
+  // API key only sees secrets whose account is inside its "to" patterns.
+  // HOTP codes advance the counter, so each call returns a new code.
+  async generate(name, scope = null) {
+    const entry = await this.database.getTotpSecret(name);
+    if (!entry || !matchesScope(scope && { to: scope.to, from: [] }, { toAddress: entry.account || '' })) {
+      return null;
+    }
+
+    const result = {
+      name: entry.name,
+      type: entry.type,
+      issuer: entry.issuer,
+      account: entry.account,
+      digits: entry.digits
+    };
+
+    if (entry.type === 'hotp') {
+      const counter = await this.database.advanceHotpCounter(name);
+      if (counter === null) return null;
+      return {
+        ...result,
+        code: hotp(entry.secret, counter, entry),
+        counter,
+        period: null,
+        seconds_remaining: null,
+        valid_until: null
+      };
+    }
+
+    const current = totp(entry.secret, entry);
+    return {
+      ...result,
+      code: current.code,
+      counter: null,
+      period: entry.period,
+      seconds_remaining: current.secondsRemaining,
+      valid_until: current.validUntil
+    };
+  }
+}
+
+module.exports = TotpService;
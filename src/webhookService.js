@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const eventBus = require('./eventBus');
+
+// POSTs extracted codes to registered webhooks. Deliveries are queued in the
+// webhook_deliveries table first and sent from there, so pending retries
+// survive a restart.
+class WebhookService {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.pollInterval = options.pollInterval || 5000;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.maxAttempts = options.maxAttempts || 8;
+    this.retryDelay = options.retryDelay || 10000;
+    this.maxRetryDelay = options.maxRetryDelay || 60 * 60 * 1000;
+    this.timer = null;
+    this.isProcessing = false;
+
+    eventBus.on('code.extracted', (code) => {
+      this.enqueueCode(code).catch((error) => {
+        console.error('Error queueing webhook deliveries:', error);
+      });
+    });
+  }
+
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // Signature over "<timestamp>.<body>" so receivers can reject replays
+  static sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processQueue(), this.pollInterval);
+    this.processQueue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async enqueueCode(code) {
+    const webhooks = await this.database.getMatchingWebhooks(code.emailAccount, code.fromAddress, code.recipients || []);
+    if (!webhooks.length) return;
+
+    const payload = JSON.stringify({
+      event: 'code.extracted',
+      data: {
+        id: code.id,
+        email_id: code.emailId,
+        code: code.code,
+        email_account: code.emailAccount,
+        from_address: code.fromAddress,
+        to_address: code.toAddress,
+        recipients: code.recipients,
+        subject: code.subject,
+        auth_result: code.authResult,
+        flagged: code.flagged
+      }
+    });
+
+    for (const webhook of webhooks) {
+      await this.database.insertWebhookDelivery(webhook.id, 'code.extracted', payload);
+    }
+
+    this.processQueue();
+  }
+
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const deliveries = await this.database.getDueWebhookDeliveries();
+      for (const delivery of deliveries) {
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      console.error('Error processing webhook queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    let responseStatus = null;
+    let lastError = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'simple-email-polling-webhooks',
+          'X-Webhook-Id': delivery.webhook_id,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': WebhookService.sign(delivery.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+
+      responseStatus = response.status;
+      if (!response.ok) {
+        lastError = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (!lastError) {
+      console.log(`Webhook delivery ${delivery.id} sent to ${delivery.url}`);
+      return this.database.updateWebhookDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        nextAttemptAt: null,
+        responseStatus,
+        lastError: null,
+        deliveredAt: new Date().toISOString()
+      });
+    }
+
+    if (attempts >= this.maxAttempts) {
+      console.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed permanently: ${lastError}`);
+      return this.database.updateWebhookDelivery(delivery.id, {
+        status: 'failed',
+        attempts,
+        nextAttemptAt: null,
+        responseStatus,
+        lastError,
+        deliveredAt: null
+      });
+    }
+
+    // Exponential backoff: 10s, 20s, 40s, ... capped at one hour
+    const delay = Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay);
+    console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed (${lastError}), retrying in ${delay / 1000}s`);
+    return this.database.updateWebhookDelivery(delivery.id, {
+      status: 'pending',
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      responseStatus,
+      lastError,
+      deliveredAt: null
+    });
+  }
+}
+
+module.exports = WebhookService;
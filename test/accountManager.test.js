@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('assert');
+const AccountManager = require('../src/accountManager');
+const RuleEngine = require('../src/ruleEngine');
+
+test('accounts are found by name or email address', () => {
+  const manager = new AccountManager([
+    { name: 'listener', type: 'smtp', host: '127.0.0.1', port: 2525 },
+    { name: 'work', email: 'QA@example.com', host: 'imap.example.com', port: 993, tls: true }
+  ], null, new RuleEngine());
+
+  assert.strictEqual(manager.get('listener').config.name, 'listener');
+  assert.strictEqual(manager.get('qa@example.com').config.name, 'work');
+  assert.strictEqual(manager.get('missing@example.com'), null);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('assert');
+const CodeWaiter = require('../src/codeWaiter');
+const eventBus = require('../src/eventBus');
+const { createStorage } = require('../src/storage');
+
+test.mock.method(console, 'log', () => {});
+
+let nextUid = 1;
+
+// Stores an email with one code, without announcing it
+async function store(database, code, auth = null, date = new Date().toISOString()) {
+  const email = {
+    id: `email-${nextUid}`,
+    emailAccount: 'qa@example.com',
+    subject: 'Your code',
+    fromAddress: 'noreply@service.test',
+    toAddress: 'qa@example.com',
+    recipients: ['qa@example.com'],
+    date,
+    receivedAt: new Date().toISOString(),
+    uid: nextUid++,
+    auth
+  };
+  await database.insertEmail(email);
+  return { email, id: await database.insertCode(email.id, code) };
+}
+
+// Stores an email with one code and announces it like MailSource does
+async function extract(database, code, auth = null, date = new Date().toISOString()) {
+  const { email, id } = await store(database, code, auth, date);
+  eventBus.emit('code.extracted', {
+    id, emailId: email.id, code, emailAccount: email.emailAccount, fromAddress: email.fromAddress,
+    toAddress: email.toAddress, recipients: email.recipients, subject: email.subject, date: email.date, receivedAt: email.receivedAt,
+    authResult: auth ? auth.result : 'none'
+  });
+  return id;
+}
+
+async function createWaiter() {
+  const database = createStorage({ backend: 'memory' });
+  await database.ready;
+  return { database, waiter: new CodeWaiter(database) };
+}
+
+test('authenticated waiters skip codes from senders that did not authenticate', async () => {
+  const { database, waiter } = await createWaiter();
+  await extract(database, '111111', { result: 'fail', reason: 'dmarc=fail' });
+
+  const waiting = waiter.wait({ authenticated: true }, 1000);
+  await extract(database, '222222', { result: 'none', reason: 'no authentication results' });
+  await extract(database, '333333', { result: 'pass', reason: 'dmarc=pass' });
+
+  assert.strictEqual((await waiting).code, '333333');
+  assert.strictEqual((await database.claimLastCode({})).code, '222222');
+});
+
+test('since counts from receipt, not from the Date header', async () => {
+  const { database, waiter } = await createWaiter();
+  const since = new Date(Date.now() - 1000).toISOString();
+
+  const waiting = waiter.wait({ since }, 1000);
+  await extract(database, '444444', null, '2000-01-01T00:00:00.000Z');
+  assert.strictEqual((await waiting).code, '444444');
+});
+
+test('two waiters on one code: only the first gets it', async () => {
+  const { database, waiter } = await createWaiter();
+
+  const first = waiter.wait({}, 200);
+  const second = waiter.wait({}, 200);
+  await extract(database, '555555');
+
+  assert.strictEqual((await first).code, '555555');
+  assert.strictEqual(await second, null);
+  assert.strictEqual(await database.claimLastCode({}), null);
+});
+
+test('a code claimed for a waiter that timed out goes to the next one', async (t) => {
+  const { database, waiter } = await createWaiter();
+
+  // Waiting before the code is stored, so only a hand-off can reach it
+  const patient = waiter.wait({}, 1000);
+  await new Promise((resolve) => setImmediate(resolve));
+  await store(database, '666666');
+
+  // The claim for the impatient waiter completes after its timeout
+  const claimLastCode = database.claimLastCode.bind(database);
+  t.mock.method(database, 'claimLastCode', async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return claimLastCode(...args);
+  });
+  const impatient = waiter.wait({}, 10);
+
+  assert.strictEqual(await impatient, null);
+  assert.strictEqual((await patient).code, '666666');
+  assert.strictEqual(await claimLastCode({}), null);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const SimpleEmailService = require('../src/emailService');
+const RuleEngine = require('../src/ruleEngine');
+const { createStorage } = require('../src/storage');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+function message(uid, subject) {
+  return Buffer.from(`From: noreply@service.test\r\nTo: qa@example.com\r\nSubject: ${subject}\r\n\r\nYour code is ${100000 + uid}\r\n`);
+}
+
+// Just enough of node-imap for syncOnce: UID SEARCH and FETCH of a mailbox
+function fakeImap(mailbox) {
+  return {
+    search(criteria, callback) {
+      const from = Number(criteria[0][1].split(':')[0]);
+      setImmediate(() => callback(null, [...mailbox.keys()].filter((uid) => uid >= from)));
+    },
+    fetch(uids) {
+      const fetch = new EventEmitter();
+      setImmediate(() => {
+        for (const uid of uids) {
+          const msg = new EventEmitter();
+          fetch.emit('message', msg);
+          const stream = new EventEmitter();
+          msg.emit('body', stream);
+          stream.emit('data', mailbox.get(uid));
+          msg.emit('attributes', { uid });
+          msg.emit('end');
+        }
+        fetch.emit('end');
+      });
+      return fetch;
+    }
+  };
+}
+
+async function connectedService(mailbox) {
+  const database = createStorage({ backend: 'memory' });
+  await database.ready;
+  const service = new SimpleEmailService({ email: 'qa@example.com', actions: [] }, database, new RuleEngine());
+  service.imap = fakeImap(mailbox);
+  service.box = { uidvalidity: 7, uidnext: 1 };
+  service.isConnected = true;
+  await database.saveSyncState('qa@example.com', 'INBOX', 7, 0);
+  return { service, database };
+}
+
+test('sync state advances past every handled message', async () => {
+  const { service, database } = await connectedService(new Map([[1, message(1, 'one')], [2, message(2, 'two')]]));
+
+  await service.syncOnce();
+
+  assert.strictEqual((await database.getSyncState('qa@example.com', 'INBOX')).last_uid, 2);
+  assert.strictEqual(service.lastUid, 2);
+  assert.strictEqual((await database.getLastEmail('qa@example.com')).subject, 'two');
+});
+
+test('a message that fails stops the sync and is retried first', async () => {
+  const { service, database } = await connectedService(new Map([[1, message(1, 'one')], [2, message(2, 'two')], [3, message(3, 'three')]]));
+  const insertEmail = database.insertEmail.bind(database);
+  let failing = true;
+  database.insertEmail = async (email) => {
+    if (failing && email.subject === 'two') throw new Error('database is locked');
+    return insertEmail(email);
+  };
+
+  await service.syncOnce();
+  assert.strictEqual((await database.getSyncState('qa@example.com', 'INBOX')).last_uid, 1);
+  assert.strictEqual((await database.getLastEmail('qa@example.com')).subject, 'one');
+
+  failing = false;
+  await service.syncOnce();
+  assert.strictEqual((await database.getSyncState('qa@example.com', 'INBOX')).last_uid, 3);
+  const { rows } = await database.searchCodes({ order: 'asc' });
+  assert.deepStrictEqual(rows.map((row) => row.code), ['100001', '100002', '100003']);
+});
+
+test('a message stored before a failure is finished on retry', async () => {
+  const { service, database } = await connectedService(new Map([[1, message(1, 'one')], [2, message(2, 'two')]]));
+  const insertCode = database.insertCode.bind(database);
+  let failing = true;
+  database.insertCode = async (emailId, code, ...rest) => {
+    if (failing && code === '100002') throw new Error('database is locked');
+    return insertCode(emailId, code, ...rest);
+  };
+
+  await service.syncOnce();
+  assert.strictEqual((await database.getSyncState('qa@example.com', 'INBOX')).last_uid, 1);
+
+  failing = false;
+  await service.syncOnce();
+  assert.strictEqual((await database.getSyncState('qa@example.com', 'INBOX')).last_uid, 2);
+  assert.strictEqual((await database.searchEmails({ emailAccount: 'qa@example.com' })).rows.length, 2);
+  const { rows } = await database.searchCodes({ order: 'asc' });
+  assert.deepStrictEqual(rows.map((row) => row.code), ['100001', '100002']);
+
+  // Once processed, the message is handled without another pass
+  assert.strictEqual(await service.processEmail(message(2, 'two'), 2), true);
+  assert.strictEqual((await database.searchCodes({})).rows.length, 2);
+});
+
+test('delete only expunges the message itself', async () => {
+  for (const capabilities of [['UIDPLUS'], []]) {
+    const calls = [];
+    const imap = {
+      serverSupports: (capability) => capabilities.includes(capability),
+      addFlags: (uid, flags, callback) => calls.push(['addFlags', uid, flags]) && callback(),
+      expunge: (...args) => calls.push(['expunge', ...args.slice(0, -1)]) && args[args.length - 1]()
+    };
+
+    const service = new SimpleEmailService({ email: 'qa@example.com' }, null, new RuleEngine());
+    await service.applyAction(imap, { action: 'delete', uid: '42', target: null });
+
+    const expected = [['addFlags', 42, ['\\Deleted']]];
+    if (capabilities.length) expected.push(['expunge', 42]);
+    assert.deepStrictEqual(calls, expected);
+  }
+});
+
+test('a move that throws after creating its folder fails the action', async () => {
+  let moves = 0;
+  const imap = {
+    move: (uid, target, callback) => {
+      moves += 1;
+      if (moves === 1) return callback(Object.assign(new Error('Mailbox does not exist'), { textCode: 'TRYCREATE' }));
+      throw new Error('Not authenticated');
+    },
+    addBox: (name, callback) => setImmediate(callback)
+  };
+
+  const service = new SimpleEmailService({ email: 'qa@example.com' }, null, new RuleEngine());
+  await assert.rejects(service.applyAction(imap, { action: 'move', uid: '42', target: 'Codes' }), /Not authenticated/);
+  assert.strictEqual(moves, 2);
+});
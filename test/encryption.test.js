@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const FieldCipher = require('../src/encryption');
+
+const KEY_1 = `1:${'a'.repeat(64)}`;
+const KEY_2 = `2:${'b'.repeat(64)}`;
+
+test('strings and buffers round-trip through the current key', () => {
+  const cipher = FieldCipher.fromKeyList(`${KEY_1}\n${KEY_2}`);
+  const text = cipher.encrypt('Your code is 123456');
+  const bytes = cipher.encrypt(Buffer.from('raw source'));
+
+  assert.ok(text.startsWith('enc:v2:'));
+  assert.strictEqual(cipher.versionOf(bytes), 2);
+  assert.strictEqual(cipher.decrypt(text), 'Your code is 123456');
+  assert.ok(cipher.decrypt(bytes).equals(Buffer.from('raw source')));
+  assert.strictEqual(cipher.encrypt(null), null);
+});
+
+test('values under an older key stay readable', () => {
+  const old = FieldCipher.fromKeyList(KEY_1).encrypt('hello');
+  assert.strictEqual(FieldCipher.fromKeyList(`${KEY_1}\n${KEY_2}`).decrypt(old), 'hello');
+  assert.throws(() => FieldCipher.fromKeyList(KEY_2).decrypt(old), /key version 1/);
+});
+
+test('plaintext that looks like ciphertext is never decrypted', () => {
+  for (const cipher of [new FieldCipher(), FieldCipher.fromKeyList(KEY_1)]) {
+    for (const value of ['enc:v1:hello', 'enc:plain:x', 'enc:']) {
+      assert.strictEqual(cipher.decrypt(cipher.encrypt(value)), value);
+    }
+    const bytes = Buffer.from('enc:v1:binary');
+    assert.ok(cipher.decrypt(cipher.encrypt(bytes)).equals(bytes));
+  }
+
+  const stored = new FieldCipher().encrypt('enc:v1:hello');
+  assert.strictEqual(FieldCipher.fromKeyList(KEY_2).versionOf(stored), null);
+  assert.strictEqual(FieldCipher.fromKeyList(KEY_2).decrypt(stored), 'enc:v1:hello');
+});
+
+test('a disabled cipher stores plaintext and leaves stored values alone', () => {
+  const cipher = new FieldCipher();
+  const encrypted = FieldCipher.fromKeyList(KEY_1).encrypt('secret');
+
+  assert.strictEqual(cipher.encrypt('plain'), 'plain');
+  assert.strictEqual(cipher.decrypt(encrypted), encrypted);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('assert');
+const MailSource = require('../src/mailSource');
+const RuleEngine = require('../src/ruleEngine');
+const { createStorage } = require('../src/storage');
+const { loadCodeOptions } = require('../src/config');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const RULE = { ttl: null };
+
+test('codes expire after five minutes unless the TTL is 0', () => {
+  const previous = process.env.CODE_TTL_SECONDS;
+  delete process.env.CODE_TTL_SECONDS;
+  assert.strictEqual(loadCodeOptions().ttlSeconds, 300);
+  process.env.CODE_TTL_SECONDS = '0';
+  assert.strictEqual(loadCodeOptions().ttlSeconds, 0);
+  if (previous === undefined) delete process.env.CODE_TTL_SECONDS;
+  else process.env.CODE_TTL_SECONDS = previous;
+
+  const receivedAt = new Date().toISOString();
+  const source = new MailSource({}, null, null);
+  assert.strictEqual(source.codeExpiry({ receivedAt }, RULE), new Date(Date.parse(receivedAt) + 300 * 1000).toISOString());
+  assert.strictEqual(source.codeExpiry({ receivedAt }, { ttl: 0 }), null);
+  assert.strictEqual(new MailSource({}, null, null, { codes: { ttlSeconds: 0, authPolicy: 'flag' } }).codeExpiry({ receivedAt }, RULE), null);
+});
+
+test('expiry counts from receipt, not from the Date header', () => {
+  const source = new MailSource({}, null, null, { codes: { ttlSeconds: 60, authPolicy: 'flag' } });
+  const receivedAt = new Date(Date.now() - 30 * 1000);
+
+  for (const date of ['2000-01-01T00:00:00.000Z', '2099-01-01T00:00:00.000Z']) {
+    const expiresAt = source.codeExpiry({ date, receivedAt }, RULE);
+    assert.strictEqual(expiresAt, new Date(receivedAt.getTime() + 60 * 1000).toISOString());
+  }
+
+  // Without a receipt time the email counts as received now
+  const expiresAt = Date.parse(source.codeExpiry({ date: '2000-01-01T00:00:00.000Z' }, { ttl: 120 }));
+  assert.ok(Math.abs(expiresAt - (Date.now() + 120 * 1000)) < 1000);
+});
+
+test('mail without a UID is recognised when it is delivered again', async () => {
+  const database = createStorage({ backend: 'memory' });
+  const source = new MailSource({ email: 'qa@example.com' }, database, new RuleEngine());
+  const raw = Buffer.from('From: noreply@service.test\r\nTo: qa@example.com\r\nSubject: Your code\r\n\r\nYour code is 123456\r\n');
+
+  assert.strictEqual(await source.processEmail(raw, null, { from: 'noreply@service.test', to: ['qa@example.com'] }), true);
+  assert.strictEqual(await source.processEmail(raw, null, { from: 'noreply@service.test', to: ['QA@example.com'] }), true);
+  assert.strictEqual((await database.searchCodes({})).rows.length, 1);
+
+  // The same message sent to someone else is another delivery
+  assert.strictEqual(await source.processEmail(raw, null, { from: 'noreply@service.test', to: ['dev@example.com'] }), true);
+  assert.strictEqual((await database.searchCodes({})).rows.length, 2);
+});
+
+test('links follow the sender authenticity policy like codes', async () => {
+  const raw = Buffer.from('From: noreply@service.test\r\nTo: qa@example.com\r\nSubject: Sign in\r\n\r\nSign in: https://service.test/verify?token=abc123\r\n');
+
+  for (const [authPolicy, expected] of [['flag', 1], ['store', 0], ['reject', null]]) {
+    const database = createStorage({ backend: 'memory' });
+    const source = new MailSource({ email: 'qa@example.com' }, database, new RuleEngine(), { codes: { ttlSeconds: 0, authPolicy } });
+    assert.strictEqual(await source.processEmail(raw, 1), true);
+
+    const link = await database.getLastLink('qa@example.com');
+    assert.strictEqual(link ? link.flagged : null, expected, authPolicy);
+  }
+});
+
+test('age and since count from receipt, not from the Date header', async () => {
+  const database = createStorage({ backend: 'memory' });
+  const source = new MailSource({ email: 'qa@example.com' }, database, new RuleEngine());
+  const message = (date, code) => Buffer.from(`From: noreply@service.test\r\nTo: qa@example.com\r\nDate: ${date}\r\nSubject: Your code\r\n\r\nYour code is ${code}\r\n`);
+
+  // Received ten minutes ago, but claims to be sent in the future
+  const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
+  await source.processEmail(message('Fri, 1 Jan 2099 00:00:00 +0000', '111111'), 1, null, tenMinutesAgo);
+  // Received now, but claims to be old
+  await source.processEmail(message('Sat, 1 Jan 2000 00:00:00 +0000', '222222'), 2, null, new Date(Date.now() + 60 * 60 * 1000));
+
+  const since = new Date(Date.now() - 60 * 1000).toISOString();
+  const fresh = await database.claimLastCode({ since });
+  assert.strictEqual(fresh.code, '222222');
+  assert.ok(fresh.age_seconds <= 1);
+  assert.strictEqual(await database.claimLastCode({ since }), null);
+
+  const { rows } = await database.searchCodes({});
+  const stale = rows.find((row) => row.code === '111111');
+  assert.strictEqual(stale.received_at, tenMinutesAgo.toISOString());
+  assert.ok(stale.age_seconds >= 599 && stale.age_seconds <= 601);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MaildirSource = require('../src/maildirSource');
+const RuleEngine = require('../src/ruleEngine');
+const { createStorage } = require('../src/storage');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+test('a file is only moved to processed/ once it was stored', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const file = path.join(directory, 'code.eml');
+  fs.writeFileSync(file, 'From: noreply@service.test\r\nSubject: Your code\r\n\r\nYour code is 123456\r\n');
+  const settled = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(file, settled, settled);
+
+  const database = createStorage({ backend: 'memory' });
+  const insertEmail = database.insertEmail.bind(database);
+  let failing = true;
+  database.insertEmail = async (email) => {
+    if (failing) throw new Error('database is locked');
+    return insertEmail(email);
+  };
+
+  const source = new MaildirSource({ name: 'drop', email: 'drop', path: directory }, database, new RuleEngine());
+  await source.connect();
+  t.after(() => source.close());
+
+  assert.ok(fs.existsSync(file));
+  assert.strictEqual(source.messagesProcessed, 0);
+
+  failing = false;
+  await source.scan();
+  assert.ok(!fs.existsSync(file));
+  assert.ok(fs.existsSync(path.join(directory, 'processed', 'code.eml')));
+  assert.strictEqual((await database.getLastEmail('drop')).subject, 'Your code');
+});
+
+test('a file stored before it could be moved is not stored again', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'maildir-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const file = path.join(directory, 'code.eml');
+  fs.writeFileSync(file, 'From: noreply@service.test\r\nSubject: Your code\r\n\r\nYour code is 123456\r\n');
+  const settled = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(file, settled, settled);
+
+  const database = createStorage({ backend: 'memory' });
+  const source = new MaildirSource({ name: 'drop', email: 'drop', path: directory }, database, new RuleEngine());
+  const processedPath = source.processedPath.bind(source);
+  source.processedPath = (name) => path.join(directory, 'missing', name);
+  await source.connect();
+  t.after(() => source.close());
+
+  assert.ok(fs.existsSync(file));
+  source.processedPath = processedPath;
+  await source.scan();
+  assert.ok(!fs.existsSync(file));
+
+  assert.strictEqual((await database.searchEmails({ emailAccount: 'drop' })).rows.length, 1);
+  assert.deepStrictEqual((await database.searchCodes({})).rows.map((row) => row.code), ['123456']);
+});
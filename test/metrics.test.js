@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const Metrics = require('../src/metrics');
+const { attachWebSocketStream } = require('../src/eventStream');
+
+const accountManager = { list: () => [], get: () => null };
+
+// Server with the metrics middleware, a route that answers and one that
+// never does (like a long poll nobody sends a code to)
+async function startServer(metrics) {
+  const app = express();
+  app.use(metrics.middleware());
+  app.get('/api/ok', (req, res) => res.json({ success: true }));
+  app.get('/api/wait', () => {});
+
+  const server = http.createServer(app);
+  attachWebSocketStream(server, accountManager, { metrics });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function requestCounts(metrics) {
+  const { values } = await metrics.httpRequests.get();
+  return Object.fromEntries(values.map(({ labels, value }) => [`${labels.route} ${labels.status}`, value]));
+}
+
+// Resolves once the server has seen `count` requests end
+async function recorded(metrics, count) {
+  for (let i = 0; i < 100; i++) {
+    const counts = await requestCounts(metrics);
+    if (Object.values(counts).reduce((sum, value) => sum + value, 0) >= count) return counts;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return requestCounts(metrics);
+}
+
+test('requests are recorded once, including ones the client abandons', async () => {
+  const metrics = new Metrics(accountManager);
+  const { server, url } = await startServer(metrics);
+
+  try {
+    await fetch(`${url}/api/ok`).then((res) => res.json());
+
+    const aborted = new AbortController();
+    const waiting = fetch(`${url}/api/wait`, { signal: aborted.signal }).catch(() => null);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    aborted.abort();
+    await waiting;
+
+    const ws = new WebSocket(`${url.replace('http', 'ws')}/api/stream`);
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+    ws.close();
+
+    assert.deepStrictEqual(await recorded(metrics, 3), {
+      '/api/ok 200': 1,
+      '/api/wait 499': 1,
+      '/api/stream 101': 1
+    });
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseOtpauthUri, base32Decode, hotp, totp } = require('../src/otpauth');
+const TotpService = require('../src/totpService');
+const FieldCipher = require('../src/encryption');
+const { createStorage } = require('../src/storage');
+
+test.mock.method(console, 'log', () => {});
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// The RFC test secrets are ASCII; otpauth secrets are base32
+function base32Encode(text) {
+  const bits = [...Buffer.from(text)].map((byte) => byte.toString(2).padStart(8, '0')).join('');
+  return bits.match(/.{1,5}/g).map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+const SHA1_SECRET = base32Encode('12345678901234567890');
+
+test('HOTP matches the RFC 4226 test values', () => {
+  const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+  assert.deepStrictEqual(expected.map((value, counter) => hotp(SHA1_SECRET, counter)), expected);
+  assert.deepStrictEqual(base32Decode(SHA1_SECRET.toLowerCase()), Buffer.from('12345678901234567890'));
+});
+
+test('TOTP matches the RFC 6238 test values', () => {
+  const secrets = {
+    SHA1: SHA1_SECRET,
+    SHA256: base32Encode('12345678901234567890123456789012'),
+    SHA512: base32Encode('1234567890'.repeat(6) + '1234')
+  };
+  const vectors = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+  ];
+
+  for (const [seconds, codes] of vectors) {
+    for (const [algorithm, code] of Object.entries(codes)) {
+      assert.strictEqual(totp(secrets[algorithm], { algorithm, digits: 8 }, seconds * 1000).code, code, `${algorithm} at ${seconds}`);
+    }
+  }
+
+  const current = totp(SHA1_SECRET, { period: 30 }, 59 * 1000);
+  assert.strictEqual(current.code, '287082');
+  assert.strictEqual(current.secondsRemaining, 1);
+  assert.strictEqual(current.validUntil, '1970-01-01T00:01:00.000Z');
+});
+
+test('otpauth URIs are parsed with authenticator app defaults', () => {
+  assert.deepStrictEqual(parseOtpauthUri('otpauth://totp/ACME%20Co:john@example.com?secret=jbsw y3dp ehpk 3pxp&issuer=ACME%20Co'), {
+    type: 'totp',
+    secret: 'JBSWY3DPEHPK3PXP',
+    issuer: 'ACME Co',
+    account: 'john@example.com',
+    algorithm: 'SHA1',
+    digits: 6,
+    period: 30,
+    counter: null
+  });
+
+  const hotpEntry = parseOtpauthUri('otpauth://hotp/qa@example.com?secret=JBSWY3DPEHPK3PXP&algorithm=sha256&digits=8&counter=5');
+  assert.strictEqual(hotpEntry.type, 'hotp');
+  assert.strictEqual(hotpEntry.issuer, null);
+  assert.strictEqual(hotpEntry.account, 'qa@example.com');
+  assert.strictEqual(hotpEntry.algorithm, 'SHA256');
+  assert.strictEqual(hotpEntry.digits, 8);
+  assert.strictEqual(hotpEntry.period, null);
+  assert.strictEqual(hotpEntry.counter, 5);
+
+  for (const [uri, message] of [
+    ['https://example.com/?secret=JBSWY3DPEHPK3PXP', /otpauth:\/\/totp\//],
+    ['otpauth://totp/acme?issuer=ACME', /no secret/],
+    ['otpauth://totp/acme?secret=not-base32!', /base32/],
+    ['otpauth://totp/acme?secret=JBSWY3DPEHPK3PXP&algorithm=MD5', /Unsupported algorithm/],
+    ['otpauth://totp/acme?secret=JBSWY3DPEHPK3PXP&digits=4', /digits/],
+    ['otpauth://totp/acme?secret=JBSWY3DPEHPK3PXP&period=0', /period/],
+    ['otpauth://hotp/acme?secret=JBSWY3DPEHPK3PXP', /need a counter/]
+  ]) {
+    assert.throws(() => parseOtpauthUri(uri), (error) => error.status === 400 && message.test(error.message), uri);
+  }
+});
+
+test('HOTP secrets advance their counter on every code', async () => {
+  const database = createStorage({ backend: 'memory', cipher: FieldCipher.fromKeyList(`1:${'a'.repeat(64)}`) });
+  await database.ready;
+  const service = new TotpService(database);
+
+  const stored = await service.import({ name: 'ci', uri: `otpauth://hotp/CI:qa@example.com?secret=${SHA1_SECRET}&counter=0` });
+  assert.strictEqual(stored.secret, undefined);
+
+  const codes = [];
+  for (let i = 0; i < 3; i++) {
+    const result = await service.generate('ci');
+    codes.push([result.code, result.counter]);
+  }
+  assert.deepStrictEqual(codes, [['755224', 0], ['287082', 1], ['359152', 2]]);
+
+  // Scoped keys only see secrets whose account is inside their "to" patterns
+  assert.strictEqual(await service.generate('ci', { to: ['other@*'], from: [] }), null);
+  assert.strictEqual((await service.generate('ci', { to: ['qa@*'], from: [] })).code, '969429');
+});
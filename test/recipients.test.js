@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('assert');
+const { simpleParser } = require('mailparser');
+const { resolveRecipients, sentTo } = require('../src/recipients');
+const { matchesScope } = require('../src/auth');
+
+function message(headers, body = 'Your code is 123456') {
+  return Buffer.from([...headers, 'From: GitHub <noreply@github.com>', 'Subject: Your code', '', body].join('\r\n'));
+}
+
+async function resolve(raw, envelope) {
+  return resolveRecipients(await simpleParser(raw), envelope);
+}
+
+test('recipients come from the envelope and headers, most specific first', async () => {
+  const raw = message([
+    'Delivered-To: inbox@example.com',
+    'X-Original-To: QA+signup@example.com',
+    'To: "QA" <qa@example.com>',
+    'Cc: team@example.com, qa@example.com'
+  ]);
+
+  const direct = await resolve(raw);
+  assert.deepStrictEqual(direct.recipients, ['qa+signup@example.com', 'qa@example.com', 'team@example.com', 'inbox@example.com']);
+  assert.deepStrictEqual(direct.trustedRecipients, direct.recipients);
+
+  const smtp = await resolve(raw, { to: ['Rcpt@example.com'] });
+  assert.deepStrictEqual(smtp.recipients, ['rcpt@example.com', 'qa+signup@example.com', 'qa@example.com', 'team@example.com', 'inbox@example.com']);
+  assert.deepStrictEqual(smtp.trustedRecipients, smtp.recipients);
+});
+
+test('forwarded recipients are resolved but not trusted', async () => {
+  const quoted = await resolve(message(['To: inbox@example.com'], [
+    'FYI',
+    '',
+    '---------- Forwarded message ---------',
+    '*From:* GitHub <noreply@github.com>',
+    '*Subject:* Your code',
+    '*To:* <victim@example.com>',
+    '',
+    'Your code is 123456'
+  ].join('\r\n')));
+  assert.deepStrictEqual(quoted.recipients, ['victim@example.com', 'inbox@example.com']);
+  assert.deepStrictEqual(quoted.trustedRecipients, ['inbox@example.com']);
+
+  const attached = await resolve(Buffer.from([
+    'From: forwarder@example.net',
+    'To: inbox@example.com',
+    'Subject: Fwd: Your code',
+    'Content-Type: multipart/mixed; boundary="b"',
+    '',
+    '--b',
+    'Content-Type: text/plain',
+    '',
+    'See attached',
+    '--b',
+    'Content-Type: message/rfc822',
+    '',
+    'From: noreply@github.com',
+    'To: victim@example.com',
+    'Cc: other@example.com',
+    'Subject: Your code',
+    '',
+    'Your code is 123456',
+    '--b--',
+    ''
+  ].join('\r\n')));
+  assert.deepStrictEqual(attached.recipients, ['victim@example.com', 'other@example.com', 'inbox@example.com']);
+  assert.deepStrictEqual(attached.trustedRecipients, ['inbox@example.com']);
+
+  // Named in both the headers and the body, the address is trusted
+  const both = await resolve(message(['To: qa@example.com'], 'From: a@example.net\r\nTo: qa@example.com'));
+  assert.deepStrictEqual(both.trustedRecipients, ['qa@example.com']);
+});
+
+test('"Ship To:" and other lone header-like lines are not recipients', async () => {
+  const receipt = await resolve(message(['To: qa@example.com'], 'Ship To: buyer@example.com\r\nTotal: 10'));
+  assert.deepStrictEqual(receipt.recipients, ['qa@example.com']);
+});
+
+test('scopes match trusted recipients, recipient filters match any', () => {
+  const event = {
+    toAddress: 'victim@example.com',
+    recipients: ['victim@example.com', 'inbox@example.com'],
+    trustedRecipients: ['inbox@example.com'],
+    fromAddress: 'noreply@github.com'
+  };
+
+  assert.strictEqual(matchesScope({ to: ['victim@*'], from: [] }, event), false);
+  assert.strictEqual(matchesScope({ to: ['inbox@*'], from: [] }, event), true);
+  assert.strictEqual(matchesScope({ to: ['Victim@Example.com'], from: [] }, { toAddress: 'victim@example.com' }), true);
+  assert.strictEqual(sentTo(event, 'Victim@example.com'), true);
+});
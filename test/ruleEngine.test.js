@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const RuleEngine = require('../src/ruleEngine');
+
+const { normalizeRule, RuleValidationError } = RuleEngine;
+
+test('lengths and capture groups must be whole numbers', () => {
+  const rule = normalizeRule({ patterns: [{ regex: '(\\d+)-(\\d+)', group: '2' }], minLength: '4', maxLength: 8 });
+  assert.strictEqual(rule.minLength, 4);
+  assert.strictEqual(rule.maxLength, 8);
+  assert.strictEqual(rule.patterns[0].group, 2);
+  assert.strictEqual(normalizeRule({ patterns: ['(\\d+)'], minLength: null }).minLength, null);
+  assert.strictEqual(normalizeRule({ patterns: [{ regex: '\\d+', group: 0 }] }).patterns[0].group, 0);
+
+  for (const input of [
+    { patterns: ['(\\d+)'], minLength: 'six' },
+    { patterns: ['(\\d+)'], minLength: 0 },
+    { patterns: ['(\\d+)'], maxLength: '6abc' },
+    { patterns: ['(\\d+)'], maxLength: 6.5 },
+    { patterns: ['(\\d+)'], minLength: 8, maxLength: 4 },
+    { patterns: [{ regex: '(\\d+)', group: 'first' }] },
+    { patterns: [{ regex: '(\\d+)', group: -1 }] }
+  ]) {
+    assert.throws(() => normalizeRule(input), RuleValidationError, JSON.stringify(input));
+  }
+});
+
+test('match.to accepts any of the email recipients', () => {
+  const engine = new RuleEngine(null, [{ match: { to: '^qa\\+ci@example\\.com$' }, patterns: ['ci code (\\w+)'], fallthrough: false }]);
+  const email = {
+    fromAddress: 'noreply@service.test',
+    toAddress: 'inbox@example.com',
+    recipients: ['inbox@example.com', 'qa+ci@example.com'],
+    subject: 'Sign in',
+    bodyText: 'Your ci code ABC123'
+  };
+
+  const result = engine.extract(email);
+  assert.strictEqual(result.code, 'ABC123');
+  assert.strictEqual(result.rule.id, 'config-1');
+
+  // Other recipients fall back to the default rule; without recipients the
+  // toAddress is tested
+  assert.strictEqual(engine.extract({ ...email, recipients: ['inbox@example.com'], bodyText: 'Your code 123456' }).rule.id, 'default');
+  assert.strictEqual(RuleEngine.test(engine.get('config-1'), { ...email, recipients: undefined, toAddress: 'qa+ci@example.com' }).code, 'ABC123');
+});
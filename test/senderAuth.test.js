@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const SenderAuth = require('../src/senderAuth');
+
+const BODY = 'Your code is 123456\r\n';
+
+function message(headers, body = BODY) {
+  return Buffer.from([...headers, 'From: GitHub <noreply@github.com>', 'To: qa@example.com', 'Subject: Your code', '', body].join('\r\n'));
+}
+
+async function evaluate(auth, raw, options) {
+  return auth.evaluate(await simpleParser(raw), raw, options);
+}
+
+test('Authentication-Results of the receiving server decide the verdict', async () => {
+  const auth = new SenderAuth();
+
+  const pass = await evaluate(auth, message(['Authentication-Results: mx.example.com; dkim=pass header.d=github.com; dmarc=pass header.from=github.com']));
+  assert.strictEqual(pass.result, 'pass');
+  assert.strictEqual(pass.reason, 'dmarc=pass');
+  assert.strictEqual(pass.authserv_id, 'mx.example.com');
+
+  // Without DMARC an aligned DKIM or SPF pass counts; other domains don't
+  assert.strictEqual((await evaluate(auth, message(['Authentication-Results: mx.example.com; dkim=pass header.d=mail.github.com']))).reason, 'aligned dkim=pass');
+  assert.strictEqual((await evaluate(auth, message(['Authentication-Results: mx.example.com; spf=pass smtp.mailfrom=bounce@github.com']))).reason, 'aligned spf=pass');
+  assert.strictEqual((await evaluate(auth, message(['Authentication-Results: mx.example.com; dkim=pass header.d=attacker.test']))).result, 'fail');
+
+  const none = await evaluate(auth, message([]));
+  assert.strictEqual(none.result, 'none');
+});
+
+test('headers below the topmost one or from unknown servers are not trusted', async () => {
+  // The sender's own header ends up below the one the receiving server adds
+  const forged = message([
+    'Authentication-Results: mx.example.com; dmarc=fail header.from=github.com',
+    'Authentication-Results: mx.example.com; dmarc=pass header.from=github.com'
+  ]);
+  assert.strictEqual((await evaluate(new SenderAuth(), forged)).result, 'fail');
+
+  const listed = message([
+    'Authentication-Results: relay.example.net; dmarc=fail',
+    'Authentication-Results: mx.google.com; dmarc=pass header.from=github.com'
+  ]);
+  assert.strictEqual((await evaluate(new SenderAuth({ authservIds: ['mx.google.com'] }), listed)).result, 'pass');
+
+  // Mail received directly: only configured authserv-ids count
+  const direct = message(['Authentication-Results: mx.example.com; dmarc=pass header.from=github.com']);
+  assert.strictEqual((await evaluate(new SenderAuth(), direct, { trustTopmost: false })).result, 'none');
+});
+
+test('ARC results count only from trusted sealers and never over dmarc=fail', async () => {
+  const forwarded = (receiver, sealer) => message([
+    `Authentication-Results: mx.example.com; arc=pass; ${receiver}`,
+    `ARC-Seal: i=1; a=rsa-sha256; cv=none; d=${sealer}; s=arc; b=c2VhbA==`,
+    'ARC-Authentication-Results: i=1; lists.example.org; dkim=pass header.d=github.com; dmarc=pass header.from=github.com'
+  ]);
+  const auth = new SenderAuth({ arcSealers: ['lists.example.org'] });
+
+  const trusted = await evaluate(auth, forwarded('spf=fail smtp.mailfrom=lists.example.org', 'lists.example.org'));
+  assert.strictEqual(trusted.result, 'pass');
+  assert.strictEqual(trusted.reason, 'arc (lists.example.org): dmarc=pass');
+
+  assert.strictEqual((await evaluate(auth, forwarded('spf=fail smtp.mailfrom=attacker.test', 'attacker.test'))).result, 'fail');
+  assert.strictEqual((await evaluate(auth, forwarded('dmarc=fail header.from=github.com', 'lists.example.org'))).result, 'fail');
+  assert.strictEqual((await evaluate(new SenderAuth(), forwarded('spf=fail smtp.mailfrom=lists.example.org', 'lists.example.org'))).result, 'fail');
+});
+
+test('DKIM signatures are verified locally', async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const record = `v=DKIM1; k=rsa; p=${publicKey.export({ type: 'spki', format: 'der' }).toString('base64')}`;
+  const auth = new SenderAuth({ verifyDkim: true, resolver: { resolveTxt: async () => [[record]] } });
+
+  // relaxed/relaxed signature over From, To and Subject
+  const headers = ['from:GitHub <noreply@github.com>', 'to:qa@example.com', 'subject:Your code'].map((field) => `${field}\r\n`).join('');
+  const bodyHash = crypto.createHash('sha256').update(BODY).digest('base64');
+  const unsigned = `DKIM-Signature: v=1; a=rsa-sha256; c=relaxed/relaxed; d=github.com; s=sel; h=from:to:subject; bh=${bodyHash}; b=`;
+  const signed = `${headers}dkim-signature:${unsigned.slice(unsigned.indexOf(':') + 1).trim()}`;
+  const signature = `${unsigned}${crypto.sign('sha256', Buffer.from(signed), privateKey).toString('base64')}`;
+
+  const verdict = await evaluate(auth, message([signature]));
+  assert.strictEqual(verdict.result, 'pass');
+  assert.strictEqual(verdict.reason, 'local dkim=pass');
+  assert.deepStrictEqual(verdict.dkim_local, [{ domain: 'github.com', selector: 'sel', result: 'pass', reason: null }]);
+
+  const tampered = await evaluate(auth, message([signature], 'Your code is 654321\r\n'));
+  assert.strictEqual(tampered.result, 'fail');
+  assert.strictEqual(tampered.dkim_local[0].reason, 'body hash mismatch');
+});
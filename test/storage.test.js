@@ -0,0 +1,23 @@
+const test = require('node:test');
+const { checks, factories } = require('../src/storage/conformance');
+
+// Backends log connects, migrations and cleanups
+test.mock.method(console, 'log', () => {});
+
+// The storage conformance checks (npm run check-storage) for the backends
+// that need no server
+for (const backend of ['sqlite', 'memory']) {
+  test(`${backend} storage`, async (t) => {
+    for (const [name, check] of Object.entries(checks)) {
+      await t.test(name, async () => {
+        const { storage, teardown } = factories[backend]();
+        try {
+          await storage.ready;
+          await check(storage);
+        } finally {
+          await teardown();
+        }
+      });
+    }
+  });
+}